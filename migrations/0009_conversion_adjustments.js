@@ -0,0 +1,55 @@
+/**
+ * Migration: Add adjustment tracking to conversion_queue
+ * Links refund/cancellation reversal jobs to the original purchase conversion
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasExternalOrderId = await knex.schema.hasColumn('conversion_queue', 'external_order_id');
+  if (!hasExternalOrderId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('external_order_id').nullable().index(); // Wix order id
+    });
+  }
+
+  const hasEventType = await knex.schema.hasColumn('conversion_queue', 'event_type');
+  if (!hasEventType) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('event_type').defaultTo('purchase'); // purchase, reversal, adjustment
+    });
+  }
+
+  const hasParentJobId = await knex.schema.hasColumn('conversion_queue', 'parent_job_id');
+  if (!hasParentJobId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('parent_job_id').nullable().index(); // job_id of the purchase being adjusted
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasParentJobId = await knex.schema.hasColumn('conversion_queue', 'parent_job_id');
+  if (hasParentJobId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('parent_job_id');
+    });
+  }
+
+  const hasEventType = await knex.schema.hasColumn('conversion_queue', 'event_type');
+  if (hasEventType) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('event_type');
+    });
+  }
+
+  const hasExternalOrderId = await knex.schema.hasColumn('conversion_queue', 'external_order_id');
+  if (hasExternalOrderId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('external_order_id');
+    });
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration: Add settings to wix_tokens
+ *
+ * Per-installation brand settings (attribution model, etc.) stored as a JSON string
+ * next to brand_id so each Wix site can be configured independently.
+ */
+exports.up = async function(knex) {
+  const hasColumn = await knex.schema.hasColumn('wix_tokens', 'settings');
+  if (!hasColumn) {
+    await knex.schema.alterTable('wix_tokens', (table) => {
+      table.text('settings').nullable(); // JSON string, see services/settings.service.js for defaults
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasColumn = await knex.schema.hasColumn('wix_tokens', 'settings');
+  if (hasColumn) {
+    await knex.schema.alterTable('wix_tokens', (table) => {
+      table.dropColumn('settings');
+    });
+  }
+};
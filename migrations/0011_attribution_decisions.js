@@ -0,0 +1,31 @@
+/**
+ * Migration: attribution_decisions
+ * Audit trail of every attribution decision made for an order webhook:
+ * all candidates considered, the winner and why
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('attribution_decisions');
+  if (!hasTable) {
+    await knex.schema.createTable('attribution_decisions', (table) => {
+      table.increments('id');
+      table.integer('order_webhook_id').index(); // FK to order_webhooks
+      table.string('job_id').nullable().index(); // conversion_queue.job_id when a conversion was enqueued
+      table.string('order_id').index(); // Wix order id
+      table.string('site_id');
+      table.string('affiliate_id').nullable(); // winner (null when nothing matched)
+      table.string('campaign_id').nullable();
+      table.string('source').nullable(); // order_direct, session, visitor_id, probabilistic, multi_touch, historic_order
+      table.string('reason'); // why the winner won, or why nothing was attributed
+      table.string('attribution_model');
+      table.float('confidence').nullable(); // probabilistic matches only
+      table.text('candidates'); // JSON array of every candidate considered
+      table.text('settings'); // JSON snapshot of the brand settings used
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('attribution_decisions');
+  if (hasTable) await knex.schema.dropTable('attribution_decisions');
+};
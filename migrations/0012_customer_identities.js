@@ -0,0 +1,30 @@
+/**
+ * Migration: customer_identities
+ * Normalized, hashed buyer emails seen on identify calls and orders, with the affiliate
+ * they were attributed to. Replaces LIKE scans over order_webhooks.payload.
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('customer_identities');
+  if (!hasTable) {
+    await knex.schema.createTable('customer_identities', (table) => {
+      table.increments('id');
+      table.string('site_id').nullable();
+      table.string('email_hash', 64).notNullable(); // sha256 of the trimmed, lowercased email
+      table.string('source').notNullable(); // identify, order
+      table.string('affiliate_id').nullable();
+      table.string('campaign_id').nullable();
+      table.string('visitor_id').nullable();
+      table.string('session_id').nullable();
+      table.string('order_id').nullable(); // Wix order id (source = order)
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+      table.index(['site_id', 'email_hash']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('customer_identities');
+  if (hasTable) await knex.schema.dropTable('customer_identities');
+};
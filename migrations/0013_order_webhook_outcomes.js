@@ -0,0 +1,38 @@
+/**
+ * Migration: Record processing outcome on order_webhooks
+ * Persists what the handler did with each webhook so admins can filter by outcome
+ */
+const OUTCOME_COLUMNS = ['status', 'reason', 'order_id', 'site_id', 'event_type', 'job_id'];
+
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('order_webhooks');
+  if (!hasTable) return;
+
+  const hasStatus = await knex.schema.hasColumn('order_webhooks', 'status');
+  if (!hasStatus) {
+    await knex.schema.alterTable('order_webhooks', (table) => {
+      table.string('status').nullable(); // enqueued, skipped, canceled, processed, error (null = not processed yet)
+      table.string('reason').nullable(); // e.g. not_paid_event, no_affiliate, already_queued, error message
+      table.string('order_id').nullable().index(); // parsed Wix order id
+      table.string('site_id').nullable();
+      table.string('event_type').nullable();
+      table.string('job_id').nullable(); // conversion_queue.job_id enqueued or canceled
+
+      table.index(['site_id', 'status', 'reason']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('order_webhooks');
+  if (!hasTable) return;
+
+  const hasStatus = await knex.schema.hasColumn('order_webhooks', 'status');
+  if (hasStatus) {
+    await knex.schema.alterTable('order_webhooks', (table) => {
+      table.dropIndex(['site_id', 'status', 'reason']);
+      table.dropIndex(['order_id']);
+      table.dropColumns(...OUTCOME_COLUMNS);
+    });
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration: Webhook delivery deduplication
+ * Wix retries deliveries; the event id and payload hash identify a repeated delivery
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('order_webhooks');
+  if (!hasTable) return;
+
+  const hasEventId = await knex.schema.hasColumn('order_webhooks', 'event_id');
+  if (!hasEventId) {
+    await knex.schema.alterTable('order_webhooks', (table) => {
+      table.string('event_id').nullable().index(); // Wix delivery/event id (header or body)
+      table.string('payload_hash', 64).nullable().index(); // sha256 of the stored payload
+      table.integer('duplicate_count').defaultTo(0); // repeated deliveries acknowledged without reprocessing
+      table.timestamp('last_duplicate_at').nullable();
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('order_webhooks');
+  if (!hasTable) return;
+
+  const hasEventId = await knex.schema.hasColumn('order_webhooks', 'event_id');
+  if (hasEventId) {
+    await knex.schema.alterTable('order_webhooks', (table) => {
+      table.dropIndex(['event_id']);
+      table.dropIndex(['payload_hash']);
+      table.dropColumns('event_id', 'payload_hash', 'duplicate_count', 'last_duplicate_at');
+    });
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration: Currency normalization details on conversion_queue
+ * Conversions are sent in the brand's reporting currency; keep the rate used and the order's original value
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasRate = await knex.schema.hasColumn('conversion_queue', 'exchange_rate');
+  if (!hasRate) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.decimal('exchange_rate', 20, 8).nullable(); // null when no conversion was applied
+      table.decimal('original_amount', 14, 2).nullable(); // value in the order currency
+      table.string('original_currency', 3).nullable();
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasRate = await knex.schema.hasColumn('conversion_queue', 'exchange_rate');
+  if (hasRate) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumns('exchange_rate', 'original_amount', 'original_currency');
+    });
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration: coupon_mappings
+ * Discount codes shared by affiliates, so orders that used a code can be attributed
+ * without a tracked click.
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('coupon_mappings');
+  if (!hasTable) {
+    await knex.schema.createTable('coupon_mappings', (table) => {
+      table.increments('id');
+      table.string('site_id').notNullable();
+      table.string('code').notNullable(); // trimmed, uppercased coupon code
+      table.string('affiliate_id').notNullable();
+      table.string('campaign_id').nullable();
+      table.boolean('is_active').defaultTo(true);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+      table.unique(['site_id', 'code']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('coupon_mappings');
+  if (hasTable) await knex.schema.dropTable('coupon_mappings');
+};
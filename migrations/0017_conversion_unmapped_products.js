@@ -0,0 +1,27 @@
+/**
+ * Migration: Unmapped product flag on conversion_queue
+ * Wix product ids a conversion was sent with because no Market!N product mapping existed
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasUnmapped = await knex.schema.hasColumn('conversion_queue', 'unmapped_product_ids');
+  if (!hasUnmapped) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.text('unmapped_product_ids').nullable(); // JSON array, null when every product was mapped
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasUnmapped = await knex.schema.hasColumn('conversion_queue', 'unmapped_product_ids');
+  if (hasUnmapped) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('unmapped_product_ids');
+    });
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration: Subscription tracking on conversion_queue
+ * Renewal conversions are matched to the purchase that started the subscription
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasSubscriptionId = await knex.schema.hasColumn('conversion_queue', 'subscription_id');
+  if (!hasSubscriptionId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('subscription_id').nullable().index(); // Wix subscription / Pricing Plans order id
+      table.integer('cycle_number').nullable(); // billing cycle; 1 = initial purchase
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasSubscriptionId = await knex.schema.hasColumn('conversion_queue', 'subscription_id');
+  if (hasSubscriptionId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('cycle_number');
+      table.dropColumn('subscription_id');
+    });
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Migration: Fraud screening
+ * Screening signals on conversion_queue (held jobs wait for an admin decision) and
+ * affiliate_identities, the hashed emails of affiliates used to spot self-referrals
+ */
+exports.up = async function(knex) {
+  const hasQueue = await knex.schema.hasTable('conversion_queue');
+  if (hasQueue) {
+    const hasAffiliateId = await knex.schema.hasColumn('conversion_queue', 'affiliate_id');
+    if (!hasAffiliateId) {
+      await knex.schema.alterTable('conversion_queue', (table) => {
+        table.string('affiliate_id').nullable().index(); // credited affiliate, for velocity checks
+        table.string('buyer_ip').nullable().index(); // buyer IP of the order, for velocity checks
+        table.text('screening_flags').nullable(); // JSON array of failed screening checks
+        table.timestamp('reviewed_at').nullable(); // when an admin approved/rejected a held job
+        table.string('review_note').nullable();
+      });
+    }
+  }
+
+  const hasIdentities = await knex.schema.hasTable('affiliate_identities');
+  if (!hasIdentities) {
+    await knex.schema.createTable('affiliate_identities', (table) => {
+      table.increments('id');
+      table.string('affiliate_id').notNullable().index();
+      table.string('site_id').nullable(); // null = applies to every site
+      table.string('email_hash', 64).notNullable().index(); // sha256 of the trimmed, lowercased email
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.unique(['affiliate_id', 'email_hash']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasIdentities = await knex.schema.hasTable('affiliate_identities');
+  if (hasIdentities) await knex.schema.dropTable('affiliate_identities');
+
+  const hasQueue = await knex.schema.hasTable('conversion_queue');
+  if (!hasQueue) return;
+
+  const hasAffiliateId = await knex.schema.hasColumn('conversion_queue', 'affiliate_id');
+  if (hasAffiliateId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('review_note');
+      table.dropColumn('reviewed_at');
+      table.dropColumn('screening_flags');
+      table.dropColumn('buyer_ip');
+      table.dropColumn('affiliate_id');
+    });
+  }
+};
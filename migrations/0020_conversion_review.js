@@ -0,0 +1,27 @@
+/**
+ * Migration: Manual review of conversions
+ * site_id lets each dashboard list only its own review backlog (pending_review and held jobs)
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasSiteId = await knex.schema.hasColumn('conversion_queue', 'site_id');
+  if (!hasSiteId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('site_id').nullable().index(); // Wix site the order came from
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasSiteId = await knex.schema.hasColumn('conversion_queue', 'site_id');
+  if (hasSiteId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('site_id');
+    });
+  }
+};
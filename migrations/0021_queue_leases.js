@@ -0,0 +1,32 @@
+/**
+ * Migration: Job leases on conversion_queue
+ * A worker claims a job by setting worker_id and a lease expiry in the same statement that
+ * moves it to processing, so concurrent workers never send the same conversion twice
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasWorkerId = await knex.schema.hasColumn('conversion_queue', 'worker_id');
+  if (!hasWorkerId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('worker_id').nullable(); // worker that claimed the job last
+      table.timestamp('lease_expires_at').nullable(); // claim is void after this (null = not leased)
+      table.index(['status', 'lease_expires_at']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasWorkerId = await knex.schema.hasColumn('conversion_queue', 'worker_id');
+  if (hasWorkerId) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropIndex(['status', 'lease_expires_at']);
+      table.dropColumn('lease_expires_at');
+      table.dropColumn('worker_id');
+    });
+  }
+};
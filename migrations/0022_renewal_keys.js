@@ -0,0 +1,29 @@
+/**
+ * Migration: Renewal payment keys on conversion_queue
+ * The payment (or renewal order) a renewal job was queued for, so a redelivered or replayed
+ * renewal without a cycle number resolves to the job already queued instead of a new cycle
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasKey = await knex.schema.hasColumn('conversion_queue', 'renewal_key');
+  if (!hasKey) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('renewal_key').nullable().index(); // payment id or renewal order id
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasKey = await knex.schema.hasColumn('conversion_queue', 'renewal_key');
+  if (hasKey) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropIndex(['renewal_key']);
+      table.dropColumn('renewal_key');
+    });
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration: Backfill conversion_queue.affiliate_id and site_id
+ * Jobs queued before 0019/0020 only carry the affiliate and site in their payload. Without the
+ * columns, velocity checks miss them and approval mode sees every existing affiliate as new.
+ */
+const BATCH_SIZE = 500;
+
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+  const hasAffiliateId = await knex.schema.hasColumn('conversion_queue', 'affiliate_id');
+  const hasSiteId = await knex.schema.hasColumn('conversion_queue', 'site_id');
+  if (!hasAffiliateId || !hasSiteId) return;
+
+  let lastId = 0;
+  for (;;) {
+    const jobs = await knex('conversion_queue')
+      .where('id', '>', lastId)
+      .where(builder => builder.whereNull('affiliate_id').orWhereNull('site_id'))
+      .orderBy('id', 'asc')
+      .limit(BATCH_SIZE)
+      .select('id', 'payload', 'affiliate_id', 'site_id');
+    if (!jobs.length) break;
+
+    for (const job of jobs) {
+      let payload = {};
+      try {
+        payload = JSON.parse(job.payload || '{}') || {};
+      } catch { /* leave the row as it is */ }
+
+      const update = {};
+      if (!job.affiliate_id && payload.affiliateId) update.affiliate_id = String(payload.affiliateId);
+      if (!job.site_id && payload.siteId) update.site_id = String(payload.siteId);
+      if (Object.keys(update).length) {
+        await knex('conversion_queue').where('id', job.id).update(update);
+      }
+    }
+    lastId = jobs[jobs.length - 1].id;
+  }
+};
+
+// Data only: the backfilled values stay (they match the payloads)
+exports.down = async function() {};
@@ -0,0 +1,55 @@
+/**
+ * Migration: Claim order webhook deliveries while they are processed
+ * A delivery is marked processing with claimed_at when it starts; a retry only reprocesses it once the
+ * claim is older than the processing timeout. The unique index stops two concurrent first deliveries
+ * of the same event from both being stored.
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('order_webhooks');
+  if (!hasTable) return;
+
+  const hasClaimedAt = await knex.schema.hasColumn('order_webhooks', 'claimed_at');
+  if (hasClaimedAt) return;
+
+  await knex.schema.alterTable('order_webhooks', (table) => {
+    table.timestamp('claimed_at').nullable();
+  });
+
+  // Deliveries that never recorded an outcome: unclaimed, so the next retry reprocesses them
+  await knex('order_webhooks')
+    .whereNull('status')
+    .whereNotNull('payload_hash')
+    .update({ status: 'processing' });
+
+  // Keep the hash on the first copy of a delivery stored twice; later copies are still found by event id
+  const copies = await knex('order_webhooks')
+    .select('event_id', 'payload_hash')
+    .min('id as keep_id')
+    .whereNotNull('event_id')
+    .whereNotNull('payload_hash')
+    .groupBy('event_id', 'payload_hash')
+    .havingRaw('count(*) > 1');
+  for (const copy of copies) {
+    await knex('order_webhooks')
+      .where({ event_id: copy.event_id, payload_hash: copy.payload_hash })
+      .whereNot('id', copy.keep_id)
+      .update({ payload_hash: null });
+  }
+
+  await knex.schema.alterTable('order_webhooks', (table) => {
+    table.unique(['event_id', 'payload_hash'], 'order_webhooks_event_payload_unique');
+  });
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('order_webhooks');
+  if (!hasTable) return;
+
+  const hasClaimedAt = await knex.schema.hasColumn('order_webhooks', 'claimed_at');
+  if (hasClaimedAt) {
+    await knex.schema.alterTable('order_webhooks', (table) => {
+      table.dropUnique(['event_id', 'payload_hash'], 'order_webhooks_event_payload_unique');
+      table.dropColumn('claimed_at');
+    });
+  }
+};
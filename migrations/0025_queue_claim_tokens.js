@@ -0,0 +1,28 @@
+/**
+ * Migration: Claim tokens on conversion_queue
+ * Every processQueue call claims jobs under its own token. worker_id is shared by all calls in a
+ * process, so it cannot tell a job's current claim from an earlier, expired one.
+ */
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasToken = await knex.schema.hasColumn('conversion_queue', 'claim_token');
+  if (!hasToken) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.string('claim_token').nullable(); // token of the processQueue call holding the job
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('conversion_queue');
+  if (!hasTable) return;
+
+  const hasToken = await knex.schema.hasColumn('conversion_queue', 'claim_token');
+  if (hasToken) {
+    await knex.schema.alterTable('conversion_queue', (table) => {
+      table.dropColumn('claim_token');
+    });
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Migration: Affiliate touch time on customer_identities
+ * When the affiliate linked to an email was clicked (session start, or the order), kept apart from
+ * updated_at so a repeated identify call does not bring an old click back into the lookback window.
+ * Stored as an ISO string; existing rows start from their created_at.
+ */
+const BATCH_SIZE = 500;
+
+exports.up = async function(knex) {
+  const hasTable = await knex.schema.hasTable('customer_identities');
+  if (!hasTable) return;
+
+  const hasTouchedAt = await knex.schema.hasColumn('customer_identities', 'touched_at');
+  if (hasTouchedAt) return;
+
+  await knex.schema.alterTable('customer_identities', (table) => {
+    table.string('touched_at').nullable();
+    table.index(['site_id', 'email_hash', 'touched_at']);
+  });
+
+  let lastId = 0;
+  for (;;) {
+    const rows = await knex('customer_identities')
+      .select('id', 'created_at')
+      .where('id', '>', lastId)
+      .whereNotNull('affiliate_id')
+      .orderBy('id', 'asc')
+      .limit(BATCH_SIZE);
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      const createdAt = new Date(row.created_at);
+      if (Number.isNaN(createdAt.getTime())) continue;
+      await knex('customer_identities').where('id', row.id).update({ touched_at: createdAt.toISOString() });
+    }
+  }
+};
+
+exports.down = async function(knex) {
+  const hasTable = await knex.schema.hasTable('customer_identities');
+  if (!hasTable) return;
+
+  const hasTouchedAt = await knex.schema.hasColumn('customer_identities', 'touched_at');
+  if (hasTouchedAt) {
+    await knex.schema.alterTable('customer_identities', (table) => {
+      table.dropIndex(['site_id', 'email_hash', 'touched_at']);
+      table.dropColumn('touched_at');
+    });
+  }
+};
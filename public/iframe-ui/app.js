@@ -20,6 +20,7 @@
     productsCount: document.getElementById('products-count'),
     tokenStatus: document.getElementById('token-status'),
     brandIdStatus: document.getElementById('brand-id-status'),
+    resyncPrompt: document.getElementById('resync-prompt'),
     syncProductsBtn: document.getElementById('sync-products-btn'),
     refreshTokenBtn: document.getElementById('refresh-token-btn'),
     refreshStatusBtn: document.getElementById('refresh-status-btn'),
@@ -36,7 +37,15 @@
     embedScriptCard: document.getElementById('embed-script-card'),
     embedScriptCode: document.getElementById('embed-script-code'),
     copyScriptBtn: document.getElementById('copy-script-btn'),
-    setupInstructionsList: document.getElementById('setup-instructions-list')
+    setupInstructionsList: document.getElementById('setup-instructions-list'),
+    // Coupon mapping elements
+    couponCodeInput: document.getElementById('coupon-code-input'),
+    couponAffiliateInput: document.getElementById('coupon-affiliate-input'),
+    saveCouponBtn: document.getElementById('save-coupon-btn'),
+    couponList: document.getElementById('coupon-list'),
+    // Review queue elements
+    reviewSummary: document.getElementById('review-summary'),
+    reviewList: document.getElementById('review-list')
   };
 
   /**
@@ -205,6 +214,8 @@
       
       // Also fetch settings to get brandId
       await fetchSettings();
+      await fetchCoupons();
+      await fetchReviewQueue();
       
     } catch (err) {
       console.error('Failed to fetch status:', err);
@@ -301,6 +312,211 @@
     }
   }
 
+  /**
+   * Fetch and render coupon-to-affiliate mappings
+   */
+  async function fetchCoupons() {
+    try {
+      const params = new URLSearchParams();
+      if (siteId) params.set('siteId', siteId);
+
+      const response = await fetch(`${API_BASE}/admin/iframe/coupons?${params.toString()}`, {
+        method: 'GET',
+        headers: getApiHeaders()
+      });
+
+      if (!response.ok) return;
+
+      const data = await response.json();
+      renderCoupons(data.mappings || []);
+
+    } catch (err) {
+      console.error('Failed to fetch coupons:', err);
+    }
+  }
+
+  /**
+   * Render the coupon mapping list
+   */
+  function renderCoupons(mappings) {
+    if (!mappings.length) {
+      elements.couponList.innerHTML = '<li class="coupon-empty">No coupon codes mapped yet</li>';
+      return;
+    }
+
+    elements.couponList.innerHTML = mappings
+      .map(m => `
+        <li>
+          <span><span class="coupon-code">${escapeHtml(m.code)}</span> → ${escapeHtml(m.affiliateId)}</span>
+          <button class="btn btn-outline btn-small" data-coupon-id="${m.id}">Remove</button>
+        </li>
+      `)
+      .join('');
+  }
+
+  /**
+   * Handle adding or re-assigning a coupon code
+   */
+  async function handleSaveCoupon() {
+    const code = elements.couponCodeInput.value.trim();
+    const affiliateId = elements.couponAffiliateInput.value.trim();
+
+    if (!code || !affiliateId) {
+      showToast('Enter a coupon code and an affiliate ID', 'error');
+      return;
+    }
+
+    const btn = elements.saveCouponBtn;
+    btn.disabled = true;
+
+    try {
+      const response = await fetch(`${API_BASE}/admin/iframe/coupons`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        body: JSON.stringify({ siteId: siteId, code: code, affiliateId: affiliateId })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      elements.couponCodeInput.value = '';
+      elements.couponAffiliateInput.value = '';
+      log(`Coupon ${data.mapping.code} mapped to ${data.mapping.affiliateId}`, 'success');
+      showToast('Coupon saved', 'success');
+      await fetchCoupons();
+    } catch (err) {
+      console.error('Failed to save coupon:', err);
+      log(`Failed to save coupon: ${err.message}`, 'error');
+      showToast('Failed to save coupon', 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Handle removing a coupon mapping
+   */
+  async function handleDeleteCoupon(id) {
+    try {
+      const params = new URLSearchParams();
+      if (siteId) params.set('siteId', siteId);
+
+      const response = await fetch(`${API_BASE}/admin/iframe/coupons/${encodeURIComponent(id)}?${params.toString()}`, {
+        method: 'DELETE',
+        headers: getApiHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      log('Coupon mapping removed', 'success');
+      await fetchCoupons();
+    } catch (err) {
+      console.error('Failed to remove coupon:', err);
+      showToast('Failed to remove coupon', 'error');
+    }
+  }
+
+  // Readable labels for screening flags
+  const REVIEW_FLAG_LABELS = {
+    amount_above_threshold: 'Above approval amount',
+    new_affiliate: 'New affiliate',
+    self_referral: 'Self-referral',
+    affiliate_velocity: 'Affiliate order burst',
+    ip_velocity: 'Orders from one IP',
+    geo_mismatch: 'Country mismatch',
+    original_held: 'Original purchase held',
+    original_pending_review: 'Original purchase awaiting review'
+  };
+
+  /**
+   * Fetch and render conversions awaiting review
+   */
+  async function fetchReviewQueue() {
+    try {
+      const params = new URLSearchParams();
+      if (siteId) params.set('siteId', siteId);
+
+      const response = await fetch(`${API_BASE}/admin/iframe/review?${params.toString()}`, {
+        method: 'GET',
+        headers: getApiHeaders()
+      });
+
+      if (!response.ok) return;
+
+      const data = await response.json();
+      renderReviewQueue(data.jobs || [], data.counts || {});
+
+    } catch (err) {
+      console.error('Failed to fetch review queue:', err);
+    }
+  }
+
+  /**
+   * Render the review backlog summary and list
+   */
+  function renderReviewQueue(jobs, counts) {
+    const pendingReview = counts.pending_review || 0;
+    const held = counts.held || 0;
+    elements.reviewSummary.innerHTML = `
+      <span class="review-count">${pendingReview} awaiting approval</span>
+      <span class="review-count ${held ? 'warning' : ''}">${held} held by fraud screening</span>
+    `;
+
+    if (!jobs.length) {
+      elements.reviewList.innerHTML = '<li class="review-empty">Nothing to review</li>';
+      return;
+    }
+
+    elements.reviewList.innerHTML = jobs
+      .map(job => {
+        const flags = (job.flags || [])
+          .map(f => `<span class="review-flag">${escapeHtml(REVIEW_FLAG_LABELS[f.check] || f.check)}</span>`)
+          .join('');
+        return `
+          <li>
+            <div class="review-info">
+              <span><strong>${escapeHtml(job.externalOrderId || job.jobId)}</strong> · ${escapeHtml(job.affiliateId || '—')} · ${escapeHtml(String(job.amount ?? ''))} ${escapeHtml(job.currency || '')}</span>
+              <span class="review-flags">${flags}</span>
+            </div>
+            <div class="review-actions">
+              <button class="btn btn-primary btn-small" data-review-job="${escapeHtml(job.jobId)}" data-review-decision="approve">Approve</button>
+              <button class="btn btn-outline btn-small" data-review-job="${escapeHtml(job.jobId)}" data-review-decision="reject">Reject</button>
+            </div>
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Handle approving or rejecting a conversion (rejections ask for a reason)
+   */
+  async function handleReviewDecision(jobId, decision) {
+    const body = { siteId: siteId };
+    if (decision === 'reject') {
+      const reason = window.prompt('Why is this conversion rejected?');
+      if (!reason || !reason.trim()) return;
+      body.reason = reason.trim();
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/admin/iframe/review/${encodeURIComponent(jobId)}/${decision}`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      log(`Conversion ${jobId} ${decision === 'approve' ? 'approved' : 'rejected'}`, 'success');
+      showToast(decision === 'approve' ? 'Conversion approved' : 'Conversion rejected', 'success');
+      await fetchReviewQueue();
+    } catch (err) {
+      console.error('Failed to review conversion:', err);
+      log(`Failed to review conversion: ${err.message}`, 'error');
+      showToast('Failed to review conversion', 'error');
+    }
+  }
+
   /**
    * Update the status display with data from API
    */
@@ -317,6 +533,15 @@
       ? data.productsCount.toString()
       : '<span class="status-value warning">—</span>';
 
+    // Conversions sent with products Market!N does not know yet
+    if (data.unmappedProductConversions > 0) {
+      elements.resyncPrompt.textContent = `${data.unmappedProductConversions} conversion(s) included products that are not synced to Market!N. Click "Sync Products" to resync your catalog.`;
+      elements.resyncPrompt.className = 'brand-status warning';
+      log('Some conversions contain unsynced products - resync recommended', 'warning');
+    } else {
+      elements.resyncPrompt.className = 'brand-status';
+    }
+
     // Token status
     if (data.tokenValid) {
       const expiresText = data.tokenExpiresAt 
@@ -606,6 +831,19 @@
     });
     elements.copyScriptBtn.addEventListener('click', handleCopyScript);
 
+    // Coupon mapping event listeners
+    elements.saveCouponBtn.addEventListener('click', handleSaveCoupon);
+    elements.couponList.addEventListener('click', (e) => {
+      const id = e.target.getAttribute('data-coupon-id');
+      if (id) handleDeleteCoupon(id);
+    });
+
+    // Review queue event listeners
+    elements.reviewList.addEventListener('click', (e) => {
+      const jobId = e.target.getAttribute('data-review-job');
+      if (jobId) handleReviewDecision(jobId, e.target.getAttribute('data-review-decision'));
+    });
+
     // Always try to fetch status - backend will handle missing siteId
     fetchStatus();
   }
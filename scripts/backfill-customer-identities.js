@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill customer_identities from stored order webhooks
+ * Orders received before the identity table existed are otherwise invisible to the
+ * email fallback of the attribution chain. Safe to re-run (rows are keyed per order).
+ * Usage: node scripts/backfill-customer-identities.js
+ */
+
+require('dotenv').config();
+const knex = require('../src/db');
+const { parseWixOrderPayload } = require('../src/controllers/orderWebhook.controller');
+const { recordIdentity } = require('../src/services/customerIdentity.service');
+
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  let lastId = 0;
+  let scanned = 0;
+  let stored = 0;
+
+  for (;;) {
+    const rows = await knex('order_webhooks')
+      .where('id', '>', lastId)
+      .orderBy('id', 'asc')
+      .limit(BATCH_SIZE);
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      scanned++;
+      let parsed;
+      try {
+        parsed = parseWixOrderPayload(JSON.parse(row.payload));
+      } catch {
+        continue;
+      }
+      if (parsed.eventKind !== 'paid' || !parsed.customerEmail) continue;
+
+      const ok = await recordIdentity({
+        siteId: parsed.siteId,
+        email: parsed.customerEmail,
+        source: 'order',
+        affiliateId: parsed.affiliateId,
+        campaignId: parsed.campaignId,
+        visitorId: parsed.visitorId,
+        sessionId: parsed.sessionId,
+        orderId: parsed.orderId,
+        touchedAt: parsed.createdAt || row.created_at
+      });
+      if (ok) stored++;
+    }
+  }
+
+  console.log(`Scanned ${scanned} webhooks, stored ${stored} customer identities`);
+}
+
+backfill()
+  .catch(err => {
+    console.error('Backfill failed:', err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => knex.destroy());
@@ -41,12 +41,16 @@ app.get('/health', async (req, res) => {
     const knex = require('./db');
     await knex.raw('SELECT 1');
     
+    // An open Market!N circuit delays conversions but does not make this service unhealthy.
+    // The state is this process's only: a separate worker process logs its own circuit changes
+    const { getCircuitState } = require('./services/marketin.service');
     res.status(200).json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
       version: process.env.npm_package_version || '1.0.0',
       environment: process.env.NODE_ENV || 'development',
-      uptime: process.uptime()
+      uptime: process.uptime(),
+      marketinCircuit: getCircuitState()
     });
   } catch (err) {
     console.error('Health check failed:', err.message || err);
@@ -7,6 +7,9 @@ const { decrypt, encrypt } = require('../utils/crypto');
 const marketinService = require('../services/marketin.service');
 const injectService = require('../services/inject.service');
 const wixApi = require('../services/wixApi.service');
+const settingsService = require('../services/settings.service');
+const couponMappingService = require('../services/couponMapping.service');
+const conversionQueue = require('../services/conversionQueue.service');
 const crypto = require('crypto');
 
 /**
@@ -174,6 +177,13 @@ exports.getStatus = async (req, res) => {
       .first();
     const lastSync = lastProduct ? lastProduct.updated_at : null;
 
+    // Conversions sent with Wix product ids since the last sync - the dashboard prompts a resync
+    const unmappedQuery = knex('conversion_queue')
+      .where('site_id', effectiveSiteId)
+      .whereNotNull('unmapped_product_ids');
+    if (lastSync) unmappedQuery.where('last_attempted_at', '>', lastSync);
+    const [{ count: unmappedCount }] = await unmappedQuery.count('* as count');
+
     res.json({
       installed: true,
       siteId: effectiveSiteId,
@@ -184,6 +194,7 @@ exports.getStatus = async (req, res) => {
       tokenExpiresAt: expiresAt,
       productsCount: parseInt(productsCount, 10),
       lastSync: lastSync,
+      unmappedProductConversions: parseInt(unmappedCount, 10),
       createdAt: tokenRow.created_at
     });
 
@@ -359,7 +370,8 @@ exports.getSettings = async (req, res) => {
       brandName: tokenRow.brand_name || null,
       brandConfiguredAt: tokenRow.brand_configured_at || null,
       marketinApiKeySet: !!tokenRow.marketin_api_key,
-      siteId: tokenRow.site_id
+      siteId: tokenRow.site_id,
+      settings: settingsService.parseSettings(tokenRow)
     });
     
   } catch (err) {
@@ -373,6 +385,7 @@ exports.getSettings = async (req, res) => {
  * Updates settings including brandId and/or marketinApiKey
  * - brandId is required if not already set in DB
  * - marketinApiKey can be updated independently once brandId is set
+ * - attribution and commission settings (attributionModel, commissionableComponents, ...) are merged into wix_tokens.settings
  */
 exports.updateSettings = async (req, res) => {
   try {
@@ -432,6 +445,15 @@ exports.updateSettings = async (req, res) => {
       }
     }
     
+    // Attribution and other per-installation settings
+    const { updates: settingsUpdates, error: settingsError } = settingsService.validateSettingsUpdate(req.body);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+    if (Object.keys(settingsUpdates).length) {
+      updateFields.settings = settingsService.mergeSettings(tokenRow, settingsUpdates);
+    }
+
     // Only update if there's something to update
     if (Object.keys(updateFields).length === 0) {
       return res.status(400).json({ error: 'No settings to update' });
@@ -450,6 +472,7 @@ exports.updateSettings = async (req, res) => {
       message: 'Settings saved successfully',
       brandId: effectiveBrandId,
       brandName: brandName || tokenRow.brand_name || null,
+      settings: settingsService.parseSettings({ settings: updateFields.settings || tokenRow.settings }),
       snippet: scriptInfo.snippet,
       instructions: scriptInfo.instructions
     });
@@ -460,3 +483,135 @@ exports.updateSettings = async (req, res) => {
     res.status(500).json({ error: 'Failed to update settings' });
   }
 };
+
+/**
+ * GET /admin/iframe/coupons
+ * Lists the coupon codes mapped to affiliates on this site
+ */
+exports.getCoupons = async (req, res) => {
+  try {
+    const siteId = req.query.siteId || req.wixSiteId;
+    const tokenRow = await findTokenForSite(siteId);
+
+    if (!tokenRow) {
+      return res.status(404).json({ error: 'No installation found' });
+    }
+
+    const mappings = await couponMappingService.listCouponMappings(tokenRow.site_id);
+    res.json({ ok: true, siteId: tokenRow.site_id, mappings });
+  } catch (err) {
+    console.error('getCoupons error:', err.message);
+    res.status(500).json({ error: 'Failed to get coupon mappings' });
+  }
+};
+
+/**
+ * POST /admin/iframe/coupons
+ * Maps a coupon code to an affiliate (updates the mapping if the code exists)
+ */
+exports.saveCoupon = async (req, res) => {
+  try {
+    const siteId = req.body.siteId || req.wixSiteId;
+    const tokenRow = await findTokenForSite(siteId);
+
+    if (!tokenRow) {
+      return res.status(404).json({ error: 'No installation found' });
+    }
+
+    const { code, affiliateId, campaignId, isActive } = req.body;
+    const { mapping, created, error } = await couponMappingService.saveCouponMapping({
+      siteId: tokenRow.site_id,
+      code,
+      affiliateId,
+      campaignId,
+      isActive
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(created ? 201 : 200).json({ ok: true, mapping });
+  } catch (err) {
+    console.error('saveCoupon error:', err.message);
+    res.status(500).json({ error: 'Failed to save coupon mapping' });
+  }
+};
+
+/**
+ * DELETE /admin/iframe/coupons/:id
+ * Removes a coupon mapping of this site
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const siteId = req.query.siteId || req.wixSiteId;
+    const tokenRow = await findTokenForSite(siteId);
+
+    if (!tokenRow) {
+      return res.status(404).json({ error: 'No installation found' });
+    }
+
+    const deleted = await couponMappingService.deleteCouponMapping(req.params.id, tokenRow.site_id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Coupon mapping not found' });
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('deleteCoupon error:', err.message);
+    res.status(500).json({ error: 'Failed to delete coupon mapping' });
+  }
+};
+
+/**
+ * GET /admin/iframe/review
+ * Lists this site's conversions awaiting review (approval mode and fraud screening holds)
+ */
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const siteId = req.query.siteId || req.wixSiteId;
+    const tokenRow = await findTokenForSite(siteId);
+
+    if (!tokenRow) {
+      return res.status(404).json({ error: 'No installation found' });
+    }
+
+    const jobs = await conversionQueue.listReviewJobs({ siteId: tokenRow.site_id });
+    const counts = await conversionQueue.countReviewJobs(tokenRow.site_id);
+    res.json({ ok: true, siteId: tokenRow.site_id, counts, jobs });
+  } catch (err) {
+    console.error('getReviewQueue error:', err.message);
+    res.status(500).json({ error: 'Failed to get review queue' });
+  }
+};
+
+/**
+ * POST /admin/iframe/review/:jobId/approve | reject
+ * Approves (queues for sending) or rejects (with a reason) a conversion of this site
+ */
+exports.reviewConversion = async (req, res) => {
+  try {
+    const siteId = req.body.siteId || req.wixSiteId;
+    const tokenRow = await findTokenForSite(siteId);
+
+    if (!tokenRow) {
+      return res.status(404).json({ error: 'No installation found' });
+    }
+
+    const { decision, jobId } = req.params;
+    const result = await conversionQueue.reviewJob(jobId, decision, {
+      note: decision === 'reject' ? req.body.reason : req.body.note,
+      siteId: tokenRow.site_id
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    if (!result.success) {
+      return res.status(404).json({ error: result.message });
+    }
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('reviewConversion error:', err.message);
+    res.status(500).json({ error: 'Failed to review conversion' });
+  }
+};
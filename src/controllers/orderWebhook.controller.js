@@ -4,169 +4,260 @@
  */
 const knex = require('../db');
 const crypto = require('crypto');
-const { enqueueConversion, processQueue } = require('../services/conversionQueue.service');
-const { findAffiliateByVisitor } = require('./visitorSession.controller');
+const {
+  enqueueConversion,
+  enqueueAdjustment,
+  enqueueRenewal,
+  findConversionForOrder,
+  findAdjustmentsForJob,
+  findSubscriptionConversion,
+  getLastRenewalCycle,
+  findRenewalByKey,
+  cancelJob,
+  processQueue
+} = require('../services/conversionQueue.service');
+const { findAffiliateByVisitor, findTouchpointsByVisitor } = require('./visitorSession.controller');
+const { DEFAULT_SETTINGS, parseSettings } = require('../services/settings.service');
+const { applyAttributionModel } = require('../services/attribution.service');
+const { recordAttributionDecision } = require('../services/attributionAudit.service');
+const { recordIdentity, findAffiliateByEmail } = require('../services/customerIdentity.service');
+const { findAffiliateByCoupons } = require('../services/couponMapping.service');
+const { screenConversion } = require('../services/fraudScreening.service');
+const { adaptLineItem, detectOrderVertical } = require('../services/orderSource.service');
+const { getWebhookJwt, decodeJwtSegment } = require('../utils/wixSignature');
+const { convertAmount } = require('../services/exchangeRate.service');
+
+// A delivery still processing after this long is assumed crashed and may be reprocessed by a retry
+const PROCESSING_TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_SECONDS || '120', 10);
 
 /**
- * Wix Public Key for webhook signature verification
- * Wix uses RSA public key signatures, not HMAC secrets
- * Set WIX_PUBLIC_KEY in env or use inline default
+ * Unwrap a Wix JWT payload into the body format parseWixOrderPayload understands
+ * JWT payload: { data: "<json>" } -> { data: "<json>", instanceId, eventType } -> event with the order
+ * Order location depends on the event: actionEvent.body.order (OrderPaid),
+ * createdEvent.entity / updatedEvent.currentEntity (entity events), or data.order
  */
-const getWixPublicKey = () => {
-  const envKey = process.env.WIX_PUBLIC_KEY;
-  if (!envKey) return null;
+const unwrapWixJwtPayload = (jwtPayload = {}) => {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
 
-  // Trim surrounding quotes if present (some .env editors wrap values in quotes)
-  let key = envKey.trim();
-  if ((key.startsWith('"') && key.endsWith('"')) || (key.startsWith("'") && key.endsWith("'"))) {
-    key = key.substring(1, key.length - 1);
-  }
+  const envelope = parse(jwtPayload.data);
+  const event = parse(envelope.data);
+  const entityJson = event.createdEvent?.entityAsJson || event.updatedEvent?.currentEntityAsJson;
 
-  // If the value contains literal backslash-n sequences (\n), convert them to real newlines
-  if (key.includes('\\n')) {
-    key = key.replace(/\\n/g, '\n');
-  }
+  const order =
+    event.actionEvent?.body?.order ||
+    event.createdEvent?.entity ||
+    event.updatedEvent?.currentEntity ||
+    (entityJson ? parse(entityJson) : null) ||
+    event.data?.order ||
+    event.order ||
+    {};
 
-  // Normalize CRLF -> LF
-  key = key.replace(/\r\n/g, '\n');
+  return {
+    eventId: event.id || event.eventId || null,
+    entityId: event.entityId || order.id || order._id || null,
+    eventType: envelope.eventType,
+    instanceId: envelope.instanceId,
+    data: { order }
+  };
+};
 
-  // If it's already a PEM with BEGIN header, return
-  if (key.includes('-----BEGIN')) {
-    return key;
+// Helper to safely parse JSON from raw body when a sender uses text/plain
+const getRequestBody = (req) => {
+  // JWT envelope: signature already verified by the verifyWixWebhook middleware, decode and unwrap
+  const jwt = getWebhookJwt(req);
+  if (jwt) {
+    try {
+      return unwrapWixJwtPayload(decodeJwtSegment(jwt.split('.')[1]));
+    } catch (err) {
+      console.error('Failed to decode JWT webhook payload:', err?.message);
+      return {};
+    }
   }
-
-  // Otherwise, assume it's base64 encoded; attempt to decode
+  // If body is already a parsed object, use it
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length) return req.body;
+  // Attempt to parse the raw body (buffer) if present
+  const raw = req.rawBody || req.body || null;
+  if (!raw) return {};
   try {
-    const decoded = Buffer.from(key, 'base64').toString('utf8');
-    if (decoded.includes('-----BEGIN')) return decoded;
-    // If decode didn't contain PEM header, fall back to the raw value (best-effort)
-    return key;
+    // Buffer -> string -> JSON parse. If it's already a string that looks like JSON, parse it.
+    const str = Buffer.isBuffer(raw) ? raw.toString('utf8') : (typeof raw === 'string' ? raw : JSON.stringify(raw));
+    return JSON.parse(str);
   } catch (err) {
-    // Not valid base64, just return the raw value
-    return key;
+    // Not JSON, return original body or empty
+    return req.body || {};
   }
 };
 
 /**
- * Validate Wix webhook signature using RSA public key (Wix SDK method)
- * Wix signs webhooks with their private key; we verify with their public key
- * 
- * Signature header: x-wix-signature (base64 encoded)
- * Algorithm: RSA-SHA256
+ * Wix delivery/event id used to recognize retried deliveries
+ * Header first, then the ids Wix puts in the event envelope
  */
-const validateWixPublicKeySignature = (req) => {
-  const publicKey = getWixPublicKey();
-  if (!publicKey) return { valid: false, reason: 'no_public_key_configured' };
+const getWebhookEventId = (req, body = {}) => {
+  const eventId =
+    req.headers['x-wix-event-id'] ||
+    req.headers['x-wix-delivery-id'] ||
+    body.eventId ||
+    body.metadata?.eventId ||
+    body.metadata?.id ||
+    null;
+  return eventId ? String(eventId) : null;
+};
 
-  const signature = req.headers['x-wix-signature'];
-  if (!signature) return { valid: false, reason: 'no_signature_header' };
+/**
+ * Stored deliveries of the same webhook (same event id, or identical payload), oldest first
+ */
+const deliveriesOf = (eventId, payloadHash) => knex('order_webhooks')
+  .where(builder => {
+    builder.where('payload_hash', payloadHash);
+    if (eventId) builder.orWhere('event_id', eventId);
+  })
+  .orderBy('id', 'asc');
 
-  try {
-    const payload = req.rawBody || Buffer.from(JSON.stringify(req.body));
-    const verifier = crypto.createVerify('RSA-SHA256');
-    verifier.update(payload);
-    
-    const isValid = verifier.verify(publicKey, signature, 'base64');
-    return { valid: isValid, reason: isValid ? 'public_key_verified' : 'signature_mismatch' };
-  } catch (err) {
-    console.error('RSA signature verification error:', err?.message);
-    return { valid: false, reason: 'verification_error', error: err?.message };
-  }
+/**
+ * Find an earlier delivery of the same webhook that reached a final outcome
+ * Deliveries that failed (status error) or are still processing are not duplicates
+ * @returns {Object|null} order_webhooks row
+ */
+const findPreviousDelivery = async (eventId, payloadHash) => {
+  const previous = await deliveriesOf(eventId, payloadHash)
+    .whereNotNull('status')
+    .whereNotIn('status', ['error', 'processing'])
+    .first();
+  return previous || null;
 };
 
 /**
- * Validate HMAC-SHA256 signature from Wix webhook (legacy/fallback method)
+ * Find an earlier delivery of the same webhook that failed or has not finished processing
+ * @returns {Object|null} order_webhooks row
  */
-const validateHmacSignature = (req) => {
-  const secret = process.env.WIX_WEBHOOK_SECRET || process.env.WIX_CLIENT_SECRET;
-  if (!secret) return { valid: false, reason: 'no_secret_configured' };
+const findUnfinishedDelivery = async (eventId, payloadHash) => {
+  const previous = await deliveriesOf(eventId, payloadHash)
+    .whereIn('status', ['processing', 'error'])
+    .first();
+  return previous || null;
+};
 
-  const signature = 
-    req.headers['x-wix-signature'] || 
-    req.headers['x-wix-signature-sha256'] || 
-    req.headers['x-wix-signature-hmac'] ||
-    req.headers['x-wix-hmac'];
-  
-  if (!signature) return { valid: false, reason: 'no_signature_header' };
+/**
+ * Claim a failed or stalled delivery for reprocessing on its own row
+ * A delivery claimed less than PROCESSING_TIMEOUT_SECONDS ago is still being processed: Wix retries
+ * slow deliveries too, and both must not run at once
+ * @returns {boolean} whether this request now owns the delivery
+ */
+const claimDelivery = async (webhookId) => {
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_SECONDS * 1000).toISOString();
+  const claimed = await knex('order_webhooks')
+    .where('id', webhookId)
+    .where(builder => builder
+      .where('status', 'error')
+      .orWhere(stalled => stalled
+        .where('status', 'processing')
+        .where(claim => claim.whereNull('claimed_at').orWhere('claimed_at', '<', staleBefore))))
+    .update({ status: 'processing', claimed_at: new Date().toISOString() });
+  return claimed > 0;
+};
 
-  const payload = req.rawBody || Buffer.from(JSON.stringify(req.body));
-  const hmac = crypto.createHmac('sha256', secret).update(payload).digest('hex');
-  
-  // signature may include sha256= prefix
-  const received = String(signature).replace(/^sha256=/i, '').toLowerCase();
-  const expected = hmac.toLowerCase();
+/**
+ * Whether a write failed on a unique index (sqlite or postgres)
+ */
+const isUniqueViolation = (err) => err?.code === '23505' || /UNIQUE constraint failed/i.test(err?.message || '');
 
-  try {
-    const isValid = crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
-    return { valid: isValid, reason: isValid ? 'hmac_verified' : 'hmac_mismatch' };
-  } catch {
-    const isValid = received === expected;
-    return { valid: isValid, reason: isValid ? 'hmac_verified' : 'hmac_mismatch' };
-  }
+/**
+ * Read a money field that may be a number, a string or { amount }
+ * @returns {number|null}
+ */
+const parseMoney = (value) => {
+  if (value === undefined || value === null) return null;
+  const amount = parseFloat(typeof value === 'object' ? value.amount : value);
+  return Number.isFinite(amount) ? amount : null;
 };
 
 /**
- * Unified webhook signature validation
- * Tries public key verification first (Wix's preferred method), falls back to HMAC
+ * Parse the order-level price components (eCommerce priceSummary or Stores v1 totals)
+ * Missing components are null; discount is a positive amount taken off the subtotal
+ * @returns {Object} { subtotal, discount, shipping, tax, total }
  */
-const validateWebhookSignature = (req) => {
-  // Allow test webhooks in development mode
-  const isTestWebhook = req.headers['x-wix-webhook-test'] === 'true';
-  const isDevelopment = process.env.NODE_ENV !== 'production';
-  
-  if (isTestWebhook && isDevelopment) {
-    console.log('⚠️  Test webhook - bypassing signature verification (dev mode only)');
-    return true;
-  }
-  
-  // In development/test mode without any keys, accept all webhooks
-  const publicKey = getWixPublicKey();
-  const hmacSecret = process.env.WIX_WEBHOOK_SECRET || process.env.WIX_CLIENT_SECRET;
-  
-  if (!publicKey && !hmacSecret) {
-    console.log('No webhook verification configured - accepting webhook');
-    return true;
-  }
+const parsePriceBreakdown = (order = {}) => {
+  const summary = order.priceSummary || order.totals || {};
+  const component = (value) => {
+    const amount = parseMoney(value);
+    return amount === null ? null : Math.abs(amount);
+  };
+  return {
+    subtotal: component(summary.subtotal),
+    discount: component(summary.discount),
+    shipping: component(summary.shipping),
+    tax: component(summary.tax),
+    total: component(summary.total)
+  };
+};
 
-  // Try RSA public key verification first (Wix's primary method)
-  if (publicKey) {
-    const rsaResult = validateWixPublicKeySignature(req);
-    if (rsaResult.valid) {
-      console.log('Webhook verified via RSA public key');
-      return true;
+/**
+ * Collect the chosen options (size, color, ...) of a line item as { name: value }
+ * Stores v1 sends options[{ option, selection }]; eCommerce sends catalogReference.options.options
+ * or, for display, descriptionLines[{ name, plainText | colorInfo }]
+ */
+const parseLineItemOptions = (item) => {
+  const options = {};
+  if (Array.isArray(item.options)) {
+    for (const opt of item.options) {
+      if (opt?.option) options[opt.option] = opt.selection ?? opt.value ?? null;
     }
-    console.log('RSA verification failed:', rsaResult.reason);
   }
-
-  // Fallback to HMAC verification
-  if (hmacSecret) {
-    const hmacResult = validateHmacSignature(req);
-    if (hmacResult.valid) {
-      console.log('Webhook verified via HMAC');
-      return true;
-    }
-    console.log('HMAC verification failed:', hmacResult.reason);
+  const catalogOptions = item.catalogReference?.options?.options;
+  if (catalogOptions && typeof catalogOptions === 'object') {
+    Object.assign(options, catalogOptions);
+  }
+  for (const line of item.descriptionLines || []) {
+    const name = line?.name?.original || line?.name?.translated;
+    const value = line?.plainText?.original || line?.colorInfo?.original || line?.color;
+    if (name && value && options[name] === undefined) options[name] = value;
   }
+  return options;
+};
+
+/**
+ * Parse one order line item, keeping variant, SKU, options and per-line discount/tax
+ * so Market!N can apply variant- and SKU-level commission rules
+ */
+const parseLineItem = (item, currency) => {
+  const catalogReference = item.catalogReference
+    ? {
+        catalogItemId: item.catalogReference.catalogItemId || null,
+        appId: item.catalogReference.appId || null,
+        options: item.catalogReference.options || null
+      }
+    : null;
 
-  // Both methods failed
-  return false;
+  return {
+    lineItemId: item.id || item._id || null,
+    externalProductId: item.productId || item.product_id || item.catalogReference?.catalogItemId || item.id,
+    variantId: item.variantId || item.catalogReference?.options?.variantId || null,
+    sku: item.sku || item.physicalProperties?.sku || null,
+    name: item.name || item.productName?.original || item.productName || item.title || 'Unknown Product',
+    price: parseFloat(item.price?.amount || item.price || item.priceData?.price || 0),
+    quantity: parseInt(item.quantity || 1, 10),
+    currency: item.price?.currency || item.currency || currency,
+    options: parseLineItemOptions(item),
+    catalogReference,
+    discount: parseMoney(item.totalDiscount ?? item.discount) || 0,
+    tax: parseMoney(item.taxDetails?.totalTax ?? item.tax) || 0
+  };
 };
 
-// Helper to safely parse JSON from raw body when a sender uses text/plain
-const getRequestBody = (req) => {
-  // If body is already a parsed object, use it
-  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length) return req.body;
-  // Attempt to parse the raw body (buffer) if present
-  const raw = req.rawBody || req.body || null;
-  if (!raw) return {};
-  try {
-    // Buffer -> string -> JSON parse. If it's already a string that looks like JSON, parse it.
-    const str = Buffer.isBuffer(raw) ? raw.toString('utf8') : (typeof raw === 'string' ? raw : JSON.stringify(raw));
-    return JSON.parse(str);
-  } catch (err) {
-    // Not JSON, return original body or empty
-    return req.body || {};
-  }
+/**
+ * Collect coupon codes applied to an order
+ * eCommerce orders list them in appliedDiscounts[].coupon; Stores v1 orders use appliedDiscount / discount.appliedCoupon
+ * @returns {Array} unique codes in the order they were applied
+ */
+const parseCouponCodes = (order = {}) => {
+  const coupons = [
+    ...(Array.isArray(order.appliedDiscounts) ? order.appliedDiscounts.map(d => d?.coupon) : []),
+    order.appliedDiscount?.coupon,
+    order.discount?.appliedCoupon,
+    order.appliedCoupon
+  ];
+  const codes = coupons.map(c => c?.code).concat(order.couponCode);
+  return [...new Set(codes.filter(code => typeof code === 'string' && code.trim()).map(code => code.trim()))];
 };
 
 /**
@@ -185,6 +276,8 @@ const getRequestBody = (req) => {
  *     }
  *   }
  * }
+ * eCommerce orders (Stores, Bookings, Pricing Plans, Events) use priceSummary, a top-level currency,
+ * buyerInfo.email and lineItems[{ productName: { original }, catalogReference: { catalogItemId, appId } }]
  */
 const parseWixOrderPayload = (body) => {
   // Handle nested data.order format (official Wix webhook)
@@ -217,7 +310,11 @@ const parseWixOrderPayload = (body) => {
     currency = order.currency || currency;
   } else if (order.priceSummary?.total) {
     totalAmount = parseFloat(order.priceSummary.total.amount || order.priceSummary.total);
-    currency = order.priceSummary.total.currency || currency;
+    currency = order.priceSummary.total.currency || order.currency || currency;
+  } else if (order.priceDetails?.total) {
+    // Pricing Plans orders
+    totalAmount = parseFloat(order.priceDetails.total);
+    currency = order.priceDetails.currency || currency;
   }
 
   // Extract buyer info
@@ -225,13 +322,16 @@ const parseWixOrderPayload = (body) => {
   const customerEmail = 
     billingInfo.email || 
     billingInfo.emailAddress || 
+    order.buyerInfo?.email ||
     order.buyerEmail ||
     order.email ||
     null;
+  const contactDetails = billingInfo.contactDetails || {};
   const customerName = 
     billingInfo.fullName || 
     billingInfo.name ||
     `${billingInfo.firstName || ''} ${billingInfo.lastName || ''}`.trim() ||
+    `${contactDetails.firstName || ''} ${contactDetails.lastName || ''}`.trim() ||
     null;
 
   // Extract affiliate info from multiple sources
@@ -274,13 +374,7 @@ const parseWixOrderPayload = (body) => {
 
   // Extract line items (products)
   const rawLineItems = order.lineItems || order.items || order.products || [];
-  const products = rawLineItems.map(item => ({
-    externalProductId: item.productId || item.product_id || item.catalogReference?.catalogItemId || item.id,
-    name: item.name || item.productName || item.title || 'Unknown Product',
-    price: parseFloat(item.price?.amount || item.price || item.priceData?.price || 0),
-    quantity: parseInt(item.quantity || 1, 10),
-    currency: item.price?.currency || item.currency || currency
-  }));
+  const products = rawLineItems.map(item => adaptLineItem(item, parseLineItem(item, currency)));
 
   // Extract site info
   const siteId = 
@@ -297,6 +391,20 @@ const parseWixOrderPayload = (body) => {
     customFields.visitorId ||
     null;
 
+  // Buyer network/browser signals for probabilistic attribution (only present on some checkouts)
+  const shippingAddress = order.shippingInfo?.shipmentDetails?.address || order.shippingInfo?.address || {};
+  const buyerSignals = {
+    ipAddress: order.buyerInfo?.ipAddress || order.buyerIp || order.clientIp || customFields.ipAddress || null,
+    userAgent: order.buyerInfo?.userAgent || order.userAgent || customFields.userAgent || null,
+    country: billingInfo.address?.country || shippingAddress.country || null
+  };
+
+  const eventType = body.eventType || body.event_type || 'OrderPaid';
+  const subscription = parseSubscription(body, order, orderId);
+  let eventKind = classifyOrderEvent(eventType, order);
+  // A later billing cycle of a subscription arriving as a normal paid event
+  if (eventKind === 'paid' && subscription?.cycleNumber > 1) eventKind = 'renewal';
+
   return {
     orderId,
     orderNumber,
@@ -310,62 +418,283 @@ const parseWixOrderPayload = (body) => {
     visitorId,
     siteId,
     products,
-    eventType: body.eventType || body.event_type || 'OrderPaid',
+    sourceVertical: detectOrderVertical(products),
+    buyerSignals,
+    priceBreakdown: parsePriceBreakdown(order),
+    couponCodes: parseCouponCodes(order),
+    createdAt: order.createdDate || order.dateCreated || null,
+    eventType,
+    eventKind,
+    subscription,
+    refund: parseRefund(body, order, currency),
     raw: body
   };
 };
 
+/**
+ * Classify a Wix order event as paid, refund, cancel or other
+ * Refund/cancel checks run first because e.g. "PaymentStatusUpdated" events carry the new status on the order
+ */
+const classifyOrderEvent = (eventType, order = {}) => {
+  const type = String(eventType || '').toLowerCase();
+  const paymentStatus = String(order.paymentStatus || '').toUpperCase();
+  const status = String(order.status || order.fulfillmentStatus || '').toUpperCase();
+
+  if (type.includes('refund') || ['REFUNDED', 'PARTIALLY_REFUNDED'].includes(paymentStatus)) {
+    return 'refund';
+  }
+  if (type.includes('cancel') || ['CANCELED', 'CANCELLED'].includes(status)) {
+    return 'cancel';
+  }
+  // Recurring charges: Pricing Plans order_cycle_started, Stores subscription renewals
+  if (/cycle_?started|recurring|renew/.test(type)) {
+    return 'renewal';
+  }
+
+  const paidEvents = ['OrderPaid', 'order.paid', 'order/paid', 'PAID', 'order_approved'];
+  if (paidEvents.some(e => type.includes(e.toLowerCase()))) {
+    return 'paid';
+  }
+  // eCommerce payment_status_updated events carry the new status on the order
+  if (/payment_?status/.test(type) && paymentStatus === 'PAID') {
+    return 'paid';
+  }
+  return 'other';
+};
+
+/**
+ * Extract subscription details (Stores subscriptions, Pricing Plans orders)
+ * Stores orders carry subscriptionInfo { id, cycleNumber } on the order or its line items;
+ * Pricing Plans orders are the subscription themselves and report the current cycle
+ * @returns {Object|null} { subscriptionId, cycleNumber, paymentId } - cycleNumber is null when unknown;
+ *   paymentId (the charge of this cycle) is only set when the event carries one
+ */
+const parseSubscription = (body, order, orderId) => {
+  const info = order.subscriptionInfo ||
+    (Array.isArray(order.lineItems) ? order.lineItems.find(item => item?.subscriptionInfo)?.subscriptionInfo : null);
+  const subscriptionId = info?.id || info?.subscriptionId || order.subscriptionId || (order.planId ? orderId : null);
+  if (!subscriptionId) return null;
+
+  const cycleNumber = parseInt(
+    info?.cycleNumber ?? body.data?.cycleNumber ?? order.currentCycle?.index ?? order.cycleNumber,
+    10
+  );
+  const paymentId = info?.paymentId || body.data?.paymentId || body.data?.payment?.id || order.paymentId || order.lastPayment?.id;
+  return {
+    subscriptionId: String(subscriptionId),
+    cycleNumber: Number.isFinite(cycleNumber) ? cycleNumber : null,
+    ...(paymentId && { paymentId: String(paymentId) })
+  };
+};
+
+/**
+ * Extract refund details (amount, refunded line items) from refund events
+ * Returns null when the payload carries no refund information
+ */
+const parseRefund = (body, order, currency) => {
+  const refund = body.data?.refund || order.refund || body.refund || null;
+  const paymentStatus = String(order.paymentStatus || '').toUpperCase();
+  const eventType = String(body.eventType || body.event_type || '').toLowerCase();
+
+  if (!refund && paymentStatus !== 'PARTIALLY_REFUNDED' && !eventType.includes('refund')) {
+    return null;
+  }
+
+  const source = refund || {};
+  const rawAmount = source.amount?.amount ?? source.amount ?? source.totalRefunded?.amount ?? source.totalRefunded;
+  const amount = rawAmount !== undefined && rawAmount !== null ? parseFloat(rawAmount) : null;
+
+  const lineItems = (source.lineItems || source.items || []).map(item => ({
+    lineItemId: item.lineItemId || item.id || null,
+    externalProductId: item.productId || item.catalogReference?.catalogItemId || null,
+    quantity: parseInt(item.quantity || 1, 10)
+  }));
+
+  const isPartial =
+    eventType.includes('partial') ||
+    paymentStatus === 'PARTIALLY_REFUNDED' ||
+    source.partial === true ||
+    lineItems.length > 0;
+
+  return {
+    refundId: source.id || source.refundId || null,
+    amount: Number.isFinite(amount) ? amount : null,
+    currency: source.amount?.currency || source.currency || currency,
+    lineItems,
+    isPartial
+  };
+};
+
 /**
  * Resolve affiliate through multiple fallback methods
+ * Returns the primary affiliate plus weighted credits according to the brand's attribution model
+ * Brand rules (settings.service):
+ * - directRefOverridesSession: a buyer note ref wins outright; otherwise it is only used when no session matches
+ * - couponOverridesSession: a mapped coupon code wins over sessions; otherwise it is used when no session matches
+ * - lookbackDays: sessions and email identities older than the attribution window are ignored
+ * - probabilisticMatch / historicOrderFallback: enable the riskier fallbacks
+ * - probabilisticThreshold: minimum confidence for an IP/user agent match
+ * Every model applies the same precedence (overriding direct ref, overriding coupon, sessions, coupon,
+ * direct ref, email); the model only decides how the matching sessions share the credit.
+ * @param {Object} parsedOrder - Result of parseWixOrderPayload
+ * @param {Object} brandSettings - Installation settings (see settings.service)
+ * @param {Array} candidates - Optional; filled with every candidate considered (attribution audit trail)
+ * @returns {Object|null} { affiliateId, campaignId, source, reason, model, credits }
  */
-const resolveAffiliate = async (parsedOrder) => {
-  // 1. Direct affiliate ID from order
-  if (parsedOrder.affiliateId) {
+const resolveAffiliate = async (parsedOrder, brandSettings = DEFAULT_SETTINGS, candidates = []) => {
+  const settings = { ...DEFAULT_SETTINGS, ...brandSettings };
+  const model = settings.attributionModel;
+  // Mark the winning candidate and attach single-affiliate credits
+  const select = (result, reason) => {
+    const winner = candidates.find(c => c.source === result.source && c.affiliateId === result.affiliateId);
+    if (winner) winner.selected = true;
     return {
-      affiliateId: parsedOrder.affiliateId,
-      campaignId: parsedOrder.campaignId,
-      source: 'order_direct'
+      ...result,
+      reason,
+      model,
+      credits: [{ affiliateId: result.affiliateId, campaignId: result.campaignId || null, weight: 1 }]
     };
+  };
+
+  const direct = parsedOrder.affiliateId
+    ? { affiliateId: parsedOrder.affiliateId, campaignId: parsedOrder.campaignId, source: 'order_direct' }
+    : null;
+  if (direct) {
+    candidates.push({ ...direct, reason: 'buyer_note_or_custom_field' });
+  }
+
+  // 1. Direct affiliate ID from order (when the brand lets it override sessions)
+  if (direct && settings.directRefOverridesSession) {
+    return select(direct, 'direct_ref_overrides_session');
   }
 
-  // 2. Session-based lookup
+  // Coupon codes shared by affiliates (looked up once, used before or after sessions)
+  let coupon = null;
+  if (parsedOrder.couponCodes?.length) {
+    try {
+      coupon = await findAffiliateByCoupons({ siteId: parsedOrder.siteId, codes: parsedOrder.couponCodes });
+    } catch (err) {
+      console.error('Coupon mapping lookup failed', err?.message);
+    }
+    if (coupon) {
+      coupon = { ...coupon, campaignId: coupon.campaignId || parsedOrder.campaignId, source: 'coupon' };
+      candidates.push({ ...coupon, reason: 'coupon_mapping' });
+    } else {
+      candidates.push({ source: 'coupon', affiliateId: null, couponCodes: parsedOrder.couponCodes, reason: 'no_mapping_for_coupon' });
+    }
+  }
+
+  if (coupon && settings.couponOverridesSession) {
+    return select(coupon, 'coupon_overrides_session');
+  }
+
+  // 2a. Multi-touch models weigh every session that touched the buyer
+  if (model !== 'last_click') {
+    const touchpoints = await findTouchpointsByVisitor({
+      siteId: parsedOrder.siteId,
+      visitorId: parsedOrder.visitorId,
+      sessionId: parsedOrder.sessionId
+    }, { lookbackDays: settings.lookbackDays });
+
+    // Decay is measured to the order time so replaying an order yields the same weights
+    const credits = applyAttributionModel(touchpoints, model, {
+      now: Date.parse(parsedOrder.createdAt) || undefined,
+      halfLifeDays: settings.timeDecayHalfLifeDays
+    });
+    for (const tp of touchpoints) {
+      candidates.push({
+        source: tp.source,
+        affiliateId: tp.affiliateId,
+        campaignId: tp.campaignId || null,
+        sessionId: tp.sessionId,
+        touchedAt: tp.touchedAt,
+        reason: 'touchpoint'
+      });
+    }
+    if (credits.length) {
+      for (const candidate of candidates) {
+        const credit = credits.find(c => c.affiliateId === candidate.affiliateId);
+        if (credit) {
+          candidate.selected = true;
+          candidate.weight = credit.weight;
+        }
+      }
+      return {
+        affiliateId: credits[0].affiliateId,
+        campaignId: credits[0].campaignId || parsedOrder.campaignId,
+        source: touchpoints.length > 1 ? 'multi_touch' : touchpoints[0].source,
+        reason: `${model}_model`,
+        model,
+        credits
+      };
+    }
+  }
+
+  // 2b. Session-based lookup
   const sessionResult = await findAffiliateByVisitor({
     siteId: parsedOrder.siteId,
     visitorId: parsedOrder.visitorId,
     email: parsedOrder.customerEmail,
-    sessionId: parsedOrder.sessionId
+    sessionId: parsedOrder.sessionId,
+    signals: { ...parsedOrder.buyerSignals, orderedAt: parsedOrder.createdAt }
+  }, {
+    lookbackDays: settings.lookbackDays,
+    probabilisticMatch: settings.probabilisticMatch,
+    probabilisticThreshold: settings.probabilisticThreshold,
+    candidates
   });
   
   if (sessionResult?.affiliateId) {
-    return {
+    const result = {
       affiliateId: sessionResult.affiliateId,
       campaignId: sessionResult.campaignId || parsedOrder.campaignId,
       source: sessionResult.source
     };
+    if (sessionResult.confidence !== undefined) {
+      result.confidence = sessionResult.confidence;
+      result.matchedSignals = sessionResult.matchedSignals;
+    }
+    return select(result, `${sessionResult.source}_match`);
+  }
+
+  if (coupon) {
+    return select(coupon, 'coupon_fallback_no_session');
+  }
+
+  // Direct ref as a fallback when sessions take precedence
+  if (direct) {
+    return select(direct, 'direct_ref_fallback_no_session');
   }
 
-  // 3. Historical order lookup (same customer email)
-  if (parsedOrder.customerEmail) {
+  // 3. Email lookup: previous orders or identify calls by the same customer on this site
+  if (parsedOrder.customerEmail && !settings.historicOrderFallback) {
+    candidates.push({ source: 'historic_order', affiliateId: null, reason: 'disabled' });
+  } else if (parsedOrder.customerEmail) {
     try {
-      const rows = await knex('order_webhooks')
-        .whereRaw("payload LIKE ?", [`%${parsedOrder.customerEmail}%`])
-        .orderBy('created_at', 'desc')
-        .limit(10);
-
-      for (const row of rows) {
-        try {
-          const historic = parseWixOrderPayload(JSON.parse(row.payload));
-          if (historic.affiliateId) {
-            return {
-              affiliateId: historic.affiliateId,
-              campaignId: historic.campaignId || parsedOrder.campaignId,
-              source: 'historic_order'
-            };
-          }
-        } catch { /* ignore parse errors */ }
+      const identity = await findAffiliateByEmail({
+        siteId: parsedOrder.siteId,
+        email: parsedOrder.customerEmail,
+        excludeOrderId: parsedOrder.orderId,
+        lookbackDays: settings.lookbackDays
+      });
+      if (identity) {
+        candidates.push({
+          source: identity.source,
+          affiliateId: identity.affiliateId,
+          campaignId: identity.campaignId || null,
+          orderId: identity.orderId,
+          sessionId: identity.sessionId,
+          reason: 'same_customer_email'
+        });
+        return select({
+          affiliateId: identity.affiliateId,
+          campaignId: identity.campaignId || parsedOrder.campaignId,
+          source: identity.source
+        }, `${identity.source}_match`);
       }
+      candidates.push({ source: 'historic_order', affiliateId: null, reason: 'no_affiliate_for_email' });
     } catch (err) {
-      console.error('Historic order lookup failed', err?.message);
+      console.error('Customer email lookup failed', err?.message);
     }
   }
 
@@ -373,108 +702,659 @@ const resolveAffiliate = async (parsedOrder) => {
 };
 
 /**
- * Main Wix order webhook handler
- * POST /wix/orders/webhook
+ * Round a monetary amount to 2 decimal places
  */
-exports.handleWixOrderWebhook = async (req, res) => {
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out the value commission is paid on from the brand's commissionable components
+ * subtotal/shipping/tax are added, discount is deducted; orders without a subtotal fall back to the total
+ * @returns {Object} { amount, breakdown } - breakdown is sent in conversion metadata for auditing
+ */
+const computeCommissionableAmount = (parsedOrder, components = DEFAULT_SETTINGS.commissionableComponents) => {
+  const priceBreakdown = parsedOrder.priceBreakdown || {};
+  const breakdown = { ...priceBreakdown, currency: parsedOrder.currency, components };
+
+  if (priceBreakdown.subtotal === null || priceBreakdown.subtotal === undefined) {
+    return { amount: parsedOrder.totalAmount, breakdown: { ...breakdown, basis: 'total' } };
+  }
+
+  let amount = 0;
+  if (components.includes('subtotal')) amount += priceBreakdown.subtotal;
+  if (components.includes('shipping')) amount += priceBreakdown.shipping || 0;
+  if (components.includes('tax')) amount += priceBreakdown.tax || 0;
+  if (components.includes('discount')) amount -= priceBreakdown.discount || 0;
+
+  return { amount: roundAmount(Math.max(amount, 0)), breakdown: { ...breakdown, basis: 'components' } };
+};
+
+/**
+ * Convert a conversion payload to the brand's reporting currency
+ * The order's own amount/currency and the rate used are kept in metadata.currencyConversion.
+ * Without a usable rate the conversion is sent in the order currency and the error is recorded.
+ */
+const normalizeToReportingCurrency = async (conversionPayload, reportingCurrency) => {
+  const orderCurrency = String(conversionPayload.currency || '').toUpperCase();
+  if (!reportingCurrency || !orderCurrency || orderCurrency === reportingCurrency) {
+    return conversionPayload;
+  }
+
+  try {
+    const converted = await convertAmount(conversionPayload.amount, orderCurrency, reportingCurrency);
+    return {
+      ...conversionPayload,
+      amount: converted.amount,
+      currency: converted.currency,
+      products: (conversionPayload.products || []).map(p => ({
+        ...p,
+        price: roundAmount((parseFloat(p.price) || 0) * converted.rate),
+        discount: roundAmount((parseFloat(p.discount) || 0) * converted.rate),
+        tax: roundAmount((parseFloat(p.tax) || 0) * converted.rate),
+        currency: converted.currency
+      })),
+      metadata: {
+        ...conversionPayload.metadata,
+        currencyConversion: {
+          originalAmount: converted.originalAmount,
+          originalCurrency: converted.originalCurrency,
+          rate: converted.rate,
+          provider: converted.provider
+        }
+      }
+    };
+  } catch (err) {
+    console.error(`Currency conversion ${orderCurrency} -> ${reportingCurrency} failed:`, err?.message);
+    return {
+      ...conversionPayload,
+      metadata: { ...conversionPayload.metadata, currencyConversionError: err?.message || 'conversion_failed' }
+    };
+  }
+};
+
+/**
+ * Products of the original conversion not taken back yet by earlier adjustments
+ */
+const remainingProducts = (originalProducts, priorPayloads) => originalProducts
+  .map(product => {
+    const adjusted = priorPayloads
+      .flatMap(payload => payload.products || [])
+      .filter(p => (product.lineItemId && p.lineItemId === product.lineItemId) ||
+        (product.externalProductId && p.externalProductId === product.externalProductId))
+      .reduce((sum, p) => sum + (p.quantity || 1), 0);
+    return { ...product, quantity: (product.quantity || 1) - adjusted };
+  })
+  .filter(product => product.quantity > 0);
+
+/**
+ * Work out how much of the original conversion a refund/cancellation takes back
+ * - Cancellations and refunds without an amount or line items reverse what is left of the conversion
+ * - Refunds adjust proportionally to the refunded line items, else to the refunded amount
+ * - Earlier adjustments of the order are deducted, so no more than the original is ever taken back
+ * @param {Object} originalPayload - Payload of the purchase conversion
+ * @param {Object} parsedOrder - Result of parseWixOrderPayload for the refund/cancel event
+ * @param {Array} priorPayloads - Payloads of the adjustments already queued for the purchase
+ * @returns {Object} { eventType: 'reversal'|'adjustment', amount, ratio, products }
+ */
+const computeReversal = (originalPayload, parsedOrder, priorPayloads = []) => {
+  const refund = parsedOrder.refund;
+  const originalAmount = parseFloat(originalPayload.amount) || 0;
+  const originalProducts = originalPayload.products || [];
+  const alreadyAdjusted = priorPayloads.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+  const remainingAmount = roundAmount(Math.max(originalAmount - alreadyAdjusted, 0));
+
+  const reverseRemainder = () => ({
+    eventType: 'reversal',
+    amount: remainingAmount,
+    ratio: originalAmount > 0 ? remainingAmount / originalAmount : 1,
+    products: remainingProducts(originalProducts, priorPayloads)
+  });
+
+  if (parsedOrder.eventKind === 'cancel' || !refund) {
+    return reverseRemainder();
+  }
+
+  let ratio = null;
+  let refundedProducts = [];
+
+  if (refund.lineItems.length && originalProducts.length) {
+    const lineValue = (p) => (parseFloat(p.price) || 0) * (p.quantity || 1);
+    const orderValue = originalProducts.reduce((sum, p) => sum + lineValue(p), 0);
+
+    for (const refunded of refund.lineItems) {
+      const match = originalProducts.find(p =>
+        (refunded.lineItemId && p.lineItemId === refunded.lineItemId) ||
+        (refunded.externalProductId && p.externalProductId === refunded.externalProductId)
+      );
+      if (match) {
+        refundedProducts.push({ ...match, quantity: Math.min(refunded.quantity, match.quantity || 1) });
+      }
+    }
+
+    const refundedValue = refundedProducts.reduce((sum, p) => sum + lineValue(p), 0);
+    if (orderValue > 0 && refundedProducts.length) ratio = refundedValue / orderValue;
+  }
+
+  if (ratio === null && refund.amount !== null) {
+    // Refunds are against the order total in the order currency, not the (commissionable, normalized) amount
+    const orderTotal = parsedOrder.totalAmount ||
+      parseFloat(originalPayload.metadata?.orderTotal) ||
+      parseFloat(originalPayload.metadata?.currencyConversion?.originalAmount) ||
+      originalAmount;
+    if (orderTotal > 0) ratio = refund.amount / orderTotal;
+  }
+
+  // Nothing to go on - treat as a full refund rather than leave commission in place
+  if (ratio === null) return reverseRemainder();
+  ratio = Math.min(Math.max(ratio, 0), 1);
+
+  const amount = roundAmount(originalAmount * ratio);
+  if (amount >= remainingAmount) {
+    return reverseRemainder();
+  }
+
+  return {
+    eventType: 'adjustment',
+    amount,
+    ratio,
+    products: refundedProducts
+  };
+};
+
+/**
+ * Handle OrderRefunded / OrderCanceled / partial refund events
+ * Matches the original purchase job and queues a reversal or adjustment through the retry queue
+ */
+const handleOrderReversal = async (parsedOrder, webhookId, { dryRun = false } = {}) => {
+  const originalJob = await findConversionForOrder(parsedOrder.orderId);
+  if (!originalJob) {
+    console.log('No conversion to reverse for order:', parsedOrder.orderId);
+    return { skipped: true, reason: 'no_original_conversion' };
+  }
+
+  const parsePayload = (job) => {
+    try {
+      return JSON.parse(job.payload || '{}');
+    } catch {
+      return {};
+    }
+  };
+  const originalPayload = parsePayload(originalJob);
+
+  // Partial refunds may arrive several times per order; key each one separately
+  const adjustmentKey = parsedOrder.refund?.refundId || crypto.createHash('sha1')
+    .update(JSON.stringify(parsedOrder.refund || {}))
+    .digest('hex')
+    .slice(0, 12);
+
+  const priorJobs = await findAdjustmentsForJob(originalJob.job_id);
+  const priorReversal = priorJobs.find(job => job.event_type === 'reversal');
+  if (priorReversal) {
+    return { skipped: true, reason: 'already_reversed', jobId: priorReversal.job_id };
+  }
+  // A redelivered refund resolves to its own job, which must not count against itself
+  const priorPayloads = priorJobs
+    .filter(job => job.job_id !== `${originalJob.job_id}_adjustment_${adjustmentKey}`)
+    .map(parsePayload);
+
+  const reversal = computeReversal(originalPayload, parsedOrder, priorPayloads);
+
+  // Full reversal of a conversion Market!N never received: just cancel the send
+  if (reversal.eventType === 'reversal' && ['pending', 'failed', 'held', 'pending_review'].includes(originalJob.status)) {
+    if (dryRun) {
+      return { dryRun: true, wouldCancel: true, jobId: originalJob.job_id };
+    }
+    const canceled = await cancelJob(originalJob.job_id, `order_${parsedOrder.eventKind}`);
+    if (canceled) {
+      console.log('Canceled unsent conversion:', originalJob.job_id);
+      return { canceled: true, jobId: originalJob.job_id };
+    }
+  }
+
+  if (['dead', 'canceled', 'rejected'].includes(originalJob.status)) {
+    return { skipped: true, reason: 'original_not_sent', jobId: originalJob.job_id };
+  }
+
+  const adjustmentPayload = {
+    ...originalPayload,
+    eventType: reversal.eventType,
+    amount: reversal.amount,
+    products: reversal.products,
+    metadata: {
+      ...originalPayload.metadata,
+      eventType: parsedOrder.eventType,
+      originalConversionRef: originalPayload.externalOrderId || parsedOrder.orderId,
+      originalAmount: originalPayload.amount,
+      adjustmentRatio: reversal.ratio,
+      refundId: parsedOrder.refund?.refundId || null,
+      refundedAmount: parsedOrder.refund?.amount ?? null,
+      webhookId
+    }
+  };
+
+  if (dryRun) {
+    return { dryRun: true, parentJobId: originalJob.job_id, eventType: reversal.eventType, amount: reversal.amount, adjustmentPayload };
+  }
+
+  const queueResult = await enqueueAdjustment(originalJob, adjustmentPayload, webhookId,
+    reversal.eventType === 'adjustment' ? adjustmentKey : null);
+  console.log('Conversion reversal enqueued:', queueResult);
+
+  return {
+    queued: queueResult.status === 'pending',
+    jobId: queueResult.jobId,
+    eventType: reversal.eventType,
+    amount: reversal.amount
+  };
+};
+
+/**
+ * Handle a recurring charge of a subscription
+ * Credits the affiliate of the purchase that started the subscription, as long as the brand's
+ * maxRenewalCycles allows commission on this cycle. Cycle 1 is the purchase itself.
+ * Renewals without a cycle number get the next cycle only for a payment not seen before
+ * (keyed by payment id, else the renewal's own order id), so redeliveries and replays
+ * resolve to the renewal already queued.
+ */
+const handleRenewal = async (parsedOrder, webhookId, { dryRun = false, replay = false } = {}) => {
+  const subscriptionId = parsedOrder.subscription?.subscriptionId || null;
+  const purchaseJob = await findSubscriptionConversion({ subscriptionId, orderId: parsedOrder.orderId });
+  if (!purchaseJob) {
+    console.log('No subscription conversion for renewal of order:', parsedOrder.orderId);
+    return { skipped: true, reason: 'no_original_subscription_conversion' };
+  }
+  if (['dead', 'canceled', 'rejected'].includes(purchaseJob.status)) {
+    return { skipped: true, reason: 'original_not_sent', jobId: purchaseJob.job_id };
+  }
+
+  let originalPayload = {};
   try {
-    // 1. Validate signature
-    if (!validateWebhookSignature(req)) {
-      console.warn('Invalid webhook signature received');
-      return res.status(401).json({ error: 'Invalid signature' });
+    originalPayload = JSON.parse(purchaseJob.payload || '{}');
+  } catch { /* fall through with empty payload */ }
+
+  // Pricing Plans renewals reuse the plan order id, which then identifies no single payment
+  const originalOrderId = purchaseJob.external_order_id || originalPayload.externalOrderId;
+  const renewalKey = parsedOrder.subscription?.paymentId ||
+    (parsedOrder.orderId && parsedOrder.orderId !== originalOrderId ? parsedOrder.orderId : null);
+
+  let cycleNumber = parsedOrder.subscription?.cycleNumber || null;
+  if (!cycleNumber) {
+    if (!renewalKey) {
+      console.warn('Renewal without cycle number or payment id, not queued:', parsedOrder.orderId);
+      return { skipped: true, reason: 'renewal_cycle_unknown', jobId: purchaseJob.job_id };
     }
+    const seen = await findRenewalByKey(purchaseJob.job_id, renewalKey);
+    cycleNumber = seen ? seen.cycle_number : (await getLastRenewalCycle(purchaseJob.job_id)) + 1;
+  }
+  if (cycleNumber <= 1) {
+    return { skipped: true, reason: 'initial_cycle_is_purchase', jobId: purchaseJob.job_id };
+  }
+
+  const siteId = parsedOrder.siteId || originalPayload.siteId || null;
+  const tokenRow = siteId ? await knex('wix_tokens').where({ site_id: siteId, is_active: true }).first() : null;
+  const brandSettings = parseSettings(tokenRow);
+
+  const renewalNumber = cycleNumber - 1;
+  if (brandSettings.maxRenewalCycles !== null && renewalNumber > brandSettings.maxRenewalCycles) {
+    return { skipped: true, reason: 'renewal_cycle_limit', jobId: purchaseJob.job_id, cycleNumber };
+  }
+
+  // Renewal events may omit prices; the subscription price is then the original purchase value
+  const commissionable = parsedOrder.totalAmount
+    ? computeCommissionableAmount(parsedOrder, brandSettings.commissionableComponents)
+    : null;
+  const renewalPayload = await normalizeToReportingCurrency({
+    ...originalPayload,
+    eventType: 'renewal',
+    cycleNumber,
+    subscriptionId: subscriptionId || purchaseJob.subscription_id || null,
+    externalOrderId: `${originalPayload.externalOrderId || parsedOrder.orderId}_cycle_${cycleNumber}`,
+    amount: commissionable ? commissionable.amount : originalPayload.amount,
+    currency: commissionable ? parsedOrder.currency : originalPayload.currency,
+    // Line items follow the amount: an unpriced renewal reuses the purchase's already-converted items
+    products: commissionable && parsedOrder.products?.length ? parsedOrder.products : originalPayload.products,
+    metadata: {
+      ...originalPayload.metadata,
+      eventType: parsedOrder.eventType,
+      originalConversionRef: originalPayload.externalOrderId,
+      subscriptionId: subscriptionId || purchaseJob.subscription_id || null,
+      cycleNumber,
+      renewalOrderId: parsedOrder.orderId,
+      renewalKey,
+      // A priced renewal is converted afresh; otherwise the purchase's conversion details still apply
+      ...(commissionable && {
+        currencyConversion: undefined,
+        orderTotal: parsedOrder.totalAmount,
+        commissionable: commissionable.breakdown
+      }),
+      ...(replay && { replayed: true }),
+      webhookId
+    }
+  }, brandSettings.reportingCurrency);
+
+  if (dryRun) {
+    return { dryRun: true, purchaseJobId: purchaseJob.job_id, eventType: 'renewal', cycleNumber, renewalPayload };
+  }
+
+  // Renewals of a purchase still awaiting review wait for the same review
+  const awaitingReview = ['held', 'pending_review'].includes(purchaseJob.status);
+  const screening = awaitingReview
+    ? {
+      held: purchaseJob.status === 'held',
+      reviewRequired: true,
+      flags: [{ check: `original_${purchaseJob.status}`, jobId: purchaseJob.job_id }],
+      buyerIp: purchaseJob.buyer_ip
+    }
+    : null;
+  const queueResult = await enqueueRenewal(purchaseJob, renewalPayload, webhookId, screening);
+  console.log('Renewal conversion enqueued:', queueResult);
+
+  return {
+    queued: queueResult.status === 'pending',
+    ...reviewResult(queueResult, screening),
+    jobId: queueResult.jobId,
+    eventType: 'renewal',
+    cycleNumber,
+    affiliateId: originalPayload.affiliateId
+  };
+};
 
-      // 2. Store raw webhook immediately (for debugging/replay). Parse fallback for text/plain bodies
-      const parsedBody = getRequestBody(req);
-      const webhookPayloadStr = JSON.stringify(parsedBody || {});
-      const [webhookId] = await knex('order_webhooks').insert({
-        payload: webhookPayloadStr,
-        created_at: new Date()
+/**
+ * Response fields for a conversion that was queued for review instead of sending
+ */
+const reviewResult = (queueResult, screening) => {
+  if (queueResult.status === 'held') return { held: true, screeningFlags: (screening?.flags || []).map(f => f.check) };
+  if (queueResult.status === 'pending_review') return { pendingReview: true, screeningFlags: (screening?.flags || []).map(f => f.check) };
+  return {};
+};
+
+/**
+ * Derive the outcome columns stored on order_webhooks from a processing result
+ */
+const webhookOutcome = (result, err) => {
+  if (err) return { status: 'error', reason: String(err?.message || err).slice(0, 255) };
+  if (result.skipped) return { status: 'skipped', reason: result.reason, job_id: result.jobId || null };
+  if (result.canceled) return { status: 'canceled', reason: 'unsent_conversion_canceled', job_id: result.jobId };
+  if (result.held || result.pendingReview) {
+    return { status: result.held ? 'held' : 'pending_review', reason: result.screeningFlags.join(',') || null, job_id: result.jobId };
+  }
+  if (result.jobId) {
+    return { status: 'enqueued', reason: result.queued ? null : 'already_queued', job_id: result.jobId };
+  }
+  return { status: 'processed', reason: null };
+};
+
+/**
+ * Persist the processing outcome on the order_webhooks row
+ * Never throws: the outcome is bookkeeping and must not change the webhook response
+ */
+const recordWebhookOutcome = async (webhookId, parsedOrder, result, err = null) => {
+  if (!webhookId) return;
+  try {
+    await knex('order_webhooks')
+      .where('id', webhookId)
+      .update({
+        job_id: null,
+        ...webhookOutcome(result, err),
+        order_id: parsedOrder?.orderId || null,
+        site_id: parsedOrder?.siteId || null,
+        event_type: parsedOrder?.eventType || null,
+        processed_at: new Date()
       });
+  } catch (updateErr) {
+    console.error('Failed to record webhook outcome:', updateErr?.message);
+  }
+};
 
-    // 3. Parse order payload
-    const parsedOrder = parseWixOrderPayload(parsedBody || req.body || {});
-    
-    console.log('Parsed Wix order:', {
-      orderId: parsedOrder.orderId,
-      amount: parsedOrder.totalAmount,
-      currency: parsedOrder.currency,
+/**
+ * Parse, attribute and enqueue a stored Wix order webhook payload
+ * Shared by the live webhook handler and admin replay; the outcome is recorded on the
+ * order_webhooks row (except for dry runs)
+ * @param {Object} body - Webhook body as stored in order_webhooks
+ * @param {Object} options - { webhookId, dryRun, replay }
+ *   dryRun: resolve attribution and build the conversion without writing anything
+ *   replay: mark the conversion metadata as replayed
+ * @returns {Object} Result returned to Wix / the admin caller
+ */
+const processOrderWebhook = async (body, options = {}) => {
+  // 3. Parse order payload
+  const parsedOrder = parseWixOrderPayload(body || {});
+  
+  console.log('Parsed Wix order:', {
+    orderId: parsedOrder.orderId,
+    amount: parsedOrder.totalAmount,
+    currency: parsedOrder.currency,
+    affiliateId: parsedOrder.affiliateId,
+    products: parsedOrder.products?.length
+  });
+
+  let result;
+  try {
+    result = await processParsedOrder(parsedOrder, options);
+  } catch (err) {
+    if (!options.dryRun) await recordWebhookOutcome(options.webhookId, parsedOrder, null, err);
+    throw err;
+  }
+
+  if (!options.dryRun) await recordWebhookOutcome(options.webhookId, parsedOrder, result);
+  return result;
+};
+
+/**
+ * Steps 4-8 of order processing for an already parsed order
+ */
+const processParsedOrder = async (parsedOrder, { webhookId = null, dryRun = false, replay = false } = {}) => {
+  // 4. Refunds and cancellations reverse the original conversion
+  if (parsedOrder.eventKind === 'refund' || parsedOrder.eventKind === 'cancel') {
+    const reversal = await handleOrderReversal(parsedOrder, webhookId, { dryRun });
+    return { ok: true, orderId: parsedOrder.orderId, ...reversal };
+  }
+
+  // Recurring subscription charges credit the subscription's original affiliate
+  if (parsedOrder.eventKind === 'renewal') {
+    const renewal = await handleRenewal(parsedOrder, webhookId, { dryRun, replay });
+    return { ok: true, orderId: parsedOrder.orderId, ...renewal };
+  }
+
+  // Skip if not a paid order event
+  if (parsedOrder.eventKind !== 'paid') {
+    console.log('Skipping non-paid event:', parsedOrder.eventType);
+    return { ok: true, skipped: true, reason: 'not_paid_event' };
+  }
+
+  // 5. Resolve affiliate using the installation's attribution settings
+  const siteId = parsedOrder.siteId;
+  let tokenRow = null;
+  if (siteId) {
+    tokenRow = await knex('wix_tokens').where({ site_id: siteId, is_active: true }).first();
+  }
+  const brandSettings = parseSettings(tokenRow);
+  const candidates = [];
+  const attribution = await resolveAffiliate(parsedOrder, brandSettings, candidates);
+  const decision = { orderWebhookId: webhookId, parsedOrder, attribution, candidates, settings: brandSettings };
+
+  // Remember the buyer for later email lookups. Only the order's own ref is kept, as the
+  // backfill does: session, coupon and email credits are not propagated to later orders
+  if (!dryRun) {
+    await recordIdentity({
+      siteId,
+      email: parsedOrder.customerEmail,
+      source: 'order',
       affiliateId: parsedOrder.affiliateId,
-      products: parsedOrder.products?.length
+      campaignId: parsedOrder.affiliateId ? parsedOrder.campaignId : null,
+      visitorId: parsedOrder.visitorId,
+      sessionId: parsedOrder.sessionId,
+      orderId: parsedOrder.orderId,
+      touchedAt: parsedOrder.createdAt
     });
+  }
+  
+  if (!attribution?.affiliateId) {
+    console.log('No affiliate found for order:', parsedOrder.orderId);
+    if (!dryRun) await recordAttributionDecision(decision);
+    // Still acknowledge webhook, but don't send conversion
+    return { 
+      ok: true, 
+      skipped: true, 
+      reason: 'no_affiliate',
+      orderId: parsedOrder.orderId,
+      ...(dryRun && { dryRun: true, candidates })
+    };
+  }
 
-    // 4. Skip if not a paid order event
-    const paidEvents = ['OrderPaid', 'order.paid', 'order/paid', 'PAID'];
-    if (!paidEvents.some(e => parsedOrder.eventType?.toLowerCase().includes(e.toLowerCase()))) {
-      console.log('Skipping non-paid event:', parsedOrder.eventType);
-      return res.status(200).json({ ok: true, skipped: true, reason: 'not_paid_event' });
-    }
+  console.log('Affiliate resolved:', attribution);
 
-    // 5. Resolve affiliate
-    const attribution = await resolveAffiliate(parsedOrder);
-    
-    if (!attribution?.affiliateId) {
-      console.log('No affiliate found for order:', parsedOrder.orderId);
-      // Still acknowledge webhook, but don't send conversion
-      return res.status(200).json({ 
-        ok: true, 
-        skipped: true, 
-        reason: 'no_affiliate',
-        orderId: parsedOrder.orderId 
-      });
+  // 6. Build conversion payload
+  // Resolve brandId from the configured token if available
+  const brandIdFromToken = tokenRow?.brand_id;
+  const commissionable = computeCommissionableAmount(parsedOrder, brandSettings.commissionableComponents);
+  const orderConversionPayload = {
+    brandId: brandIdFromToken || process.env.MARKETIN_BRAND_ID || parsedOrder.siteId,
+    siteId: siteId,
+    campaignId: attribution.campaignId,
+    affiliateId: attribution.affiliateId,
+    attributionModel: attribution.model,
+    credits: attribution.credits,
+    externalOrderId: parsedOrder.orderId,
+    sourceVertical: parsedOrder.sourceVertical,
+    ...(parsedOrder.subscription && {
+      subscriptionId: parsedOrder.subscription.subscriptionId,
+      cycleNumber: parsedOrder.subscription.cycleNumber || 1
+    }),
+    amount: commissionable.amount,
+    currency: parsedOrder.currency,
+    customerEmail: parsedOrder.customerEmail,
+    customerName: parsedOrder.customerName,
+    sessionId: parsedOrder.sessionId,
+    products: parsedOrder.products,
+    metadata: {
+      orderNumber: parsedOrder.orderNumber,
+      orderTotal: parsedOrder.totalAmount,
+      commissionable: commissionable.breakdown,
+      eventType: parsedOrder.eventType,
+      attributionSource: attribution.source,
+      ...(attribution.confidence !== undefined && {
+        attributionConfidence: attribution.confidence,
+        matchedSignals: attribution.matchedSignals
+      }),
+      ...(attribution.couponCode && { couponCode: attribution.couponCode }),
+      ...(replay && { replayed: true }),
+      webhookId
     }
+  };
+  const conversionPayload = await normalizeToReportingCurrency(orderConversionPayload, brandSettings.reportingCurrency);
 
-    console.log('Affiliate resolved:', attribution);
+  // Self-referrals, order bursts and geo mismatches are held for admin review instead of sent;
+  // approval mode sends large conversions and new affiliates to pending_review
+  const screening = await screenConversion({
+    parsedOrder,
+    attribution,
+    candidates,
+    settings: brandSettings,
+    amount: conversionPayload.amount
+  });
 
-    // 6. Build conversion payload
-    // Resolve brandId from the configured token if available
-    const siteId = parsedOrder.siteId;
-    let tokenRow = null;
-    if (siteId) {
-      tokenRow = await knex('wix_tokens').where({ site_id: siteId, is_active: true }).first();
-    }
-    const brandIdFromToken = tokenRow?.brand_id;
-    const conversionPayload = {
-      brandId: brandIdFromToken || process.env.MARKETIN_BRAND_ID || parsedOrder.siteId,
-      siteId: siteId,
-      campaignId: attribution.campaignId,
+  if (dryRun) {
+    return {
+      ok: true,
+      dryRun: true,
+      orderId: parsedOrder.orderId,
       affiliateId: attribution.affiliateId,
-      externalOrderId: parsedOrder.orderId,
-      amount: parsedOrder.totalAmount,
-      currency: parsedOrder.currency,
-      customerEmail: parsedOrder.customerEmail,
-      customerName: parsedOrder.customerName,
-      sessionId: parsedOrder.sessionId,
-      products: parsedOrder.products,
-      metadata: {
-        orderNumber: parsedOrder.orderNumber,
-        eventType: parsedOrder.eventType,
-        attributionSource: attribution.source,
-        webhookId
-      }
+      credits: attribution.credits,
+      candidates,
+      screening,
+      conversionPayload
     };
+  }
+
+  // 7. Enqueue conversion for sending with retry (idempotent per brand + order)
+  const queueResult = await enqueueConversion(conversionPayload, webhookId, screening);
+  
+  console.log('Conversion enqueued:', queueResult);
+  if (screening.flags.length) {
+    console.warn('Conversion awaiting review:', { jobId: queueResult.jobId, status: queueResult.status, flags: screening.flags });
+  }
+  await recordAttributionDecision({ ...decision, jobId: queueResult.jobId });
+
+  // 8. Try to process queue immediately (non-blocking)
+  setImmediate(async () => {
+    try {
+      await processQueue(5);
+    } catch (err) {
+      console.error('Queue processing error:', err?.message);
+    }
+  });
+
+  return { 
+    ok: true,
+    orderId: parsedOrder.orderId,
+    queued: queueResult.status === 'pending',
+    ...reviewResult(queueResult, screening),
+    jobId: queueResult.jobId,
+    affiliateId: attribution.affiliateId,
+    credits: attribution.credits
+  };
+};
 
-    // 7. Enqueue conversion for sending with retry
-    const queueResult = await enqueueConversion(conversionPayload, webhookId);
-    
-    console.log('Conversion enqueued:', queueResult);
+/**
+ * Main Wix order webhook handler
+ * POST /wix/orders/webhook
+ */
+exports.handleWixOrderWebhook = async (req, res) => {
+  try {
+    // 1. Signature verified by the verifyWixWebhook middleware (see routes)
 
-    // 8. Try to process queue immediately (non-blocking)
-    setImmediate(async () => {
+    // 2. Store raw webhook immediately (for debugging/replay). Parse fallback for text/plain bodies
+    const parsedBody = getRequestBody(req);
+    const webhookPayloadStr = JSON.stringify(parsedBody || {});
+    const eventId = getWebhookEventId(req, parsedBody || {});
+    const payloadHash = crypto.createHash('sha256').update(webhookPayloadStr).digest('hex');
+
+    // Acknowledge repeated deliveries without re-running attribution
+    const previous = await findPreviousDelivery(eventId, payloadHash);
+    if (previous) {
+      // Atomic increment: Wix retries concurrently
+      await knex('order_webhooks')
+        .where('id', previous.id)
+        .increment('duplicate_count', 1)
+        .update({ last_duplicate_at: new Date() });
+      console.log('Duplicate webhook delivery acknowledged:', { webhookId: previous.id, eventId });
+      return res.status(200).json({
+        ok: true,
+        duplicate: true,
+        webhookId: previous.id,
+        status: previous.status,
+        orderId: previous.order_id
+      });
+    }
+
+    // A failed or stalled earlier delivery is reprocessed on its own row; one still processing
+    // is answered with 409 so Wix retries it later instead of running it twice
+    const stillProcessing = (id) => res.status(409).json({ ok: false, processing: true, webhookId: id || null });
+    let webhookId = (await findUnfinishedDelivery(eventId, payloadHash))?.id;
+    if (webhookId) {
+      if (!(await claimDelivery(webhookId))) return stillProcessing(webhookId);
+    } else {
       try {
-        await processQueue(5);
+        [webhookId] = await knex('order_webhooks').insert({
+          payload: webhookPayloadStr,
+          event_id: eventId,
+          payload_hash: payloadHash,
+          status: 'processing',
+          claimed_at: new Date().toISOString(),
+          created_at: new Date()
+        });
       } catch (err) {
-        console.error('Queue processing error:', err?.message);
+        // A concurrent first delivery of the same event stored it first
+        if (!isUniqueViolation(err)) throw err;
+        return stillProcessing((await findUnfinishedDelivery(eventId, payloadHash))?.id);
       }
-    });
+    }
+
+    // 3-8. Parse, attribute and enqueue
+    const result = await processOrderWebhook(parsedBody || req.body || {}, { webhookId });
 
     // 9. Respond quickly to Wix
-    res.status(200).json({ 
-      ok: true,
-      orderId: parsedOrder.orderId,
-      queued: queueResult.status === 'pending',
-      affiliateId: attribution.affiliateId
-    });
+    res.status(200).json(result);
 
   } catch (err) {
     console.error('handleWixOrderWebhook error:', err?.message || err);
@@ -527,5 +1407,8 @@ exports.handleTestWebhook = async (req, res) => {
 
 // Export for testing
 exports.parseWixOrderPayload = parseWixOrderPayload;
-exports.validateWebhookSignature = validateWebhookSignature;
+exports.unwrapWixJwtPayload = unwrapWixJwtPayload;
 exports.resolveAffiliate = resolveAffiliate;
+exports.computeReversal = computeReversal;
+exports.computeCommissionableAmount = computeCommissionableAmount;
+exports.processOrderWebhook = processOrderWebhook;
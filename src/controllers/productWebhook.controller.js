@@ -6,9 +6,9 @@ const { decrypt } = require('../utils/crypto');
 exports.handleProductUpdated = async (req, res) => {
   try {
     const payload = req.body;
-    // Wix webhook payloads may contain the product object or productId
-    const wixProduct = payload.product || payload;
-    const wixId = wixProduct.id || wixProduct._id || wixProduct.productId || payload.productId || payload.product_id || null;
+    // Wix webhook payloads may contain the product object or productId (JWT entity events: entity / entityId)
+    const wixProduct = payload.product || payload.entity || payload;
+    const wixId = wixProduct.id || wixProduct._id || wixProduct.productId || payload.productId || payload.product_id || payload.entityId || null;
     if (!wixId) return res.status(400).json({ error: 'Missing wix product id' });
 
     // get mapping
@@ -36,7 +36,7 @@ exports.handleProductUpdated = async (req, res) => {
 exports.handleProductDeleted = async (req, res) => {
   try {
     const payload = req.body;
-    const wixId = payload.productId || payload.id || null;
+    const wixId = payload.productId || payload.id || payload.entityId || null;
     if (!wixId) return res.status(400).json({ error: 'Missing wix product id' });
     const mapping = await knex('product_mappings').where({ wix_product_id: wixId }).first();
     if (mapping && mapping.marketin_product_id) {
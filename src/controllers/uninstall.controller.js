@@ -5,45 +5,6 @@
 const knex = require('../db');
 const wixApi = require('../services/wixApi.service');
 const { decrypt } = require('../utils/crypto');
-const crypto = require('crypto');
-
-/**
- * Validate Wix webhook signature
- * Wix signs webhooks with HMAC-SHA256 using the app secret
- */
-const validateWebhookSignature = (rawBody, signature) => {
-  const secret = process.env.WIX_WEBHOOK_SECRET || process.env.WIX_CLIENT_SECRET;
-  
-  if (!secret) {
-    console.warn('[uninstall] No webhook secret configured, skipping signature validation');
-    return true;
-  }
-
-  if (!signature) {
-    console.warn('[uninstall] No signature in webhook request');
-    return false;
-  }
-
-  try {
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(rawBody)
-      .digest('base64');
-
-    // Constant-time comparison
-    const sigBuffer = Buffer.from(signature);
-    const expectedBuffer = Buffer.from(expectedSignature);
-    
-    if (sigBuffer.length !== expectedBuffer.length) {
-      return false;
-    }
-    
-    return crypto.timingSafeEqual(sigBuffer, expectedBuffer);
-  } catch (err) {
-    console.error('[uninstall] Signature validation error:', err.message);
-    return false;
-  }
-};
 
 /**
  * POST /wix/uninstall
@@ -57,16 +18,7 @@ const validateWebhookSignature = (rawBody, signature) => {
  */
 exports.handleUninstall = async (req, res) => {
   try {
-    // Get raw body for signature validation
-    const rawBody = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body);
-    const signature = req.headers['x-wix-signature'] || req.headers['x-wix-hmac'];
-
-    // Validate signature (but don't reject in dev mode)
-    const isValid = validateWebhookSignature(rawBody, signature);
-    if (!isValid && process.env.NODE_ENV === 'production') {
-      console.error('[uninstall] Invalid webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
+    // Signature verified by the verifyWixWebhook middleware (see routes)
 
     // Parse payload - Wix may send different formats
     let payload = req.body;
@@ -4,6 +4,19 @@
  */
 const knex = require('../db');
 const crypto = require('crypto');
+const { DEFAULT_SETTINGS, getSiteSettings } = require('../services/settings.service');
+const { findProbabilisticMatch } = require('../services/probabilisticMatch.service');
+const { recordIdentity } = require('../services/customerIdentity.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO timestamp before which sessions fall outside the attribution window
+ */
+const lookbackCutoffFor = (lookbackDays) => {
+  const days = lookbackDays || DEFAULT_SETTINGS.lookbackDays;
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+};
 
 /**
  * POST /track/session
@@ -41,16 +54,20 @@ exports.trackSession = async (req, res) => {
     
     const userAgent = req.body.userAgent || req.headers['user-agent'] || null;
 
-    // Session expires after 30 days (configurable)
-    const sessionTTLDays = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
-    const expiresAt = new Date(Date.now() + sessionTTLDays * 24 * 60 * 60 * 1000);
-
     // Upsert: update existing session or create new
     const existing = await knex('visitor_sessions')
       .where('session_id', finalSessionId)
       .first();
 
+    // Session expires after the brand's lookback window (SESSION_TTL_DAYS by default)
+    const { lookbackDays } = await getSiteSettings(existing?.site_id || siteId);
+    const expiresAt = new Date(Date.now() + lookbackDays * DAY_MS);
+    const now = new Date().toISOString();
+
     if (existing) {
+      // A click for another affiliate starts a new lookback window (measured from created_at)
+      const reattributed = affiliateId && affiliateId !== existing.affiliate_id;
+
       // Update with new info (affiliate may have been captured later in journey)
       await knex('visitor_sessions')
         .where('session_id', finalSessionId)
@@ -63,8 +80,9 @@ exports.trackSession = async (req, res) => {
           utm_campaign: utm_campaign || existing.utm_campaign,
           utm_content: utm_content || existing.utm_content,
           utm_term: utm_term || existing.utm_term,
-          expires_at: expiresAt,
-          updated_at: new Date()
+          expires_at: expiresAt.toISOString(),
+          ...(reattributed ? { created_at: now } : {}),
+          updated_at: now
         });
       
       return res.status(200).json({ 
@@ -74,7 +92,6 @@ exports.trackSession = async (req, res) => {
     }
 
     // Create new session
-    const now = new Date().toISOString();
     await knex('visitor_sessions').insert({
       session_id: finalSessionId,
       site_id: siteId,
@@ -176,6 +193,21 @@ exports.identifyVisitor = async (req, res) => {
         .where('session_id', session.session_id)
         .update(updates);
 
+      // The session's affiliate is only linked to the email while its click is inside the lookback window
+      const { lookbackDays } = await getSiteSettings(session.site_id || siteId);
+      const clickedAt = new Date(session.created_at).getTime();
+      const inWindow = clickedAt >= Date.now() - lookbackDays * DAY_MS;
+      await recordIdentity({
+        siteId: session.site_id || siteId,
+        email,
+        source: 'identify',
+        affiliateId: inWindow ? session.affiliate_id || affiliateId : null,
+        campaignId: inWindow ? session.campaign_id || campaignId : null,
+        visitorId: session.visitor_id || visitorId,
+        sessionId: session.session_id,
+        touchedAt: session.created_at
+      });
+
       return res.status(200).json({
         status: 'identified',
         sessionId: session.session_id,
@@ -186,8 +218,8 @@ exports.identifyVisitor = async (req, res) => {
 
     // No existing session - create new one with identity
     const newSessionId = sessionId || crypto.randomUUID();
-    const sessionTTLDays = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
-    const expiresAt = new Date(Date.now() + sessionTTLDays * 24 * 60 * 60 * 1000);
+    const { lookbackDays } = await getSiteSettings(siteId);
+    const expiresAt = new Date(Date.now() + lookbackDays * DAY_MS);
     const now = new Date().toISOString();
 
     const metadata = JSON.stringify({
@@ -211,6 +243,17 @@ exports.identifyVisitor = async (req, res) => {
       updated_at: now
     });
 
+    await recordIdentity({
+      siteId,
+      email,
+      source: 'identify',
+      affiliateId,
+      campaignId,
+      visitorId,
+      sessionId: newSessionId,
+      touchedAt: now
+    });
+
     res.status(201).json({
       status: 'created_and_identified',
       sessionId: newSessionId,
@@ -250,18 +293,34 @@ exports.getSession = async (req, res) => {
 /**
  * Internal: Lookup affiliate from visitor session
  * Used by order webhook handler for attribution
+ * Options (per-brand settings):
+ * - lookbackDays: ignore sessions older than the brand's attribution window
+ * - probabilisticMatch / probabilisticThreshold: score other affiliate sessions on the site
+ *   against the buyer's signals ({ ipAddress, userAgent, deviceType, country, orderedAt })
+ * - candidates: optional array; every lookup attempted is appended for the attribution audit trail
  */
-exports.findAffiliateByVisitor = async ({ siteId, visitorId, email, sessionId }) => {
+exports.findAffiliateByVisitor = async ({ siteId, visitorId, email, sessionId, signals }, options = {}) => {
   try {
     const now = new Date().toISOString();
+    const lookbackCutoff = lookbackCutoffFor(options.lookbackDays);
+    const probabilisticMatch = options.probabilisticMatch !== false;
+    const candidates = options.candidates || [];
     
     // Priority 1: Direct session lookup
     if (sessionId) {
       const session = await knex('visitor_sessions')
         .where('session_id', sessionId)
         .where('expires_at', '>', now)
+        .where('created_at', '>', lookbackCutoff)
         .whereNotNull('affiliate_id')
         .first();
+      candidates.push({
+        source: 'session',
+        affiliateId: session?.affiliate_id || null,
+        campaignId: session?.campaign_id || null,
+        sessionId,
+        reason: session ? 'matched' : 'no_affiliate_session_in_window'
+      });
       if (session?.affiliate_id) {
         return {
           affiliateId: session.affiliate_id,
@@ -280,9 +339,17 @@ exports.findAffiliateByVisitor = async ({ siteId, visitorId, email, sessionId })
           if (siteId) builder.where('site_id', siteId);
         })
         .where('expires_at', '>', now)
+        .where('created_at', '>', lookbackCutoff)
         .whereNotNull('affiliate_id')
         .orderBy('created_at', 'desc')
         .first();
+      candidates.push({
+        source: 'visitor_id',
+        affiliateId: session?.affiliate_id || null,
+        campaignId: session?.campaign_id || null,
+        sessionId: session?.session_id || null,
+        reason: session ? 'matched' : 'no_affiliate_session_in_window'
+      });
       if (session?.affiliate_id) {
         return {
           affiliateId: session.affiliate_id,
@@ -293,29 +360,76 @@ exports.findAffiliateByVisitor = async ({ siteId, visitorId, email, sessionId })
       }
     }
 
-    // Priority 3: Site-level recent session with affiliate (last 24 hours)
-    if (siteId) {
-      const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-      const session = await knex('visitor_sessions')
-        .where('site_id', siteId)
-        .where('expires_at', '>', now)
-        .where('created_at', '>', cutoff)
-        .whereNotNull('affiliate_id')
-        .orderBy('created_at', 'desc')
-        .first();
-      if (session?.affiliate_id) {
-        return {
+    // Priority 3: Probabilistic match on IP / user agent / device / country / time proximity
+    if (siteId && probabilisticMatch) {
+      const match = await findProbabilisticMatch(
+        { siteId, visitorId, sessionId, signals },
+        { threshold: options.probabilisticThreshold, candidates }
+      );
+      if (match) return match;
+    } else if (siteId) {
+      candidates.push({ source: 'probabilistic', affiliateId: null, reason: 'disabled' });
+    }
+
+    return null;
+  } catch (err) {
+    console.error('findAffiliateByVisitor error', err?.message || err);
+    return null;
+  }
+};
+
+/**
+ * Internal: Collect every unexpired affiliate touchpoint for a buyer
+ * Used by multi-touch attribution models (first_click, linear, time_decay)
+ * @returns {Array} [{ sessionId, affiliateId, campaignId, productId, touchedAt, source }] oldest first
+ */
+exports.findTouchpointsByVisitor = async ({ siteId, visitorId, sessionId }, options = {}) => {
+  try {
+    const now = new Date().toISOString();
+    const lookbackCutoff = lookbackCutoffFor(options.lookbackDays);
+    const touchpoints = new Map();
+
+    const addSessions = (sessions, source) => {
+      for (const session of sessions) {
+        if (!session?.affiliate_id || touchpoints.has(session.session_id)) continue;
+        touchpoints.set(session.session_id, {
+          sessionId: session.session_id,
           affiliateId: session.affiliate_id,
           campaignId: session.campaign_id,
           productId: session.product_id,
-          source: 'site_recent'
-        };
+          touchedAt: session.created_at,
+          source
+        });
       }
+    };
+
+    if (sessionId) {
+      const sessions = await knex('visitor_sessions')
+        .where('session_id', sessionId)
+        .where('expires_at', '>', now)
+        .where('created_at', '>', lookbackCutoff)
+        .whereNotNull('affiliate_id');
+      addSessions(sessions, 'session');
     }
 
-    return null;
+    if (visitorId) {
+      const sessions = await knex('visitor_sessions')
+        .where('visitor_id', visitorId)
+        .where(builder => {
+          if (siteId) builder.where('site_id', siteId);
+        })
+        .where('expires_at', '>', now)
+        .where('created_at', '>', lookbackCutoff)
+        .whereNotNull('affiliate_id')
+        .orderBy('created_at', 'asc')
+        .limit(50);
+      addSessions(sessions, 'visitor_id');
+    }
+
+    return Array.from(touchpoints.values())
+      .sort((a, b) => new Date(a.touchedAt).getTime() - new Date(b.touchedAt).getTime());
   } catch (err) {
-    console.error('findAffiliateByVisitor error', err?.message || err);
-    return null;
+    console.error('findTouchpointsByVisitor error', err?.message || err);
+    return [];
   }
 };
@@ -5,8 +5,54 @@
 const express = require('express');
 const router = express.Router();
 const knex = require('../db');
-const { getQueueStats, retryDeadJob, processQueue } = require('../services/conversionQueue.service');
+const { getQueueStats, retryDeadJob, retryDeadJobs, processQueue, listReviewJobs, countReviewJobs, reviewJob, REVIEW_STATUSES } = require('../services/conversionQueue.service');
 const { sendDailySummary, testEmailConfig } = require('../services/alert.service');
+const { getAttributionDecisions } = require('../services/attributionAudit.service');
+const { processOrderWebhook } = require('../controllers/orderWebhook.controller');
+const { getVerificationMetrics } = require('../middleware/verifyWixWebhook');
+const { listCouponMappings, saveCouponMapping, deleteCouponMapping } = require('../services/couponMapping.service');
+const { registerAffiliateEmail } = require('../services/fraudScreening.service');
+const { getCircuitState } = require('../services/marketin.service');
+
+const MAX_BULK_REPLAY = 500;
+
+/**
+ * Dry run is on when ?dry_run=true or { "dryRun": true } is sent
+ */
+const isDryRun = (req) => req.query.dry_run === 'true' || req.body?.dryRun === true || req.body?.dryRun === 'true';
+
+/**
+ * Replay one stored order_webhooks row through the order pipeline
+ */
+const replayWebhook = async (webhook, dryRun) => {
+  let payload;
+  try {
+    payload = JSON.parse(webhook.payload);
+  } catch {
+    return { webhookId: webhook.id, error: 'Stored payload is not valid JSON' };
+  }
+  const result = await processOrderWebhook(payload, { webhookId: webhook.id, dryRun, replay: true });
+  return { webhookId: webhook.id, result };
+};
+
+/**
+ * Why a stored row is left out of bulk replay, or null to replay it
+ * Test and simulated deliveries, legacy /webhooks/order payloads and other bodies without a Wix event
+ * type would otherwise be replayed as paid orders (parseWixOrderPayload defaults to OrderPaid).
+ * Rows stored by the Wix order webhook carry a payload hash and are always replayed.
+ */
+const bulkReplaySkipReason = (webhook) => {
+  let payload;
+  try {
+    payload = JSON.parse(webhook.payload);
+  } catch {
+    return 'unparseable_payload';
+  }
+  if (!payload || typeof payload !== 'object') return 'unparseable_payload';
+  if (payload._test || payload.simulated) return 'test_delivery';
+  if (!webhook.payload_hash && !payload.eventType && !payload.event_type) return 'not_a_wix_order_event';
+  return null;
+};
 
 // Simple auth middleware - use API key for admin routes
 const adminAuth = (req, res, next) => {
@@ -24,14 +70,31 @@ const adminAuth = (req, res, next) => {
   next();
 };
 
+// Outcome filters accepted by /admin/webhooks/recent (query param -> column)
+const WEBHOOK_FILTERS = {
+  status: 'status',
+  reason: 'reason',
+  site_id: 'site_id',
+  order_id: 'order_id',
+  event_type: 'event_type'
+};
+
 // GET /admin/webhooks/recent - list recent webhooks for debugging
+// Filters: ?status=skipped&reason=no_affiliate&site_id=...&order_id=...&event_type=...
 router.get('/webhooks/recent', adminAuth, async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
     const offset = parseInt(req.query.offset || '0', 10);
     
-    const webhooks = await knex('order_webhooks')
-      .select('id', 'payload', 'created_at')
+    const applyFilters = (query) => {
+      for (const [param, column] of Object.entries(WEBHOOK_FILTERS)) {
+        if (req.query[param]) query.where(column, req.query[param]);
+      }
+      return query;
+    };
+    
+    const webhooks = await applyFilters(knex('order_webhooks'))
+      .select('id', 'payload', 'status', 'reason', 'order_id', 'site_id', 'event_type', 'job_id', 'event_id', 'duplicate_count', 'processed_at', 'created_at')
       .orderBy('created_at', 'desc')
       .limit(limit)
       .offset(offset);
@@ -50,16 +113,25 @@ router.get('/webhooks/recent', adminAuth, async (req, res) => {
         created_at: wh.created_at,
         // Extract key info for quick overview
         summary: {
-          eventType: parsedPayload?.eventType || parsedPayload?.event_type || 'unknown',
-          orderId: parsedPayload?.entityId || parsedPayload?.data?.order?.id || parsedPayload?.order?.id || null,
+          eventType: wh.event_type || parsedPayload?.eventType || parsedPayload?.event_type || 'unknown',
+          orderId: wh.order_id || parsedPayload?.entityId || parsedPayload?.data?.order?.id || parsedPayload?.order?.id || null,
           isTest: parsedPayload?._test || false
         },
+        outcome: {
+          status: wh.status,
+          reason: wh.reason,
+          siteId: wh.site_id,
+          jobId: wh.job_id,
+          processedAt: wh.processed_at,
+          eventId: wh.event_id,
+          duplicateCount: wh.duplicate_count || 0
+        },
         payload: parsedPayload
       };
     });
     
     // Get total count
-    const [{ count }] = await knex('order_webhooks').count('* as count');
+    const [{ count }] = await applyFilters(knex('order_webhooks')).count('* as count');
     
     res.json({
       webhooks: formatted,
@@ -76,6 +148,91 @@ router.get('/webhooks/recent', adminAuth, async (req, res) => {
   }
 });
 
+// GET /admin/webhooks/verification - signature verification counters per webhook route (since process start)
+router.get('/webhooks/verification', adminAuth, (req, res) => {
+  res.json({ routes: getVerificationMetrics() });
+});
+
+// POST /admin/webhooks/replay - replay stored webhooks received in a date range
+// Body: { from, to, limit, dryRun }. Test, simulated and non-order rows are reported as skipped
+router.post('/webhooks/replay', adminAuth, async (req, res) => {
+  try {
+    const from = new Date(req.body?.from);
+    const to = req.body?.to ? new Date(req.body.to) : new Date();
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from (and optional to) must be valid dates' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    
+    const dryRun = isDryRun(req);
+    const limit = Math.min(parseInt(req.body?.limit || '100', 10), MAX_BULK_REPLAY);
+    
+    const webhooks = await knex('order_webhooks')
+      .where('created_at', '>=', from)
+      .where('created_at', '<=', to)
+      .orderBy('id', 'asc')
+      .limit(limit);
+    
+    const results = [];
+    for (const webhook of webhooks) {
+      const skipReason = bulkReplaySkipReason(webhook);
+      if (skipReason) {
+        results.push({ webhookId: webhook.id, skipped: true, reason: skipReason });
+        continue;
+      }
+      try {
+        results.push(await replayWebhook(webhook, dryRun));
+      } catch (err) {
+        results.push({ webhookId: webhook.id, error: err?.message || 'Replay failed' });
+      }
+    }
+    
+    res.json({
+      dryRun,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      replayed: results.filter(r => !r.skipped).length,
+      hasMore: webhooks.length === limit,
+      summary: {
+        queued: results.filter(r => r.result?.queued).length,
+        skipped: results.filter(r => r.skipped || r.result?.skipped).length,
+        notOrderEvents: results.filter(r => r.skipped).length,
+        errors: results.filter(r => r.error).length
+      },
+      results
+    });
+  } catch (err) {
+    console.error('Bulk replay failed:', err?.message);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
+// POST /admin/webhooks/:id/replay - re-run parsing and attribution for a stored webhook
+router.post('/webhooks/:id/replay', adminAuth, async (req, res) => {
+  try {
+    const webhook = await knex('order_webhooks')
+      .where('id', req.params.id)
+      .first();
+    
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const dryRun = isDryRun(req);
+    const replay = await replayWebhook(webhook, dryRun);
+    if (replay.error) {
+      return res.status(422).json(replay);
+    }
+    
+    res.json({ dryRun, ...replay });
+  } catch (err) {
+    console.error('Replay failed:', err?.message);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
 // GET /admin/webhooks/:id - get single webhook by ID
 router.get('/webhooks/:id', adminAuth, async (req, res) => {
   try {
@@ -97,6 +254,17 @@ router.get('/webhooks/:id', adminAuth, async (req, res) => {
     res.json({
       id: webhook.id,
       created_at: webhook.created_at,
+      outcome: {
+        status: webhook.status,
+        reason: webhook.reason,
+        orderId: webhook.order_id,
+        siteId: webhook.site_id,
+        eventType: webhook.event_type,
+        jobId: webhook.job_id,
+        processedAt: webhook.processed_at,
+        eventId: webhook.event_id,
+        duplicateCount: webhook.duplicate_count || 0
+      },
       payload: parsedPayload
     });
   } catch (err) {
@@ -105,11 +273,71 @@ router.get('/webhooks/:id', adminAuth, async (req, res) => {
   }
 });
 
+// GET /admin/orders/:orderId/attribution - attribution audit trail for an order
+router.get('/orders/:orderId/attribution', adminAuth, async (req, res) => {
+  try {
+    const decisions = await getAttributionDecisions(req.params.orderId);
+    
+    if (!decisions.length) {
+      return res.status(404).json({ error: 'No attribution decisions for order' });
+    }
+    
+    res.json({
+      orderId: req.params.orderId,
+      latest: decisions[0],
+      decisions
+    });
+  } catch (err) {
+    console.error('Failed to get attribution decisions:', err?.message);
+    res.status(500).json({ error: 'Failed to get attribution decisions' });
+  }
+});
+
+// GET /admin/coupons - coupon-to-affiliate mappings (?site_id= to filter)
+router.get('/coupons', adminAuth, async (req, res) => {
+  try {
+    const mappings = await listCouponMappings(req.query.site_id);
+    res.json({ count: mappings.length, mappings });
+  } catch (err) {
+    console.error('Failed to list coupon mappings:', err?.message);
+    res.status(500).json({ error: 'Failed to list coupon mappings' });
+  }
+});
+
+// POST /admin/coupons - create or update a mapping { siteId, code, affiliateId, campaignId, isActive }
+router.post('/coupons', adminAuth, async (req, res) => {
+  try {
+    const { mapping, created, error } = await saveCouponMapping(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(created ? 201 : 200).json({ ok: true, mapping });
+  } catch (err) {
+    console.error('Failed to save coupon mapping:', err?.message);
+    res.status(500).json({ error: 'Failed to save coupon mapping' });
+  }
+});
+
+// DELETE /admin/coupons/:id - remove a mapping
+router.delete('/coupons/:id', adminAuth, async (req, res) => {
+  try {
+    const deleted = await deleteCouponMapping(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Coupon mapping not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to delete coupon mapping:', err?.message);
+    res.status(500).json({ error: 'Failed to delete coupon mapping' });
+  }
+});
+
 // GET /admin/queue/stats - get queue statistics
+// circuitBreaker is the Market!N circuit of this web process only; worker processes log their own
 router.get('/queue/stats', adminAuth, async (req, res) => {
   try {
     const stats = await getQueueStats();
-    res.json(stats);
+    res.json({ ...stats, circuitBreaker: getCircuitState() });
   } catch (err) {
     console.error('Failed to get queue stats:', err?.message);
     res.status(500).json({ error: 'Failed to get stats' });
@@ -128,6 +356,35 @@ router.post('/queue/process', adminAuth, async (req, res) => {
   }
 });
 
+// POST /admin/queue/retry - requeue dead jobs in bulk
+// Body: { errorCode, siteId, eventType, from, to (last attempt), limit, dryRun }
+router.post('/queue/retry', adminAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const from = body.from ? new Date(body.from) : null;
+    const to = body.to ? new Date(body.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const result = await retryDeadJobs({
+      errorCode: body.errorCode,
+      siteId: body.siteId,
+      eventType: body.eventType,
+      from,
+      to,
+      limit: parseInt(body.limit, 10) || 100
+    }, { dryRun: isDryRun(req) });
+    res.json(result);
+  } catch (err) {
+    console.error('Bulk retry failed:', err?.message);
+    res.status(500).json({ error: 'Retry failed' });
+  }
+});
+
 // POST /admin/queue/retry/:jobId - retry a dead job
 router.post('/queue/retry/:jobId', adminAuth, async (req, res) => {
   try {
@@ -139,6 +396,60 @@ router.post('/queue/retry/:jobId', adminAuth, async (req, res) => {
   }
 });
 
+// GET /admin/queue/review - conversions awaiting review: held by fraud screening or pending_review (approval mode)
+// Filters: ?status=held|pending_review&site_id=...
+router.get('/queue/review', adminAuth, async (req, res) => {
+  try {
+    if (req.query.status && !REVIEW_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit || '50', 10), 200);
+    const jobs = await listReviewJobs({ siteId: req.query.site_id, status: req.query.status, limit });
+    const counts = await countReviewJobs(req.query.site_id);
+    res.json({ count: jobs.length, counts, jobs });
+  } catch (err) {
+    console.error('Failed to list conversions awaiting review:', err?.message);
+    res.status(500).json({ error: 'Failed to list conversions awaiting review' });
+  }
+});
+
+// POST /admin/queue/review/:jobId/approve - send a conversion awaiting review { note }
+// POST /admin/queue/review/:jobId/reject - never send it { reason } (required)
+router.post('/queue/review/:jobId/:decision(approve|reject)', adminAuth, async (req, res) => {
+  try {
+    const note = req.params.decision === 'reject' ? req.body?.reason : req.body?.note;
+    const result = await reviewJob(req.params.jobId, req.params.decision, { note });
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Conversion review failed:', err?.message);
+    res.status(500).json({ error: 'Review failed' });
+  }
+});
+
+// POST /admin/affiliates/:affiliateId/emails - register an affiliate's own email for self-referral checks { email, siteId }
+router.post('/affiliates/:affiliateId/emails', adminAuth, async (req, res) => {
+  try {
+    const { identity, created, error } = await registerAffiliateEmail({
+      affiliateId: req.params.affiliateId,
+      email: req.body?.email,
+      siteId: req.body?.siteId
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(created ? 201 : 200).json({ ok: true, identity });
+  } catch (err) {
+    console.error('Failed to register affiliate email:', err?.message);
+    res.status(500).json({ error: 'Failed to register affiliate email' });
+  }
+});
+
 // POST /admin/alerts/test - test email configuration
 router.post('/alerts/test', adminAuth, async (req, res) => {
   try {
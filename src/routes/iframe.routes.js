@@ -27,4 +27,19 @@ router.get('/settings', iframeController.getSettings);
 // POST /admin/iframe/settings - Update settings (brandId, etc.)
 router.post('/settings', iframeController.updateSettings);
 
+// GET /admin/iframe/coupons - List coupon-to-affiliate mappings
+router.get('/coupons', iframeController.getCoupons);
+
+// POST /admin/iframe/coupons - Create or update a coupon mapping
+router.post('/coupons', iframeController.saveCoupon);
+
+// DELETE /admin/iframe/coupons/:id - Remove a coupon mapping
+router.delete('/coupons/:id', iframeController.deleteCoupon);
+
+// GET /admin/iframe/review - List conversions awaiting approval
+router.get('/review', iframeController.getReviewQueue);
+
+// POST /admin/iframe/review/:jobId/approve|reject - Approve or reject a conversion
+router.post('/review/:jobId/:decision(approve|reject)', iframeController.reviewConversion);
+
 module.exports = router;
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const orderWebhookController = require('../controllers/orderWebhook.controller');
 const productWebhookController = require('../controllers/productWebhook.controller');
+const { verifyWixWebhook } = require('../middleware/verifyWixWebhook');
 
-router.post('/order', orderWebhookController.handleOrderWebhook);
+router.post('/order', verifyWixWebhook('webhooks.order'), orderWebhookController.handleOrderWebhook);
 // Net new endpoint: Wix sends order webhooks under /wix/orders/webhook route - we've also mounted in /wix routse
-router.post('/product/updated', productWebhookController.handleProductUpdated);
-router.post('/product/deleted', productWebhookController.handleProductDeleted);
+router.post('/product/updated', verifyWixWebhook('webhooks.product_updated'), productWebhookController.handleProductUpdated);
+router.post('/product/deleted', verifyWixWebhook('webhooks.product_deleted'), productWebhookController.handleProductDeleted);
 
 module.exports = router;
@@ -3,20 +3,21 @@ const router = express.Router();
 const productSyncController = require('../controllers/productSync.controller');
 const orderWebhookController = require('../controllers/orderWebhook.controller');
 const uninstallController = require('../controllers/uninstall.controller');
+const { verifyWixWebhook } = require('../middleware/verifyWixWebhook');
 
 // POST /wix/products/sync
 router.post('/products/sync', productSyncController.syncProducts);
 
 // Order webhooks
-router.post('/orders/webhook', orderWebhookController.handleWixOrderWebhook);
+router.post('/orders/webhook', verifyWixWebhook('wix.orders'), orderWebhookController.handleWixOrderWebhook);
 
 // Test webhook - for capturing actual Wix payload structure
 // Usage: Wix Developer Center → Your App → Webhooks → Add webhook → Test Delivery
-router.post('/test-webhook', orderWebhookController.handleTestWebhook);
+router.post('/test-webhook', verifyWixWebhook('wix.test_webhook'), orderWebhookController.handleTestWebhook);
 
 // Uninstall webhook - called by Wix when app is removed from a site
 // Register this URL in Wix Dev Center: POST https://your-domain.com/wix/uninstall
-router.post('/uninstall', uninstallController.handleUninstall);
-router.post('/app-removed', uninstallController.handleAppRemoved);
+router.post('/uninstall', verifyWixWebhook('wix.uninstall'), uninstallController.handleUninstall);
+router.post('/app-removed', verifyWixWebhook('wix.app_removed'), uninstallController.handleAppRemoved);
 
 module.exports = router;
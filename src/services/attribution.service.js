@@ -0,0 +1,107 @@
+/**
+ * Attribution Service
+ * Applies a brand's attribution model to the affiliate touchpoints of a buyer
+ * and returns weighted credits for the conversion payload
+ */
+const ATTRIBUTION_MODELS = ['last_click', 'first_click', 'linear', 'time_decay'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a weight to 4 decimal places
+ */
+const roundWeight = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Compute the raw (unnormalized) weight of each touchpoint for a model
+ * @param {Array} touchpoints - Sorted oldest first
+ */
+const rawWeights = (touchpoints, model, { now, halfLifeDays }) => {
+  const last = touchpoints.length - 1;
+
+  switch (model) {
+    case 'first_click':
+      return touchpoints.map((_, i) => (i === 0 ? 1 : 0));
+    case 'linear':
+      return touchpoints.map(() => 1);
+    case 'time_decay':
+      // Weight halves for every halfLifeDays between the touch and the order
+      return touchpoints.map(tp => {
+        const ageDays = Math.max(0, (now - new Date(tp.touchedAt).getTime()) / DAY_MS);
+        return Math.pow(0.5, ageDays / halfLifeDays);
+      });
+    case 'last_click':
+    default:
+      return touchpoints.map((_, i) => (i === last ? 1 : 0));
+  }
+};
+
+/**
+ * Apply an attribution model to a list of touchpoints
+ * @param {Array} touchpoints - [{ affiliateId, campaignId, touchedAt, sessionId, source }]
+ * @param {string} model - last_click | first_click | linear | time_decay
+ * @param {Object} options - { now: order time in ms (defaults to the current time), halfLifeDays }
+ * @returns {Array} credits [{ affiliateId, campaignId, weight }] sorted by weight desc, weights sum to 1
+ */
+const applyAttributionModel = (touchpoints, model = 'last_click', options = {}) => {
+  const valid = (touchpoints || [])
+    .filter(tp => tp?.affiliateId)
+    .sort((a, b) => new Date(a.touchedAt).getTime() - new Date(b.touchedAt).getTime());
+
+  if (!valid.length) return [];
+
+  const effectiveModel = ATTRIBUTION_MODELS.includes(model) ? model : 'last_click';
+  const weights = rawWeights(valid, effectiveModel, {
+    now: options.now || Date.now(),
+    halfLifeDays: options.halfLifeDays || 7
+  });
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+  // Aggregate per affiliate; the most recent touch of an affiliate supplies its campaign
+  const byAffiliate = new Map();
+  valid.forEach((tp, i) => {
+    const weight = weights[i] / total;
+    if (weight <= 0) return;
+    const existing = byAffiliate.get(tp.affiliateId);
+    if (existing) {
+      existing.weight += weight;
+      existing.campaignId = tp.campaignId || existing.campaignId;
+    } else {
+      byAffiliate.set(tp.affiliateId, {
+        affiliateId: tp.affiliateId,
+        campaignId: tp.campaignId || null,
+        weight
+      });
+    }
+  });
+
+  // Rounding remainder goes to the affiliate of the latest credited touch so weights sum to exactly 1
+  const credits = Array.from(byAffiliate.values())
+    .map(credit => ({ ...credit, weight: roundWeight(credit.weight) }));
+  const latest = [...valid].reverse().find(tp => byAffiliate.has(tp.affiliateId));
+  const latestCredit = credits.find(c => c.affiliateId === latest.affiliateId);
+  const remainder = 1 - credits.reduce((sum, c) => sum + c.weight, 0);
+  latestCredit.weight = roundWeight(latestCredit.weight + remainder);
+
+  return credits.sort((a, b) => b.weight - a.weight);
+};
+
+/**
+ * Split a conversion value across credits
+ * Rounding remainder is assigned to the top credit so values sum to the amount
+ * @returns {Array} credits with a value field
+ */
+const splitValue = (credits, amount) => {
+  if (!credits?.length) return [];
+  const total = Number(amount) || 0;
+  const withValues = credits.map(c => ({ ...c, value: Math.round(total * c.weight * 100) / 100 }));
+  const assigned = withValues.reduce((sum, c) => sum + c.value, 0);
+  withValues[0].value = Math.round((withValues[0].value + (total - assigned)) * 100) / 100;
+  return withValues;
+};
+
+module.exports = {
+  ATTRIBUTION_MODELS,
+  applyAttributionModel,
+  splitValue
+};
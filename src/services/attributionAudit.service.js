@@ -0,0 +1,86 @@
+/**
+ * Attribution Audit Service
+ * Persists why each order was (or was not) attributed to an affiliate, so commission
+ * disputes can be answered from the database instead of console logs
+ */
+const knex = require('../db');
+
+/**
+ * Record an attribution decision
+ * Never throws: a failed audit insert must not fail the webhook
+ * @param {Object} params
+ * @param {number} params.orderWebhookId - order_webhooks row id
+ * @param {Object} params.parsedOrder - Result of parseWixOrderPayload
+ * @param {Object|null} params.attribution - Result of resolveAffiliate (null when nothing matched)
+ * @param {Array} params.candidates - Every candidate resolveAffiliate considered
+ * @param {Object} params.settings - Brand settings used for the decision
+ * @param {string} params.jobId - conversion_queue job_id, if a conversion was enqueued
+ * @returns {number|null} decision id
+ */
+const recordAttributionDecision = async ({ orderWebhookId, parsedOrder, attribution, candidates, settings, jobId = null }) => {
+  try {
+    const [id] = await knex('attribution_decisions').insert({
+      order_webhook_id: orderWebhookId || null,
+      job_id: jobId,
+      order_id: parsedOrder.orderId,
+      site_id: parsedOrder.siteId,
+      affiliate_id: attribution?.affiliateId || null,
+      campaign_id: attribution?.campaignId || null,
+      source: attribution?.source || null,
+      reason: attribution?.reason || 'no_candidate_matched',
+      attribution_model: attribution?.model || settings?.attributionModel || null,
+      confidence: attribution?.confidence ?? null,
+      candidates: JSON.stringify(candidates || []),
+      settings: JSON.stringify(settings || {}),
+      created_at: new Date()
+    });
+    return id;
+  } catch (err) {
+    console.error('Failed to record attribution decision:', err?.message || err);
+    return null;
+  }
+};
+
+/**
+ * Get every attribution decision for an order, newest first, with the linked queue job
+ * @param {string} orderId - Wix order id
+ * @returns {Array} decisions
+ */
+const getAttributionDecisions = async (orderId) => {
+  const rows = await knex('attribution_decisions as d')
+    .leftJoin('conversion_queue as q', 'q.job_id', 'd.job_id')
+    .where('d.order_id', orderId)
+    .select('d.*', 'q.status as job_status', 'q.attempts as job_attempts', 'q.completed_at as job_completed_at')
+    .orderBy('d.id', 'desc');
+
+  const parseJson = (value, fallback) => {
+    try {
+      return value ? JSON.parse(value) : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+
+  return rows.map(row => ({
+    id: row.id,
+    orderId: row.order_id,
+    siteId: row.site_id,
+    orderWebhookId: row.order_webhook_id,
+    winner: row.affiliate_id
+      ? { affiliateId: row.affiliate_id, campaignId: row.campaign_id, source: row.source, confidence: row.confidence }
+      : null,
+    reason: row.reason,
+    attributionModel: row.attribution_model,
+    candidates: parseJson(row.candidates, []),
+    settings: parseJson(row.settings, {}),
+    job: row.job_id
+      ? { jobId: row.job_id, status: row.job_status, attempts: row.job_attempts, completedAt: row.job_completed_at }
+      : null,
+    createdAt: row.created_at
+  }));
+};
+
+module.exports = {
+  recordAttributionDecision,
+  getAttributionDecisions
+};
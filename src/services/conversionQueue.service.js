@@ -4,25 +4,156 @@
  */
 const knex = require('../db');
 const crypto = require('crypto');
+const os = require('os');
 const { sendConversionDirect } = require('./marketin.service');
 const alertService = require('./alert.service');
+const { getSiteSettings } = require('./settings.service');
 
+// Default retry policy (brands can override it with the retryPolicy setting)
 // Retry delays in seconds: 30s, 2m, 8m, 32m, 2h
 const BACKOFF_DELAYS = [30, 120, 480, 1920, 7200];
 const MAX_ATTEMPTS = 5;
+// Most dead jobs one bulk retry request requeues
+const MAX_BULK_RETRY = 500;
+// Backoff delays are spread by +/- this fraction so jobs failed together are not retried together
+const BACKOFF_JITTER = 0.2;
+// How long an adjustment waits before re-checking whether its purchase was sent
+const PARENT_WAIT_SECONDS = 60;
+// How long a claimed job belongs to its worker before the claim is considered abandoned
+const LEASE_SECONDS = parseInt(process.env.QUEUE_LEASE_SECONDS || '300', 10);
+// Identifies this process on the jobs it claims
+const DEFAULT_WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Statuses of jobs waiting for a human decision: held by fraud screening, or approval mode
+const REVIEW_STATUSES = ['held', 'pending_review'];
+
+/**
+ * Lease expiry for a claim made now; leases are ISO strings so they compare the same way in every database
+ */
+const leaseExpiry = () => new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
+
+/**
+ * Queue columns for a screening result; flagged jobs wait for review instead of being sent
+ * Fraud flags (held) take precedence over approval mode rules (pending_review)
+ * @param {Object|null} screening - Result of screenConversion ({ held, reviewRequired, flags, buyerIp })
+ */
+const screeningColumns = (screening) => {
+  const status = screening?.held ? 'held' : (screening?.reviewRequired ? 'pending_review' : null);
+  return {
+    buyer_ip: screening?.buyerIp || null,
+    ...(status && {
+      status,
+      screening_flags: JSON.stringify(screening.flags)
+    })
+  };
+};
 
 /**
  * Enqueue a conversion for sending with retry support
  * @param {Object} conversionPayload - Full conversion payload
  * @param {number} orderWebhookId - Reference to stored webhook
+ * @param {Object} screening - Fraud screening result; held conversions are not sent until approved
  * @returns {Object} Queue job info
  */
-const enqueueConversion = async (conversionPayload, orderWebhookId = null) => {
+const enqueueConversion = async (conversionPayload, orderWebhookId = null, screening = null) => {
   const jobId = conversionPayload.externalOrderId 
     ? `conv_${conversionPayload.brandId}_${conversionPayload.externalOrderId}`
     : `conv_${crypto.randomUUID()}`;
 
-  // Check for existing job (idempotency)
+  return insertJob(jobId, conversionPayload, orderWebhookId, {
+    external_order_id: conversionPayload.externalOrderId || null,
+    site_id: conversionPayload.siteId || null,
+    event_type: 'purchase',
+    affiliate_id: conversionPayload.affiliateId || null,
+    subscription_id: conversionPayload.subscriptionId || null,
+    cycle_number: conversionPayload.subscriptionId ? (conversionPayload.cycleNumber || 1) : null,
+    ...screeningColumns(screening)
+  });
+};
+
+/**
+ * Enqueue a renewal conversion for a recurring charge of a subscription
+ * @param {Object} purchaseJob - conversion_queue row of the purchase that started the subscription
+ * @param {Object} renewalPayload - Conversion payload with eventType 'renewal' and cycleNumber
+ * @param {number} orderWebhookId - Reference to stored renewal webhook
+ * @param {Object} screening - Fraud screening result (renewals of a held purchase are held too)
+ * @returns {Object} Queue job info
+ */
+const enqueueRenewal = async (purchaseJob, renewalPayload, orderWebhookId = null, screening = null) => {
+  const jobId = `${purchaseJob.job_id}_renewal_${renewalPayload.cycleNumber}`;
+
+  return insertJob(jobId, renewalPayload, orderWebhookId, {
+    external_order_id: renewalPayload.externalOrderId || purchaseJob.external_order_id || null,
+    site_id: renewalPayload.siteId || purchaseJob.site_id || null,
+    event_type: 'renewal',
+    affiliate_id: renewalPayload.affiliateId || purchaseJob.affiliate_id || null,
+    subscription_id: renewalPayload.subscriptionId || purchaseJob.subscription_id || null,
+    cycle_number: renewalPayload.cycleNumber,
+    renewal_key: renewalPayload.metadata?.renewalKey || null,
+    ...screeningColumns(screening)
+  });
+};
+
+/**
+ * Enqueue a reversal or adjustment for a previously queued purchase conversion
+ * @param {Object} parentJob - conversion_queue row of the original purchase
+ * @param {Object} adjustmentPayload - Conversion payload with eventType 'reversal' or 'adjustment'
+ * @param {number} orderWebhookId - Reference to stored refund/cancel webhook
+ * @param {string} adjustmentKey - Distinguishes multiple partial refunds on the same order
+ * @returns {Object} Queue job info
+ */
+const enqueueAdjustment = async (parentJob, adjustmentPayload, orderWebhookId = null, adjustmentKey = null) => {
+  const eventType = adjustmentPayload.eventType || 'adjustment';
+  const jobId = `${parentJob.job_id}_${eventType}${adjustmentKey ? `_${adjustmentKey}` : ''}`;
+
+  return insertJob(jobId, adjustmentPayload, orderWebhookId, {
+    external_order_id: adjustmentPayload.externalOrderId || parentJob.external_order_id || null,
+    site_id: adjustmentPayload.siteId || parentJob.site_id || null,
+    event_type: eventType,
+    parent_job_id: parentJob.job_id
+  });
+};
+
+/**
+ * Currency columns for a job: the rate used to reach the reporting currency and the order's own value
+ * Adjustments inherit the purchase's metadata.currencyConversion, so they keep its rate
+ */
+const currencyColumns = (payload) => {
+  const conversion = payload.metadata?.currencyConversion;
+  if (!conversion?.rate) {
+    return { exchange_rate: null, original_amount: payload.amount ?? null, original_currency: payload.currency || null };
+  }
+  return {
+    exchange_rate: conversion.rate,
+    original_amount: Math.round((Number(payload.amount) / conversion.rate) * 100) / 100,
+    original_currency: conversion.originalCurrency
+  };
+};
+
+/**
+ * Retry policy for a conversion: the event type override, else the brand policy, else the defaults
+ * @param {Object} settings - Brand settings (retryPolicy may be null)
+ * @param {string} eventType - purchase, renewal, reversal, adjustment
+ * @returns {Object} { maxAttempts, backoffSeconds }
+ */
+const resolveRetryPolicy = (settings, eventType) => {
+  const policy = settings?.retryPolicy || {};
+  const override = policy.eventTypes?.[eventType] || {};
+  return {
+    maxAttempts: override.maxAttempts ?? policy.maxAttempts ?? MAX_ATTEMPTS,
+    backoffSeconds: override.backoffSeconds ?? policy.backoffSeconds ?? BACKOFF_DELAYS
+  };
+};
+
+/**
+ * Retry policy of a queued job's site and event type
+ */
+const retryPolicyForJob = async (job) => resolveRetryPolicy(await getSiteSettings(job.site_id), job.event_type || 'purchase');
+
+/**
+ * Insert a queue job unless one with the same job_id already exists (idempotency)
+ */
+const insertJob = async (jobId, payload, orderWebhookId, extra = {}) => {
   const existing = await knex('conversion_queue')
     .where('job_id', jobId)
     .first();
@@ -37,49 +168,234 @@ const enqueueConversion = async (conversionPayload, orderWebhookId = null) => {
   }
 
   // Insert new job
+  const status = extra.status || 'pending';
+  const { maxAttempts } = resolveRetryPolicy(await getSiteSettings(extra.site_id), extra.event_type || 'purchase');
   const [id] = await knex('conversion_queue').insert({
     job_id: jobId,
-    status: 'pending',
     attempts: 0,
-    max_attempts: MAX_ATTEMPTS,
+    max_attempts: maxAttempts,
     next_retry_at: new Date(), // immediately available
-    payload: JSON.stringify(conversionPayload),
+    payload: JSON.stringify(payload),
     order_webhook_id: orderWebhookId,
-    created_at: new Date()
+    created_at: new Date(),
+    ...currencyColumns(payload),
+    ...extra,
+    status
   });
 
-  return { id, jobId, status: 'pending', message: 'Queued' };
+  return { id, jobId, status, message: REVIEW_STATUSES.includes(status) ? 'Awaiting review' : 'Queued' };
+};
+
+/**
+ * Find the original purchase conversion job for a Wix order
+ * @param {string} externalOrderId - Wix order id
+ * @returns {Object|null} conversion_queue row
+ */
+const findConversionForOrder = async (externalOrderId) => {
+  if (!externalOrderId) return null;
+
+  const job = await knex('conversion_queue')
+    .where({ external_order_id: externalOrderId, event_type: 'purchase' })
+    .orderBy('created_at', 'asc')
+    .first();
+  if (job) return job;
+
+  // Jobs queued before external_order_id was tracked: match on the job_id convention
+  return knex('conversion_queue')
+    .where('job_id', 'like', `conv_%_${externalOrderId}`)
+    .whereNull('parent_job_id')
+    .orderBy('created_at', 'asc')
+    .first();
+};
+
+/**
+ * Reversals and adjustments already queued against a purchase, skipping those that will never be sent
+ * @param {string} parentJobId - job_id of the purchase
+ * @returns {Array} conversion_queue rows
+ */
+const findAdjustmentsForJob = async (parentJobId) => knex('conversion_queue')
+  .where('parent_job_id', parentJobId)
+  .whereIn('event_type', ['reversal', 'adjustment'])
+  .whereNotIn('status', ['dead', 'canceled', 'rejected'])
+  .orderBy('id', 'asc');
+
+/**
+ * Find the purchase conversion that started a subscription
+ * Falls back to the order id for purchases queued without a subscription id (e.g. Pricing Plans orders,
+ * whose renewals reuse the plan order id)
+ * @param {Object} params - { subscriptionId, orderId }
+ * @returns {Object|null} conversion_queue row
+ */
+const findSubscriptionConversion = async ({ subscriptionId, orderId }) => {
+  if (subscriptionId) {
+    const job = await knex('conversion_queue')
+      .where({ subscription_id: subscriptionId, event_type: 'purchase' })
+      .orderBy('created_at', 'asc')
+      .first();
+    if (job) return job;
+  }
+  return findConversionForOrder(orderId);
+};
+
+/**
+ * Highest renewal cycle already queued for a purchase (1 when there are none)
+ */
+const getLastRenewalCycle = async (purchaseJobId) => {
+  const row = await knex('conversion_queue')
+    .where('job_id', 'like', `${purchaseJobId}_renewal_%`)
+    .max('cycle_number as cycle')
+    .first();
+  return parseInt(row?.cycle || 1, 10);
+};
+
+/**
+ * Renewal already queued for a payment of a subscription
+ * @param {string} purchaseJobId - job_id of the purchase that started the subscription
+ * @param {string} renewalKey - payment id (or renewal order id) of the renewal
+ * @returns {Object|null} conversion_queue row
+ */
+const findRenewalByKey = async (purchaseJobId, renewalKey) => {
+  if (!renewalKey) return null;
+  return knex('conversion_queue')
+    .where('job_id', 'like', `${purchaseJobId}_renewal_%`)
+    .where('renewal_key', renewalKey)
+    .first();
+};
+
+/**
+ * Cancel a queued job that has not been sent yet (e.g. order canceled before delivery)
+ * @returns {boolean} true if the job was canceled
+ */
+const cancelJob = async (jobId, reason) => {
+  const updated = await knex('conversion_queue')
+    .where('job_id', jobId)
+    .whereIn('status', ['pending', 'failed', ...REVIEW_STATUSES])
+    .update({
+      status: 'canceled',
+      last_error: reason || 'canceled'
+    });
+  return updated > 0;
+};
+
+/**
+ * Translate Wix product ids to Market!N product ids using product_mappings (filled by product sync)
+ * Mapped line items get marketinProductId; the Wix id stays in externalProductId.
+ * @param {Object} payload - Conversion payload (products are updated in place)
+ * @returns {Array} Wix product ids without a mapping
+ */
+const translateProductIds = async (payload) => {
+  const products = payload.products || [];
+  const wixIds = [...new Set(products.map(p => p.externalProductId).filter(Boolean).map(String))];
+  if (!wixIds.length) return [];
+
+  const mappings = await knex('product_mappings').whereIn('wix_product_id', wixIds);
+  const byWixId = new Map(mappings.map(m => [m.wix_product_id, m.marketin_product_id]));
+
+  for (const product of products) {
+    const marketinId = byWixId.get(String(product.externalProductId));
+    if (marketinId) product.marketinProductId = marketinId;
+  }
+
+  const unmapped = wixIds.filter(id => !byWixId.has(id));
+  if (unmapped.length) {
+    payload.metadata = { ...payload.metadata, unmappedProductIds: unmapped };
+  }
+  return unmapped;
+};
+
+/**
+ * Jobs ready to be sent, oldest retry first
+ */
+const readyJobsQuery = (db, now, batchSize) => db('conversion_queue')
+  .whereIn('status', ['pending', 'failed'])
+  .where('next_retry_at', '<=', now)
+  .whereRaw('attempts < coalesce(max_attempts, ?)', [MAX_ATTEMPTS])
+  .orderBy('next_retry_at', 'asc')
+  .limit(batchSize);
+
+/**
+ * Atomically claim up to batchSize ready jobs for a worker under the caller's claim token
+ * Postgres locks the selected rows with FOR UPDATE SKIP LOCKED, so concurrent workers pick
+ * different rows. SQLite serializes writes, so each row is claimed with a compare-and-set
+ * update that only succeeds while the row is still pending/failed.
+ * @returns {Array} claimed rows as they were before the claim (status pending or failed)
+ */
+const claimJobs = async (batchSize, workerId, claimToken) => {
+  const now = new Date();
+  const claim = {
+    status: 'processing',
+    worker_id: workerId,
+    claim_token: claimToken,
+    lease_expires_at: leaseExpiry(),
+    last_attempted_at: now
+  };
+
+  if (knex.client.config.client === 'pg') {
+    return knex.transaction(async (trx) => {
+      const jobs = await readyJobsQuery(trx, now, batchSize).forUpdate().skipLocked();
+      if (jobs.length) {
+        await trx('conversion_queue').whereIn('id', jobs.map(job => job.id)).update(claim);
+      }
+      return jobs;
+    });
+  }
+
+  const candidates = await readyJobsQuery(knex, now, batchSize);
+  const claimed = [];
+  for (const job of candidates) {
+    const updated = await knex('conversion_queue')
+      .where({ id: job.id, status: job.status, attempts: job.attempts })
+      .update(claim);
+    if (updated) claimed.push(job);
+  }
+  return claimed;
 };
 
 /**
  * Process pending jobs from queue
- * Called by worker/cron or inline for immediate processing
+ * Called by worker/cron or inline for immediate processing; safe to run from several
+ * processes, or several times in one process, at once because every job is claimed before it is sent
  * @param {number} batchSize - Max jobs to process
+ * @param {Object} options - { workerId } (defaults to this process)
  * @returns {Object} Processing results
  */
-const processQueue = async (batchSize = 10) => {
-  const now = new Date();
-  
-  // Fetch jobs ready for processing
-  const jobs = await knex('conversion_queue')
-    .whereIn('status', ['pending', 'failed'])
-    .where('next_retry_at', '<=', now)
-    .where('attempts', '<', MAX_ATTEMPTS)
-    .orderBy('next_retry_at', 'asc')
-    .limit(batchSize);
+const processQueue = async (batchSize = 10, { workerId = DEFAULT_WORKER_ID } = {}) => {
+  // Calls in one process share the worker id: the token tells this call's claims from a later re-claim
+  const claimToken = crypto.randomUUID();
+  const jobs = await claimJobs(batchSize, workerId, claimToken);
+  // Later updates only apply while this call still holds the claim
+  const ownJob = (job) => knex('conversion_queue').where({ id: job.id, claim_token: claimToken });
 
-  const results = { processed: 0, succeeded: 0, failed: 0, dead: 0 };
+  const results = { processed: 0, succeeded: 0, failed: 0, dead: 0, deferred: 0, lostClaims: 0 };
 
   for (const job of jobs) {
-    results.processed++;
+    // Reversals/adjustments must not reach Market!N before the purchase they adjust
+    if (job.parent_job_id) {
+      const parent = await knex('conversion_queue')
+        .where('job_id', job.parent_job_id)
+        .first();
+
+      if (!parent || ['dead', 'canceled', 'rejected'].includes(parent.status)) {
+        // Purchase was never recorded by Market!N - nothing to reverse
+        await ownJob(job).update({ status: 'canceled', last_error: 'parent_not_sent', lease_expires_at: null });
+        continue;
+      }
 
-    // Mark as processing
-    await knex('conversion_queue')
-      .where('id', job.id)
-      .update({
-        status: 'processing',
-        last_attempted_at: now
-      });
+      if (parent.status !== 'completed') {
+        // Release the claim and wait for the purchase without consuming an attempt
+        await ownJob(job).update({
+          status: job.status,
+          worker_id: null,
+          claim_token: null,
+          lease_expires_at: null,
+          next_retry_at: new Date(Date.now() + PARENT_WAIT_SECONDS * 1000)
+        });
+        results.deferred++;
+        continue;
+      }
+    }
+
+    results.processed++;
 
     try {
       const payload = JSON.parse(job.payload);
@@ -107,16 +423,54 @@ const processQueue = async (batchSize = 10) => {
         console.warn('Failed to resolve Market!N API key for job', job.job_id, err?.message || err);
       }
 
-      const response = await sendConversionDirect(payload, apiKeyToUse);
+      // Send Market!N product ids; flag the job so the dashboard can prompt a product resync
+      try {
+        const unmapped = await translateProductIds(payload);
+        if (unmapped.length || job.unmapped_product_ids) {
+          await ownJob(job)
+            .update({ unmapped_product_ids: unmapped.length ? JSON.stringify(unmapped) : null });
+        }
+      } catch (err) {
+        console.warn('Failed to translate product ids for job', job.job_id, err?.message || err);
+      }
+
+      // The batch shares one lease, so later jobs may have waited past it: renew this job's lease
+      // right before sending, and skip it if the reaper already handed it back to the queue
+      const renewed = await ownJob(job)
+        .where('status', 'processing')
+        .update({ lease_expires_at: leaseExpiry() });
+      if (!renewed) {
+        results.processed--;
+        results.lostClaims++;
+        continue;
+      }
 
-      // Success!
-      await knex('conversion_queue')
-        .where('id', job.id)
-        .update({
-          status: 'completed',
-          attempts: job.attempts + 1,
-          completed_at: new Date()
+      let response;
+      try {
+        response = await sendConversionDirect(payload, apiKeyToUse);
+      } catch (err) {
+        if (!['RATE_LIMITED', 'CIRCUIT_OPEN'].includes(err?.code)) throw err;
+        // Held back by our rate limiter or the open Market!N circuit: release the claim
+        // without consuming an attempt
+        await ownJob(job).update({
+          status: job.status,
+          worker_id: null,
+          claim_token: null,
+          lease_expires_at: null,
+          next_retry_at: new Date(Date.now() + retryDelaySeconds(job.attempts, err) * 1000)
         });
+        results.processed--;
+        results.deferred++;
+        continue;
+      }
+
+      // Success!
+      await ownJob(job).update({
+        status: 'completed',
+        attempts: job.attempts + 1,
+        completed_at: new Date(),
+        lease_expires_at: null
+      });
 
       results.succeeded++;
     } catch (err) {
@@ -127,34 +481,33 @@ const processQueue = async (batchSize = 10) => {
 
       // Check if we should retry or mark as dead
       const isRetryable = isRetryableError(err);
-      const shouldRetry = isRetryable && attempts < MAX_ATTEMPTS;
+      const shouldRetry = isRetryable && attempts < (job.max_attempts || MAX_ATTEMPTS);
 
       if (shouldRetry) {
-        // Calculate next retry with exponential backoff
-        const delaySeconds = BACKOFF_DELAYS[Math.min(attempts - 1, BACKOFF_DELAYS.length - 1)];
+        // Calculate next retry with the brand's backoff (or the server's Retry-After)
+        const { backoffSeconds } = await retryPolicyForJob(job);
+        const delaySeconds = retryDelaySeconds(attempts, err, backoffSeconds);
         const nextRetryAt = new Date(Date.now() + delaySeconds * 1000);
 
-        await knex('conversion_queue')
-          .where('id', job.id)
-          .update({
-            status: 'failed',
-            attempts,
-            next_retry_at: nextRetryAt,
-            last_error: errorMessage,
-            error_code: errorCode
-          });
+        await ownJob(job).update({
+          status: 'failed',
+          attempts,
+          next_retry_at: nextRetryAt,
+          last_error: errorMessage,
+          error_code: errorCode,
+          lease_expires_at: null
+        });
 
         results.failed++;
       } else {
         // Mark as dead (no more retries)
-        await knex('conversion_queue')
-          .where('id', job.id)
-          .update({
-            status: 'dead',
-            attempts,
-            last_error: errorMessage,
-            error_code: errorCode
-          });
+        await ownJob(job).update({
+          status: 'dead',
+          attempts,
+          last_error: errorMessage,
+          error_code: errorCode,
+          lease_expires_at: null
+        });
 
         // Log to failures table
         await logFailure(job, errorMessage, errorCode, httpStatus, err?.response?.data);
@@ -175,6 +528,19 @@ const processQueue = async (batchSize = 10) => {
   return results;
 };
 
+/**
+ * Seconds before a failed job is retried: the server's Retry-After when it sent one,
+ * else the backoff ladder for the attempt. Both are jittered to avoid synchronized retries.
+ */
+const retryDelaySeconds = (attempts, err = null, backoffSeconds = BACKOFF_DELAYS) => {
+  if (err?.retryAfterSeconds !== undefined && err?.retryAfterSeconds !== null) {
+    // Never retry earlier than the server asked; only spread later
+    return Math.ceil(err.retryAfterSeconds * (1 + Math.random() * BACKOFF_JITTER));
+  }
+  const delay = backoffSeconds[Math.min(attempts - 1, backoffSeconds.length - 1)];
+  return Math.round(delay * (1 - BACKOFF_JITTER + Math.random() * BACKOFF_JITTER * 2));
+};
+
 /**
  * Determine if an error is retryable
  */
@@ -220,6 +586,80 @@ const logFailure = async (job, errorMessage, errorCode, httpStatus, responseBody
   }
 };
 
+/**
+ * Jobs left in processing by a worker that stopped before finishing them: the lease expired,
+ * or (jobs claimed before leases existed) the attempt started more than a lease ago
+ */
+const expiredLeaseQuery = (now = new Date()) => knex('conversion_queue')
+  .where('status', 'processing')
+  .where(builder => {
+    builder.where('lease_expires_at', '<', now.toISOString())
+      .orWhere(legacy => legacy
+        .whereNull('lease_expires_at')
+        .where('last_attempted_at', '<', new Date(now.getTime() - LEASE_SECONDS * 1000)));
+  });
+
+/**
+ * Return jobs whose worker stopped before sending them to the queue
+ * processQueue renews a job's lease right before each send and never sends a job whose claim
+ * was taken back, so a running worker cannot have a reaped job in flight.
+ * Each recovered job counts as a failed attempt: it is retried with the usual backoff, or
+ * marked dead (with a failure record and alert) when it has no attempts left.
+ * Safe to run from several workers: a job is only recovered while it is still the same,
+ * still expired claim.
+ * @returns {Object} { recovered, dead }
+ */
+const reapExpiredLeases = async () => {
+  const now = new Date();
+  const jobs = await expiredLeaseQuery(now);
+  const results = { recovered: 0, dead: 0 };
+
+  for (const job of jobs) {
+    const attempts = job.attempts + 1;
+    const dead = attempts >= (job.max_attempts || MAX_ATTEMPTS);
+    const errorMessage = `Worker ${job.worker_id || 'unknown'} did not finish the job before its lease expired`;
+    const { backoffSeconds } = await retryPolicyForJob(job);
+    const delaySeconds = retryDelaySeconds(attempts, null, backoffSeconds);
+
+    // Re-check the expiry so a lease renewed since the read above is left alone
+    const updated = await expiredLeaseQuery(now)
+      .where({ id: job.id, attempts: job.attempts })
+      .where(builder => {
+        if (job.claim_token) builder.where('claim_token', job.claim_token);
+        else builder.whereNull('claim_token');
+      })
+      .update({
+        status: dead ? 'dead' : 'failed',
+        attempts,
+        ...(!dead && { next_retry_at: new Date(Date.now() + delaySeconds * 1000) }),
+        last_error: errorMessage,
+        error_code: 'LEASE_EXPIRED',
+        worker_id: null,
+        claim_token: null,
+        lease_expires_at: null
+      });
+    if (!updated) continue;
+
+    if (dead) {
+      await logFailure(job, errorMessage, 'LEASE_EXPIRED', null, null);
+      await alertService.sendConversionFailureAlert({
+        jobId: job.job_id,
+        payload: job.payload,
+        error: errorMessage,
+        attempts
+      });
+      results.dead++;
+    } else {
+      results.recovered++;
+    }
+  }
+
+  if (results.recovered || results.dead) {
+    console.warn('Recovered conversions with expired leases:', results);
+  }
+  return results;
+};
+
 /**
  * Get queue statistics for monitoring
  */
@@ -234,12 +674,124 @@ const getQueueStats = async () => {
     .count('* as count')
     .first();
 
+  // Repeated Wix deliveries acknowledged without reprocessing
+  const duplicates = await knex('order_webhooks')
+    .where('duplicate_count', '>', 0)
+    .count('* as webhooks')
+    .sum('duplicate_count as deliveries')
+    .first();
+
+  const unmapped = await knex('conversion_queue')
+    .whereNotNull('unmapped_product_ids')
+    .count('* as count')
+    .first();
+
+  // Processing jobs the reaper will return to the queue
+  const stuck = await expiredLeaseQuery()
+    .count('* as count')
+    .first();
+
   return {
     queue: Object.fromEntries(stats.map(s => [s.status, parseInt(s.count, 10)])),
-    failures24h: parseInt(failures24h?.count || 0, 10)
+    failures24h: parseInt(failures24h?.count || 0, 10),
+    duplicateDeliveries: parseInt(duplicates?.deliveries || 0, 10),
+    duplicateWebhooks: parseInt(duplicates?.webhooks || 0, 10),
+    unmappedProductConversions: parseInt(unmapped?.count || 0, 10),
+    stuckJobs: parseInt(stuck?.count || 0, 10)
   };
 };
 
+/**
+ * Serialize a conversion_queue row awaiting review for the admin/dashboard review list
+ */
+const formatReviewJob = (job) => {
+  let payload = {};
+  let flags = [];
+  try {
+    payload = JSON.parse(job.payload || '{}');
+    flags = JSON.parse(job.screening_flags || '[]');
+  } catch { /* show what parsed */ }
+  return {
+    jobId: job.job_id,
+    status: job.status,
+    eventType: job.event_type,
+    externalOrderId: job.external_order_id,
+    siteId: job.site_id || payload.siteId || null,
+    affiliateId: job.affiliate_id || payload.affiliateId || null,
+    amount: payload.amount,
+    currency: payload.currency,
+    buyerIp: job.buyer_ip,
+    flags,
+    createdAt: job.created_at
+  };
+};
+
+/**
+ * List conversions awaiting review, oldest first
+ * @param {Object} filters - { siteId, status (held | pending_review; both when omitted), limit }
+ */
+const listReviewJobs = async ({ siteId, status, limit = 50 } = {}) => {
+  const jobs = await knex('conversion_queue')
+    .whereIn('status', status ? [status] : REVIEW_STATUSES)
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .orderBy('created_at', 'asc')
+    .limit(limit);
+  return jobs.map(formatReviewJob);
+};
+
+/**
+ * Count conversions awaiting review per status
+ * @returns {Object} { held, pending_review }
+ */
+const countReviewJobs = async (siteId = null) => {
+  const rows = await knex('conversion_queue')
+    .whereIn('status', REVIEW_STATUSES)
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .select('status')
+    .count('* as count')
+    .groupBy('status');
+  const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+  for (const row of rows) counts[row.status] = parseInt(row.count, 10);
+  return counts;
+};
+
+/**
+ * Approve or reject a conversion awaiting review
+ * Approved jobs are queued for sending; rejected jobs are never sent and keep the reason
+ * @param {string} jobId - conversion_queue job_id
+ * @param {string} decision - approve | reject
+ * @param {Object} options - { note, siteId } - note is the reason (required) when rejecting;
+ *   siteId restricts the decision to one site's jobs
+ * @returns {Object} { success, status, message, error }
+ */
+const reviewJob = async (jobId, decision, { note = null, siteId = null } = {}) => {
+  if (decision === 'reject' && !String(note || '').trim()) {
+    return { success: false, error: 'reason is required to reject a conversion' };
+  }
+  const status = decision === 'approve' ? 'pending' : 'rejected';
+  const updated = await knex('conversion_queue')
+    .where('job_id', jobId)
+    .whereIn('status', REVIEW_STATUSES)
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .update({
+      status,
+      next_retry_at: new Date(),
+      reviewed_at: new Date(),
+      review_note: note ? String(note).trim().slice(0, 255) : null
+    });
+
+  if (!updated) {
+    return { success: false, message: 'Job not found or not awaiting review' };
+  }
+  return { success: true, status, message: decision === 'approve' ? 'Job approved and queued' : 'Job rejected' };
+};
+
 /**
  * Retry a dead job manually
  */
@@ -266,11 +818,77 @@ const retryDeadJob = async (jobId) => {
   return { success: true, message: 'Job requeued' };
 };
 
+/**
+ * Requeue dead jobs matching filters, e.g. everything that died during a Market!N outage
+ * @param {Object} filters - { errorCode, siteId, eventType, from, to (last attempt, Dates), limit }
+ * @param {Object} options - { dryRun } - count and list the matching jobs without requeueing them
+ * @returns {Object} { dryRun, matched, requeued, hasMore, jobIds } - matched counts every matching
+ *   dead job; jobIds, requeued and hasMore describe this batch of at most limit jobs
+ */
+const retryDeadJobs = async ({ errorCode, siteId, eventType, from, to, limit = 100 } = {}, { dryRun = false } = {}) => {
+  const batchSize = Math.min(limit, MAX_BULK_RETRY);
+  const deadJobs = () => knex('conversion_queue')
+    .where('status', 'dead')
+    .where(builder => {
+      if (errorCode) builder.where('error_code', errorCode);
+      if (siteId) builder.where('site_id', siteId);
+      if (eventType) builder.where('event_type', eventType);
+      if (from) builder.where('last_attempted_at', '>=', from);
+      if (to) builder.where('last_attempted_at', '<=', to);
+    });
+
+  const total = await deadJobs().count('* as count').first();
+  const jobs = await deadJobs()
+    .orderBy('id', 'asc')
+    .limit(batchSize)
+    .select('id', 'job_id');
+
+  let requeued = 0;
+  if (!dryRun && jobs.length) {
+    // Only requeue jobs that are still dead (another admin may have retried some meanwhile)
+    requeued = await knex('conversion_queue')
+      .whereIn('id', jobs.map(job => job.id))
+      .where('status', 'dead')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_retry_at: new Date(),
+        last_error: null,
+        error_code: null
+      });
+  }
+
+  return {
+    dryRun,
+    matched: parseInt(total?.count || 0, 10),
+    requeued,
+    hasMore: jobs.length === batchSize,
+    jobIds: jobs.map(job => job.job_id)
+  };
+};
+
 module.exports = {
   enqueueConversion,
+  enqueueAdjustment,
+  enqueueRenewal,
+  findConversionForOrder,
+  findAdjustmentsForJob,
+  findSubscriptionConversion,
+  getLastRenewalCycle,
+  findRenewalByKey,
+  cancelJob,
   processQueue,
+  reapExpiredLeases,
   getQueueStats,
   retryDeadJob,
+  retryDeadJobs,
+  resolveRetryPolicy,
+  listReviewJobs,
+  countReviewJobs,
+  reviewJob,
+  retryDelaySeconds,
+  REVIEW_STATUSES,
   MAX_ATTEMPTS,
-  BACKOFF_DELAYS
+  BACKOFF_DELAYS,
+  LEASE_SECONDS
 };
@@ -0,0 +1,122 @@
+/**
+ * Coupon Mapping Service
+ * Maps discount codes to the affiliates who share them. Managed from the dashboard
+ * and admin API; used as the coupon source of the attribution chain.
+ */
+const knex = require('../db');
+
+/**
+ * Normalize a coupon code for matching (Wix codes are case-insensitive)
+ * @returns {string|null}
+ */
+const normalizeCouponCode = (code) => {
+  if (code === undefined || code === null) return null;
+  const normalized = String(code).trim().toUpperCase();
+  return normalized || null;
+};
+
+/**
+ * Serialize a coupon_mappings row for API responses
+ */
+const formatMapping = (row) => ({
+  id: row.id,
+  siteId: row.site_id,
+  code: row.code,
+  affiliateId: row.affiliate_id,
+  campaignId: row.campaign_id || null,
+  isActive: !!row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * List the coupon mappings of a site (all sites when siteId is omitted)
+ * @returns {Array} formatted mappings ordered by code
+ */
+const listCouponMappings = async (siteId) => {
+  const rows = await knex('coupon_mappings')
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .orderBy('code', 'asc');
+  return rows.map(formatMapping);
+};
+
+/**
+ * Create or update the mapping of a code on a site
+ * @param {Object} mapping - { siteId, code, affiliateId, campaignId, isActive }
+ * @returns {Object} { mapping, created, error }
+ */
+const saveCouponMapping = async ({ siteId, code, affiliateId, campaignId, isActive }) => {
+  const normalizedCode = normalizeCouponCode(code);
+  if (!siteId) return { error: 'siteId is required' };
+  if (!normalizedCode) return { error: 'code is required' };
+  if (!affiliateId || !String(affiliateId).trim()) return { error: 'affiliateId is required' };
+
+  const fields = {
+    affiliate_id: String(affiliateId).trim(),
+    campaign_id: campaignId ? String(campaignId).trim() : null,
+    is_active: isActive === undefined ? true : isActive === true || isActive === 'true',
+    updated_at: new Date()
+  };
+
+  const existing = await knex('coupon_mappings').where({ site_id: siteId, code: normalizedCode }).first();
+  if (existing) {
+    await knex('coupon_mappings').where('id', existing.id).update(fields);
+    const row = await knex('coupon_mappings').where('id', existing.id).first();
+    return { mapping: formatMapping(row), created: false };
+  }
+
+  await knex('coupon_mappings').insert({
+    site_id: siteId,
+    code: normalizedCode,
+    ...fields,
+    created_at: new Date()
+  });
+  const row = await knex('coupon_mappings').where({ site_id: siteId, code: normalizedCode }).first();
+  return { mapping: formatMapping(row), created: true };
+};
+
+/**
+ * Delete a mapping by id, optionally scoped to a site (dashboard callers)
+ * @returns {boolean} whether a row was deleted
+ */
+const deleteCouponMapping = async (id, siteId = null) => {
+  const deleted = await knex('coupon_mappings')
+    .where('id', id)
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .del();
+  return deleted > 0;
+};
+
+/**
+ * Find the affiliate behind the first mapped coupon applied to an order
+ * @param {Object} params - { siteId, codes }
+ * @returns {Object|null} { affiliateId, campaignId, couponCode }
+ */
+const findAffiliateByCoupons = async ({ siteId, codes = [] }) => {
+  const normalized = codes.map(normalizeCouponCode).filter(Boolean);
+  if (!siteId || !normalized.length) return null;
+
+  const rows = await knex('coupon_mappings')
+    .where({ site_id: siteId, is_active: true })
+    .whereIn('code', normalized);
+  // Respect the order the coupons were applied in
+  for (const code of normalized) {
+    const row = rows.find(r => r.code === code);
+    if (row) {
+      return { affiliateId: row.affiliate_id, campaignId: row.campaign_id || null, couponCode: row.code };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  normalizeCouponCode,
+  listCouponMappings,
+  saveCouponMapping,
+  deleteCouponMapping,
+  findAffiliateByCoupons
+};
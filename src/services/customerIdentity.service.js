@@ -0,0 +1,136 @@
+/**
+ * Customer Identity Service
+ * Hashed buyer emails linked to affiliates, populated from /visitor/identify and parsed orders.
+ * Used by the email fallback of the attribution chain.
+ */
+const knex = require('../db');
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS } = require('./settings.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize an email for matching (trimmed, lowercased)
+ * @returns {string|null} null when the value is not an email
+ */
+const normalizeEmail = (email) => {
+  if (!email || typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  return /^[^@\s]+@[^@\s]+$/.test(normalized) ? normalized : null;
+};
+
+/**
+ * sha256 hash of the normalized email (raw emails are never stored)
+ * @returns {string|null}
+ */
+const hashEmail = (email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * ISO form of a timestamp (Date, ISO string or epoch ms); null when it is not a valid time
+ */
+const toIsoTime = (value) => {
+  if (value === undefined || value === null) return null;
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? null : time.toISOString();
+};
+
+/**
+ * Record that an email was seen on a site
+ * One row per order (source 'order') or per session (source 'identify'); repeated calls update it.
+ * touchedAt is when the affiliate was clicked (defaults to now) and only moves with a new affiliate.
+ * Never throws: identity capture must not fail the request that triggered it.
+ * @param {Object} identity - { siteId, email, source, affiliateId, campaignId, visitorId, sessionId, orderId, touchedAt }
+ * @returns {boolean} whether an identity was stored
+ */
+const recordIdentity = async ({ siteId, email, source, affiliateId, campaignId, visitorId, sessionId, orderId, touchedAt }) => {
+  const emailHash = hashEmail(email);
+  if (!emailHash) return false;
+
+  try {
+    const key = { site_id: siteId || null, email_hash: emailHash, source };
+    if (source === 'order') key.order_id = orderId || null;
+    else key.session_id = sessionId || null;
+    const touch = affiliateId
+      ? { affiliate_id: affiliateId, campaign_id: campaignId || null, touched_at: toIsoTime(touchedAt) || new Date().toISOString() }
+      : null;
+
+    const existing = await knex('customer_identities').where(key).first();
+    if (existing) {
+      await knex('customer_identities')
+        .where('id', existing.id)
+        .update({
+          ...touch,
+          visitor_id: visitorId || existing.visitor_id,
+          updated_at: new Date()
+        });
+      return true;
+    }
+
+    await knex('customer_identities').insert({
+      ...key,
+      affiliate_id: null,
+      campaign_id: null,
+      ...touch,
+      visitor_id: visitorId || null,
+      session_id: sessionId || null,
+      order_id: orderId || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    return true;
+  } catch (err) {
+    console.error('recordIdentity error', err?.message || err);
+    return false;
+  }
+};
+
+/**
+ * Find the affiliate most recently clicked by an email's owner on a site
+ * Affiliates clicked before the brand's lookback window are ignored.
+ * @param {Object} params - { siteId, email, excludeOrderId, lookbackDays }
+ * @returns {Object|null} { affiliateId, campaignId, source, orderId, sessionId }
+ *   source is 'historic_order' for previous orders and 'email_identity' for identify calls
+ */
+const findAffiliateByEmail = async ({ siteId, email, excludeOrderId, lookbackDays }) => {
+  const emailHash = hashEmail(email);
+  if (!emailHash) return null;
+
+  const days = lookbackDays || DEFAULT_SETTINGS.lookbackDays;
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+
+  const row = await knex('customer_identities')
+    .where('email_hash', emailHash)
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .where(builder => {
+      // The order being attributed must not credit itself
+      if (excludeOrderId) builder.whereNot('order_id', excludeOrderId).orWhereNull('order_id');
+    })
+    .whereNotNull('affiliate_id')
+    .where('touched_at', '>=', cutoff)
+    .orderBy('touched_at', 'desc')
+    .orderBy('id', 'desc')
+    .first();
+
+  if (!row) return null;
+
+  return {
+    affiliateId: row.affiliate_id,
+    campaignId: row.campaign_id,
+    source: row.source === 'order' ? 'historic_order' : 'email_identity',
+    orderId: row.order_id,
+    sessionId: row.session_id
+  };
+};
+
+module.exports = {
+  normalizeEmail,
+  hashEmail,
+  recordIdentity,
+  findAffiliateByEmail
+};
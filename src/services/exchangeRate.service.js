@@ -0,0 +1,124 @@
+/**
+ * Exchange Rate Service
+ * Converts order values to a brand's reporting currency through a pluggable rate provider.
+ * Providers implement getRates() -> { base, rates: { CODE: unitsPerBase }, updatedAt }
+ * - file: JSON rates table on disk (EXCHANGE_RATES_FILE), usable offline
+ * - http: JSON rates endpoint (EXCHANGE_RATES_URL), e.g. open.er-api.com/v6/latest/USD
+ * EXCHANGE_RATE_PROVIDER selects the provider (default: file); tests/integrations can use setProvider()
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../../data/exchange-rates.json');
+const CACHE_SECONDS = parseInt(process.env.EXCHANGE_RATES_CACHE_SECONDS || '3600', 10);
+
+/**
+ * Normalize a rates document; accepts { base, rates } and { base_code, rates }
+ */
+const normalizeRates = (doc = {}) => {
+  const base = String(doc.base || doc.base_code || '').toUpperCase();
+  if (!base || !doc.rates || typeof doc.rates !== 'object') {
+    throw new Error('Exchange rates must include base and rates');
+  }
+  const rates = { [base]: 1 };
+  for (const [code, value] of Object.entries(doc.rates)) {
+    const rate = Number(value);
+    if (Number.isFinite(rate) && rate > 0) rates[code.toUpperCase()] = rate;
+  }
+  return { base, rates, updatedAt: doc.updatedAt || doc.time_last_update_utc || null };
+};
+
+/**
+ * File provider: reads the rates table on every call so edits apply without a restart
+ */
+const createFileProvider = (filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) => ({
+  name: 'file',
+  getRates: async () => normalizeRates(JSON.parse(await fs.promises.readFile(filePath, 'utf8')))
+});
+
+/**
+ * HTTP provider: fetches the rates endpoint, cached for EXCHANGE_RATES_CACHE_SECONDS
+ */
+const createHttpProvider = (url = process.env.EXCHANGE_RATES_URL) => {
+  let cached = null;
+  let fetchedAt = 0;
+  return {
+    name: 'http',
+    getRates: async () => {
+      if (!url) throw new Error('EXCHANGE_RATES_URL not configured');
+      if (cached && Date.now() - fetchedAt < CACHE_SECONDS * 1000) return cached;
+      const resp = await axios.get(url, { timeout: 10000 });
+      cached = normalizeRates(resp.data);
+      fetchedAt = Date.now();
+      return cached;
+    }
+  };
+};
+
+const PROVIDERS = {
+  file: createFileProvider,
+  http: createHttpProvider
+};
+
+let provider = null;
+
+/**
+ * Get the configured provider (created lazily from EXCHANGE_RATE_PROVIDER)
+ */
+const getProvider = () => {
+  if (!provider) {
+    const factory = PROVIDERS[process.env.EXCHANGE_RATE_PROVIDER || 'file'] || createFileProvider;
+    provider = factory();
+  }
+  return provider;
+};
+
+/**
+ * Replace the provider (custom adapters, tests); pass null to go back to the env default
+ */
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+/**
+ * Rate to multiply an amount in `from` by to get `to`
+ * @returns {Object} { rate, provider }
+ */
+const getRate = async (from, to) => {
+  const source = String(from || '').toUpperCase();
+  const target = String(to || '').toUpperCase();
+  if (source === target) return { rate: 1, provider: 'identity' };
+
+  const active = getProvider();
+  const { rates } = await active.getRates();
+  if (!rates[source] || !rates[target]) {
+    throw new Error(`No exchange rate for ${source} -> ${target}`);
+  }
+  // Cross rate through the table's base currency
+  return { rate: Math.round((rates[target] / rates[source]) * 1e8) / 1e8, provider: active.name };
+};
+
+/**
+ * Convert an amount between currencies
+ * @returns {Object} { amount, currency, rate, provider, originalAmount, originalCurrency }
+ */
+const convertAmount = async (amount, from, to) => {
+  const { rate, provider: providerName } = await getRate(from, to);
+  return {
+    amount: Math.round((Number(amount) || 0) * rate * 100) / 100,
+    currency: String(to).toUpperCase(),
+    rate,
+    provider: providerName,
+    originalAmount: amount,
+    originalCurrency: String(from).toUpperCase()
+  };
+};
+
+module.exports = {
+  createFileProvider,
+  createHttpProvider,
+  setProvider,
+  getRate,
+  convertAmount
+};
@@ -0,0 +1,156 @@
+/**
+ * Fraud Screening Service
+ * Checks an attributed order for self-referral, order velocity and geo mismatch before its
+ * conversion is queued. Conversions that fail a check are held for an admin to approve or reject.
+ * Brands in approval mode also route large conversions and new affiliates to pending_review.
+ */
+const knex = require('../db');
+const { hashEmail } = require('./customerIdentity.service');
+
+/**
+ * Register an email an affiliate uses, so their own purchases are flagged as self-referrals
+ * @param {Object} identity - { affiliateId, email, siteId } (siteId omitted = every site)
+ * @returns {Object} { identity, created, error }
+ */
+const registerAffiliateEmail = async ({ affiliateId, email, siteId }) => {
+  const emailHash = hashEmail(email);
+  if (!affiliateId || !String(affiliateId).trim()) return { error: 'affiliateId is required' };
+  if (!emailHash) return { error: 'a valid email is required' };
+
+  const key = { affiliate_id: String(affiliateId).trim(), email_hash: emailHash };
+  const existing = await knex('affiliate_identities').where(key).first();
+  if (existing) {
+    await knex('affiliate_identities').where('id', existing.id).update({ site_id: siteId || null });
+  } else {
+    await knex('affiliate_identities').insert({ ...key, site_id: siteId || null, created_at: new Date() });
+  }
+
+  return {
+    identity: { affiliateId: key.affiliate_id, siteId: siteId || null, emailHash },
+    created: !existing
+  };
+};
+
+/**
+ * Whether the buyer's email is registered to the credited affiliate
+ */
+const isSelfReferral = async ({ affiliateId, email, siteId }) => {
+  const emailHash = hashEmail(email);
+  if (!emailHash || !affiliateId) return false;
+
+  const row = await knex('affiliate_identities')
+    .where({ affiliate_id: affiliateId, email_hash: emailHash })
+    .where(builder => {
+      builder.whereNull('site_id');
+      if (siteId) builder.orWhere('site_id', siteId);
+    })
+    .first();
+  return !!row;
+};
+
+/**
+ * Count purchase conversions queued on a site since a cutoff for a column value (affiliate_id or buyer_ip)
+ * Limits are brand settings, so purchases on other sites do not count towards them
+ */
+const countRecentConversions = async (column, value, since, siteId) => {
+  const row = await knex('conversion_queue')
+    .where(column, value)
+    .where(builder => {
+      if (siteId) builder.where('site_id', siteId);
+    })
+    .where('event_type', 'purchase')
+    .where('created_at', '>=', since)
+    .count('* as count')
+    .first();
+  return parseInt(row?.count || 0, 10);
+};
+
+/**
+ * The visitor session the affiliate was credited through (winning candidate, else the buyer's own)
+ */
+const findAttributedSession = async ({ parsedOrder, attribution, candidates }) => {
+  const winner = candidates.find(c => c.selected && c.affiliateId === attribution.affiliateId && c.sessionId);
+  const sessionId = winner?.sessionId || parsedOrder.sessionId;
+  if (sessionId) {
+    const session = await knex('visitor_sessions').where('session_id', sessionId).first();
+    if (session) return session;
+  }
+  if (!parsedOrder.visitorId) return null;
+  return knex('visitor_sessions')
+    .where({ visitor_id: parsedOrder.visitorId, affiliate_id: attribution.affiliateId })
+    .orderBy('created_at', 'desc')
+    .first();
+};
+
+const normalizeCountry = (value) => (value ? String(value).trim().toUpperCase() : null);
+
+/**
+ * Approval mode rules: the amount threshold and affiliates without a sent conversion on the site
+ * @returns {Array} flags [{ check, ... }] for every rule the conversion triggers
+ */
+const checkApprovalRules = async ({ affiliateId, siteId, amount }, settings) => {
+  const flags = [];
+  if (settings.approvalAmountThreshold !== null && Number(amount) > settings.approvalAmountThreshold) {
+    flags.push({ check: 'amount_above_threshold', amount: Number(amount), threshold: settings.approvalAmountThreshold });
+  }
+  if (settings.approvalForNewAffiliates) {
+    const sent = await knex('conversion_queue')
+      .where({ affiliate_id: affiliateId, status: 'completed' })
+      .where(builder => {
+        if (siteId) builder.where('site_id', siteId);
+      })
+      .first();
+    if (!sent) flags.push({ check: 'new_affiliate' });
+  }
+  return flags;
+};
+
+/**
+ * Screen an attributed order before its conversion is queued
+ * @param {Object} params - { parsedOrder, attribution, candidates, settings, amount }
+ *   amount: commissionable amount of the conversion, for the approval threshold
+ * @returns {Object} { held, reviewRequired, flags, buyerIp } - flags: [{ check, ... }] for every failed check.
+ *   held: a fraud check failed; reviewRequired: an approval mode rule applies
+ */
+const screenConversion = async ({ parsedOrder, attribution, candidates = [], settings, amount = null }) => {
+  const session = await findAttributedSession({ parsedOrder, attribution, candidates });
+  const buyerIp = parsedOrder.buyerSignals?.ipAddress || session?.ip_address || null;
+
+  const reviewFlags = settings.requireApproval
+    ? await checkApprovalRules({ affiliateId: attribution.affiliateId, siteId: parsedOrder.siteId, amount }, settings)
+    : [];
+  if (!settings.fraudScreening) {
+    return { held: false, reviewRequired: reviewFlags.length > 0, flags: reviewFlags, buyerIp };
+  }
+
+  const flags = [];
+
+  if (await isSelfReferral({ affiliateId: attribution.affiliateId, email: parsedOrder.customerEmail, siteId: parsedOrder.siteId })) {
+    flags.push({ check: 'self_referral' });
+  }
+
+  const since = new Date(Date.now() - settings.velocityWindowMinutes * 60 * 1000);
+  const affiliateCount = await countRecentConversions('affiliate_id', attribution.affiliateId, since, parsedOrder.siteId);
+  if (affiliateCount >= settings.maxConversionsPerAffiliate) {
+    flags.push({ check: 'affiliate_velocity', count: affiliateCount, limit: settings.maxConversionsPerAffiliate });
+  }
+  if (buyerIp) {
+    const ipCount = await countRecentConversions('buyer_ip', buyerIp, since, parsedOrder.siteId);
+    if (ipCount >= settings.maxConversionsPerIp) {
+      flags.push({ check: 'ip_velocity', count: ipCount, limit: settings.maxConversionsPerIp });
+    }
+  }
+
+  const orderCountry = normalizeCountry(parsedOrder.buyerSignals?.country);
+  const sessionCountry = normalizeCountry(session?.country);
+  if (orderCountry && sessionCountry && orderCountry !== sessionCountry) {
+    flags.push({ check: 'geo_mismatch', orderCountry, sessionCountry });
+  }
+
+  return { held: flags.length > 0, reviewRequired: reviewFlags.length > 0, flags: [...flags, ...reviewFlags], buyerIp };
+};
+
+module.exports = {
+  registerAffiliateEmail,
+  screenConversion
+};
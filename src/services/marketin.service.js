@@ -1,8 +1,28 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { splitValue } = require('./attribution.service');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
 
 // Default API URL - production Market!N endpoint
 const MARKETIN_API_URL = process.env.MARKETIN_API_URL || 'https://api.marketin.now/api/v1';
 
+// Conversion sends per brand/API key (token bucket, per process)
+const sendLimiter = createRateLimiter({
+  ratePerSecond: parseFloat(process.env.MARKETIN_RATE_LIMIT_PER_SECOND || '5'),
+  burst: parseInt(process.env.MARKETIN_RATE_LIMIT_BURST || '10', 10)
+});
+// Longer waits are handed back to the queue as RATE_LIMITED instead of blocking the worker
+const MAX_RATE_LIMIT_WAIT_MS = parseInt(process.env.MARKETIN_RATE_LIMIT_MAX_WAIT_MS || '5000', 10);
+// Stops conversion sends while Market!N is down instead of letting every job hit the timeout
+const circuitBreaker = createCircuitBreaker({
+  name: 'marketin',
+  failureThreshold: parseInt(process.env.MARKETIN_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  resetSeconds: parseInt(process.env.MARKETIN_CIRCUIT_RESET_SECONDS || '60', 10)
+});
+// Upper bound on a Retry-After we honor, so a bad header cannot park the queue for days
+const MAX_RETRY_AFTER_SECONDS = 6 * 60 * 60;
+
 const createClient = (apiKey) => {
   return axios.create({
     baseURL: MARKETIN_API_URL,
@@ -16,6 +36,31 @@ const createClient = (apiKey) => {
 
 const marketinClient = createClient(process.env.MARKETIN_API_KEY);
 
+/**
+ * Rate limit key for a brand and API key (the key itself is hashed, never held in memory as-is)
+ */
+const rateLimitKey = (brandId, apiKey) => {
+  const key = apiKey || process.env.MARKETIN_API_KEY || '';
+  const keyHash = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+  return `${brandId || 'default'}:${keyHash}`;
+};
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number|null} seconds to wait, capped at MAX_RETRY_AFTER_SECONDS
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  let seconds = /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+  if (seconds === null) {
+    const date = Date.parse(text);
+    if (Number.isNaN(date)) return null;
+    seconds = Math.max(0, (date - now) / 1000);
+  }
+  return Math.min(Math.ceil(seconds), MAX_RETRY_AFTER_SECONDS);
+};
+
 /**
  * Bulk sync products to Market!N
  */
@@ -58,12 +103,28 @@ const sendConversion = async ({ apiKey, siteId, orderId, amount, currency, affil
  *   customerEmail: string,     // metadata
  *   customerName: string,      // metadata
  *   products: [{               // cartItems
- *     externalProductId: string,
+ *     externalProductId: string, // Wix product id, sent in cartItems metadata
+ *     marketinProductId: string, // Market!N product id from product_mappings (set by processQueue)
+ *     variantId: string,       // Wix variant id (null for products without variants)
+ *     sku: string,
  *     name: string,
  *     price: number,
- *     quantity: number
+ *     quantity: number,
+ *     options: object,         // chosen options, e.g. { Size: 'L', Color: 'Black' }
+ *     catalogReference: object, // eCommerce { catalogItemId, appId, options }
+ *     discount: number,        // discount applied to the line
+ *     tax: number              // tax charged on the line
  *   }],
  *   sessionId: string,
+ *   sourceVertical: string,    // stores, bookings, pricing_plans, events, other, mixed
+ *   eventType: string,         // purchase, renewal, reversal, adjustment
+ *   cycleNumber: number,       // subscription billing cycle (renewals; 1 = initial purchase)
+ *   attributionModel: string,  // last_click, first_click, linear, time_decay
+ *   credits: [{                // attribution.credits - commission split across affiliates
+ *     affiliateId: string,
+ *     campaignId: string,
+ *     weight: number           // 0..1, sums to 1
+ *   }],
  *   metadata: object
  * }
  */
@@ -75,33 +136,66 @@ const sendConversionDirect = async (payload, apiKey = null) => {
   const apiPayload = {
     campaignId: payload.campaignId,
     affiliateId: payload.affiliateId,
-    productId: payload.productId || (payload.products?.[0]?.externalProductId),
+    productId: payload.productId || payload.products?.[0]?.marketinProductId || payload.products?.[0]?.externalProductId,
     sessionId: payload.sessionId,
     eventType: payload.eventType || 'purchase',
+    ...(payload.cycleNumber && { cycleNumber: payload.cycleNumber }),
     value: payload.amount,
     currency: payload.currency || 'USD',
     conversionRef: payload.externalOrderId,
+    sourceVertical: payload.sourceVertical || 'stores',
     metadata: {
       ...payload.metadata,
+      sourceVertical: payload.sourceVertical || 'stores',
       customerEmail: payload.customerEmail,
       customerName: payload.customerName,
       wixOrderId: payload.externalOrderId,
       source: 'wix'
     },
     cartItems: (payload.products || []).map(p => ({
-      productId: p.externalProductId || p.productId,
+      productId: p.marketinProductId || p.externalProductId || p.productId,
+      variantId: p.variantId || null,
+      sku: p.sku || null,
       price: p.price,
       quantity: p.quantity || 1,
-      metadata: { name: p.name }
+      metadata: {
+        name: p.name,
+        wixProductId: p.externalProductId || null,
+        sourceVertical: p.sourceVertical || 'stores',
+        options: p.options || {},
+        catalogReference: p.catalogReference || null,
+        discount: p.discount || 0,
+        tax: p.tax || 0
+      }
     }))
   };
 
+  // Multi-touch attribution: send each affiliate's share of the value
+  if (payload.credits?.length) {
+    apiPayload.attribution = {
+      model: payload.attributionModel || 'last_click',
+      credits: splitValue(payload.credits, payload.amount)
+    };
+  }
+
   // Add brand header for SDK endpoint
   const headers = {};
   if (payload.brandId) {
     headers['X-BRAND-ID'] = String(payload.brandId);
   }
 
+  // Throws CIRCUIT_OPEN (with retryAfterSeconds) while Market!N is considered down; checked
+  // first so skipped sends neither use rate limit tokens nor wait for them
+  circuitBreaker.allow();
+  // Throws RATE_LIMITED (with retryAfterSeconds) when the brand's bucket is empty for too long
+  const limitKey = rateLimitKey(payload.brandId, apiKey);
+  try {
+    await sendLimiter.acquire(limitKey, { maxWaitMs: MAX_RATE_LIMIT_WAIT_MS });
+  } catch (err) {
+    circuitBreaker.cancel();
+    throw err;
+  }
+
   try {
     const resp = await client.post(endpoint, apiPayload, { headers });
     
@@ -112,6 +206,7 @@ const sendConversionDirect = async (payload, apiKey = null) => {
       err.response = { status: resp.status, data };
       throw err;
     }
+    circuitBreaker.recordSuccess();
     
     return {
       success: true,
@@ -120,10 +215,23 @@ const sendConversionDirect = async (payload, apiKey = null) => {
       status: data.status
     };
   } catch (err) {
+    // Only timeouts, network errors and 5xx count as Market!N being down; any other answer means it is up
+    const status = err?.response?.status;
+    if (!status || status >= 500) circuitBreaker.recordFailure();
+    else circuitBreaker.recordSuccess();
+
     // Enhance error with response details
     const enhanced = new Error(err?.response?.data?.message || err?.response?.data?.detail || err.message);
     enhanced.code = err.code;
     enhanced.response = err.response;
+    if (status === 429 || status === 503) {
+      const retryAfterSeconds = parseRetryAfter(err.response.headers?.['retry-after']);
+      if (retryAfterSeconds !== null) {
+        enhanced.retryAfterSeconds = retryAfterSeconds;
+        // Hold back the brand's other sends too, not just this conversion
+        sendLimiter.pause(limitKey, retryAfterSeconds * 1000);
+      }
+    }
     console.error('sendConversionDirect error', {
       status: err?.response?.status,
       data: err?.response?.data,
@@ -158,5 +266,9 @@ module.exports = {
   sendConversion,
   sendConversionDirect,
   validateApiKey,
+  parseRetryAfter,
+  getCircuitState: circuitBreaker.getState,
+  circuitBreaker,
+  sendLimiter,
   MARKETIN_API_URL
 };
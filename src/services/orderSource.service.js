@@ -0,0 +1,87 @@
+/**
+ * Order Source Service
+ * Wix eCommerce orders can come from Stores, Bookings, Pricing Plans or Events.
+ * Each line item names the app that sold it in catalogReference.appId; the adapters
+ * below add the fields that app puts in the catalog reference and pick the id
+ * Market!N should treat as the product.
+ */
+
+// Wix app ids of the verticals we understand
+const WIX_APP_IDS = {
+  '215238eb-22a5-4c36-9e7b-e7c08025e04e': 'stores',
+  '13d21c63-b5ec-5912-8397-c3a5ddb27a97': 'bookings',
+  '1522827f-c56c-a5c9-2ac9-00f9e6ae12d3': 'pricing_plans',
+  '140603ad-af8d-84a5-2c80-a0f60cb47351': 'events'
+};
+
+/**
+ * Per-vertical line item adapters
+ * Each receives the raw line item and the generically parsed line item and returns extra/overridden fields
+ */
+const ADAPTERS = {
+  stores: () => ({}),
+  bookings: (item, parsed) => {
+    const options = item.catalogReference?.options || {};
+    return {
+      // Commission rules apply per service; the catalog item is the individual booking
+      externalProductId: options.serviceId || parsed.externalProductId,
+      bookingId: item.catalogReference?.catalogItemId || null,
+      serviceId: options.serviceId || null
+    };
+  },
+  pricing_plans: (item) => ({
+    planId: item.catalogReference?.catalogItemId || null
+  }),
+  events: (item, parsed) => {
+    const options = item.catalogReference?.options || {};
+    return {
+      externalProductId: options.eventId || parsed.externalProductId,
+      eventId: options.eventId || null,
+      ticketDefinitionId: item.catalogReference?.catalogItemId || null
+    };
+  },
+  other: () => ({})
+};
+
+/**
+ * Vertical of a line item from its catalog reference
+ * Stores v1 line items have no catalog reference and are always Stores products
+ */
+const detectLineItemVertical = (item = {}) => {
+  const appId = item.catalogReference?.appId;
+  if (!appId) return 'stores';
+  return WIX_APP_IDS[appId] || 'other';
+};
+
+/**
+ * Apply the source app's adapter to a parsed line item
+ * @param {Object} item - Raw Wix line item
+ * @param {Object} parsed - Generic parsed line item
+ * @returns {Object} parsed line item with sourceVertical and app-specific fields
+ */
+const adaptLineItem = (item, parsed) => {
+  const sourceVertical = detectLineItemVertical(item);
+  return {
+    ...parsed,
+    ...ADAPTERS[sourceVertical](item, parsed),
+    sourceVertical,
+    sourceAppId: item.catalogReference?.appId || null
+  };
+};
+
+/**
+ * Vertical of a whole order: the line items' vertical, 'mixed' when they differ
+ * @param {Array} products - Adapted line items
+ * @returns {string} stores | bookings | pricing_plans | events | other | mixed
+ */
+const detectOrderVertical = (products = []) => {
+  const verticals = [...new Set(products.map(p => p.sourceVertical).filter(Boolean))];
+  if (!verticals.length) return 'stores';
+  return verticals.length === 1 ? verticals[0] : 'mixed';
+};
+
+module.exports = {
+  WIX_APP_IDS,
+  adaptLineItem,
+  detectOrderVertical
+};
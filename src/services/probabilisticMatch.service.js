@@ -0,0 +1,202 @@
+/**
+ * Probabilistic Match Service
+ * Scores recent affiliate sessions on a site against the buyer's IP, user agent,
+ * device type, country and time proximity. Used as the last-resort session fallback
+ * instead of crediting whichever affiliate session happened to be most recent.
+ */
+const knex = require('../db');
+
+// Signal weights - a perfect match on every signal scores 1.0
+const SIGNAL_WEIGHTS = {
+  ip: 0.45,
+  userAgent: 0.25,
+  deviceType: 0.1,
+  country: 0.1,
+  time: 0.1
+};
+
+const DEFAULT_THRESHOLD = 0.6;
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_CANDIDATES = 200;
+
+/**
+ * Guess device type from a user agent string (matches the SDK's desktop/mobile/tablet values)
+ */
+const deviceTypeFromUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+  const ua = String(userAgent).toLowerCase();
+  if (/ipad|tablet|kindle|silk/.test(ua)) return 'tablet';
+  if (/mobi|iphone|android/.test(ua)) return 'mobile';
+  return 'desktop';
+};
+
+/**
+ * Compare two IPs: exact match scores 1, same IPv4 /24 or IPv6 /64 scores 0.5
+ */
+const compareIp = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.includes('.') && b.includes('.')) {
+    return a.split('.').slice(0, 3).join('.') === b.split('.').slice(0, 3).join('.') ? 0.5 : 0;
+  }
+  if (a.includes(':') && b.includes(':')) {
+    return a.split(':').slice(0, 4).join(':') === b.split(':').slice(0, 4).join(':') ? 0.5 : 0;
+  }
+  return 0;
+};
+
+const sameText = (a, b) => !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Score one candidate session against the buyer's signals
+ * @param {Object} signals - { ipAddress, userAgent, deviceType, country, orderedAt }
+ * @param {Object} session - visitor_sessions row
+ * @param {number} windowHours - Sessions older than this score 0 for time proximity
+ * @returns {Object} { score, matchedSignals }
+ */
+const scoreCandidate = (signals, session, windowHours = DEFAULT_WINDOW_HOURS) => {
+  const matchedSignals = [];
+  let score = 0;
+
+  const ipScore = compareIp(signals.ipAddress, session.ip_address);
+  if (ipScore > 0) {
+    score += SIGNAL_WEIGHTS.ip * ipScore;
+    matchedSignals.push(ipScore === 1 ? 'ip' : 'ip_subnet');
+  }
+
+  if (sameText(signals.userAgent, session.user_agent)) {
+    score += SIGNAL_WEIGHTS.userAgent;
+    matchedSignals.push('user_agent');
+  }
+
+  const sessionDevice = session.device_type || deviceTypeFromUserAgent(session.user_agent);
+  if (sameText(signals.deviceType, sessionDevice)) {
+    score += SIGNAL_WEIGHTS.deviceType;
+    matchedSignals.push('device_type');
+  }
+
+  if (sameText(signals.country, session.country)) {
+    score += SIGNAL_WEIGHTS.country;
+    matchedSignals.push('country');
+  }
+
+  // Linear decay from 1 (session at order time) to 0 (session at the window edge)
+  const orderedAt = signals.orderedAt ? new Date(signals.orderedAt).getTime() : Date.now();
+  const ageHours = (orderedAt - new Date(session.created_at).getTime()) / (60 * 60 * 1000);
+  if (ageHours >= 0 && ageHours < windowHours) {
+    score += SIGNAL_WEIGHTS.time * (1 - ageHours / windowHours);
+    matchedSignals.push('time');
+  }
+
+  return { score: Math.round(score * 1000) / 1000, matchedSignals };
+};
+
+/**
+ * Fill in buyer signals missing from the order using the buyer's own session
+ * (the session/visitor the order came from, even when it carries no affiliate)
+ */
+const collectBuyerSignals = async ({ siteId, visitorId, sessionId, signals = {} }) => {
+  const collected = { ...signals };
+  const needsSession = !collected.ipAddress || !collected.userAgent;
+
+  let session = null;
+  if (needsSession && sessionId) {
+    session = await knex('visitor_sessions').where('session_id', sessionId).first();
+  }
+  if (needsSession && !session && visitorId) {
+    session = await knex('visitor_sessions')
+      .where('visitor_id', visitorId)
+      .where(builder => {
+        if (siteId) builder.where('site_id', siteId);
+      })
+      .orderBy('created_at', 'desc')
+      .first();
+  }
+
+  if (session) {
+    collected.ipAddress = collected.ipAddress || session.ip_address;
+    collected.userAgent = collected.userAgent || session.user_agent;
+    collected.country = collected.country || session.country;
+    collected.deviceType = collected.deviceType || session.device_type;
+  }
+  collected.deviceType = collected.deviceType || deviceTypeFromUserAgent(collected.userAgent);
+
+  return collected;
+};
+
+/**
+ * Find the best-scoring affiliate session on a site for a buyer
+ * Only attributes when the score reaches the confidence threshold
+ * @param {Object} params - { siteId, visitorId, sessionId, signals }
+ * @param {Object} options - { threshold, windowHours, candidates }
+ *   candidates: optional array; the best-scoring session is appended for the attribution audit trail
+ * @returns {Object|null} { affiliateId, campaignId, productId, sessionId, source, confidence, matchedSignals }
+ */
+const findProbabilisticMatch = async ({ siteId, visitorId, sessionId, signals }, options = {}) => {
+  if (!siteId) return null;
+
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const windowHours = options.windowHours || DEFAULT_WINDOW_HOURS;
+
+  const candidates = options.candidates || [];
+
+  const buyer = await collectBuyerSignals({ siteId, visitorId, sessionId, signals });
+  // Without a network or browser fingerprint the remaining signals cannot reach any sensible threshold
+  if (!buyer.ipAddress && !buyer.userAgent) {
+    candidates.push({ source: 'probabilistic', affiliateId: null, reason: 'no_buyer_signals' });
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const cutoff = new Date(Date.now() - windowHours * 60 * 60 * 1000).toISOString();
+  const sessions = await knex('visitor_sessions')
+    .where('site_id', siteId)
+    .where('expires_at', '>', now)
+    .where('created_at', '>', cutoff)
+    .whereNotNull('affiliate_id')
+    .orderBy('created_at', 'desc')
+    .limit(MAX_CANDIDATES);
+
+  let best = null;
+  for (const session of sessions) {
+    const { score, matchedSignals } = scoreCandidate(buyer, session, windowHours);
+    if (!best || score > best.confidence) {
+      best = { session, confidence: score, matchedSignals };
+    }
+  }
+
+  if (!best) {
+    candidates.push({ source: 'probabilistic', affiliateId: null, reason: 'no_recent_affiliate_sessions' });
+    return null;
+  }
+
+  const passed = best.confidence >= threshold;
+  candidates.push({
+    source: 'probabilistic',
+    affiliateId: best.session.affiliate_id,
+    campaignId: best.session.campaign_id,
+    sessionId: best.session.session_id,
+    confidence: best.confidence,
+    matchedSignals: best.matchedSignals,
+    reason: passed ? 'matched' : `below_threshold_${threshold}`
+  });
+  if (!passed) return null;
+
+  return {
+    affiliateId: best.session.affiliate_id,
+    campaignId: best.session.campaign_id,
+    productId: best.session.product_id,
+    sessionId: best.session.session_id,
+    source: 'probabilistic',
+    confidence: best.confidence,
+    matchedSignals: best.matchedSignals
+  };
+};
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  DEFAULT_THRESHOLD,
+  deviceTypeFromUserAgent,
+  scoreCandidate,
+  findProbabilisticMatch
+};
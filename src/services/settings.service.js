@@ -0,0 +1,285 @@
+/**
+ * Settings Service
+ * Per-installation brand settings stored as JSON in wix_tokens.settings
+ */
+const knex = require('../db');
+const { ATTRIBUTION_MODELS } = require('./attribution.service');
+
+// Defaults applied when a site has not configured a setting
+const DEFAULT_SETTINGS = {
+  attributionModel: 'last_click',
+  timeDecayHalfLifeDays: 7,
+  // Attribution window: how long an affiliate click/session stays eligible
+  lookbackDays: parseInt(process.env.SESSION_TTL_DAYS || '30', 10),
+  // Fallbacks used when no session matches the buyer
+  probabilisticMatch: true,
+  // Minimum score (0-1) a probabilistic IP/user agent match needs to be credited
+  probabilisticThreshold: 0.6,
+  historicOrderFallback: true,
+  // A ref=AFF in the buyer note wins over cookie/session attribution
+  directRefOverridesSession: true,
+  // A coupon code mapped to an affiliate wins over cookie/session attribution
+  couponOverridesSession: true,
+  // ISO 4217 code conversions are normalized to (null = send in the order currency)
+  reportingCurrency: null,
+  // Order price components commission is paid on; discount deducts order discounts
+  commissionableComponents: ['subtotal', 'discount'],
+  // Renewal cycles of a subscription that earn commission (null = every renewal, 0 = none)
+  maxRenewalCycles: null,
+  // Hold suspicious conversions (self-referral, order velocity, geo mismatch) for admin review
+  fraudScreening: true,
+  // Velocity limits: purchases per affiliate / buyer IP within the window before conversions are held
+  velocityWindowMinutes: 60,
+  maxConversionsPerAffiliate: 20,
+  maxConversionsPerIp: 3,
+  // Approval mode: conversions above the amount threshold (null = any amount) or from affiliates
+  // without a sent conversion wait in pending_review until the brand approves them
+  requireApproval: false,
+  approvalAmountThreshold: null,
+  approvalForNewAffiliates: true,
+  // Conversion send retries: { maxAttempts, backoffSeconds, eventTypes: { renewal: { maxAttempts, ... } } }
+  // (null = queue defaults); maxAttempts is fixed on a job when it is queued
+  retryPolicy: null
+};
+
+const COMMISSIONABLE_COMPONENTS = ['subtotal', 'discount', 'shipping', 'tax'];
+
+const BOOLEAN_SETTINGS = ['probabilisticMatch', 'historicOrderFallback', 'directRefOverridesSession', 'couponOverridesSession', 'fraudScreening',
+  'requireApproval', 'approvalForNewAffiliates'];
+const POSITIVE_INTEGER_SETTINGS = ['velocityWindowMinutes', 'maxConversionsPerAffiliate', 'maxConversionsPerIp'];
+const MAX_LOOKBACK_DAYS = 365;
+// Conversion event types a retry policy can override
+const RETRY_EVENT_TYPES = ['purchase', 'renewal', 'reversal', 'adjustment'];
+const MAX_RETRY_ATTEMPTS = 20;
+const MAX_BACKOFF_SECONDS = 24 * 60 * 60;
+
+/**
+ * Parse a boolean setting that may arrive as a string from forms/query params
+ * @returns {boolean|null} null when the value is not a recognizable boolean
+ */
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1' || value === 1) return true;
+  if (value === 'false' || value === '0' || value === 0) return false;
+  return null;
+};
+
+/**
+ * Validate the maxAttempts/backoffSeconds of a retry policy (or one of its event type overrides)
+ * @param {Object} input - policy object
+ * @param {string} path - setting path for error messages
+ * @returns {Object} { policy, error }
+ */
+const validateRetryRule = (input, path) => {
+  const policy = {};
+  if (input.maxAttempts !== undefined && input.maxAttempts !== null) {
+    const attempts = Number(input.maxAttempts);
+    if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_RETRY_ATTEMPTS) {
+      return { error: `${path}.maxAttempts must be a whole number between 1 and ${MAX_RETRY_ATTEMPTS}` };
+    }
+    policy.maxAttempts = attempts;
+  }
+  if (input.backoffSeconds !== undefined && input.backoffSeconds !== null) {
+    const delays = Array.isArray(input.backoffSeconds) ? input.backoffSeconds.map(Number) : [];
+    if (!delays.length || delays.some(d => !Number.isInteger(d) || d < 1 || d > MAX_BACKOFF_SECONDS)) {
+      return { error: `${path}.backoffSeconds must be a list of whole seconds between 1 and ${MAX_BACKOFF_SECONDS}` };
+    }
+    policy.backoffSeconds = delays;
+  }
+  return { policy };
+};
+
+/**
+ * Validate a retryPolicy setting
+ * @returns {Object} { policy, error } - policy is null when the input clears the setting
+ */
+const validateRetryPolicy = (input) => {
+  if (input === null || input === '') return { policy: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'retryPolicy must be an object (or null for the queue defaults)' };
+  }
+
+  const { policy, error } = validateRetryRule(input, 'retryPolicy');
+  if (error) return { error };
+
+  if (input.eventTypes !== undefined && input.eventTypes !== null) {
+    if (typeof input.eventTypes !== 'object' || Array.isArray(input.eventTypes)) {
+      return { error: 'retryPolicy.eventTypes must be an object keyed by event type' };
+    }
+    policy.eventTypes = {};
+    for (const [eventType, rule] of Object.entries(input.eventTypes)) {
+      if (!RETRY_EVENT_TYPES.includes(eventType)) {
+        return { error: `retryPolicy.eventTypes keys must be one of: ${RETRY_EVENT_TYPES.join(', ')}` };
+      }
+      const override = validateRetryRule(rule || {}, `retryPolicy.eventTypes.${eventType}`);
+      if (override.error) return { error: override.error };
+      policy.eventTypes[eventType] = override.policy;
+    }
+  }
+
+  return { policy };
+};
+
+/**
+ * Parse the settings JSON of a wix_tokens row and merge with defaults
+ * @param {Object} tokenRow - wix_tokens row (may be null)
+ * @returns {Object} settings
+ */
+const parseSettings = (tokenRow) => {
+  let stored = {};
+  if (tokenRow?.settings) {
+    try {
+      stored = typeof tokenRow.settings === 'string' ? JSON.parse(tokenRow.settings) : tokenRow.settings;
+    } catch (err) {
+      console.warn('Invalid settings JSON for wix_tokens row', tokenRow.id, err?.message);
+    }
+  }
+  // siteRecentFallback was replaced by probabilistic matching; keep an explicit opt-out
+  if (stored.siteRecentFallback !== undefined && stored.probabilisticMatch === undefined) {
+    stored.probabilisticMatch = stored.siteRecentFallback;
+  }
+  delete stored.siteRecentFallback;
+  return { ...DEFAULT_SETTINGS, ...stored };
+};
+
+/**
+ * Get settings for an installed site (defaults if the site is unknown)
+ * @param {string} siteId - The Wix site ID
+ * @returns {Object} settings
+ */
+const getSiteSettings = async (siteId) => {
+  if (!siteId) return { ...DEFAULT_SETTINGS };
+  try {
+    const tokenRow = await knex('wix_tokens')
+      .where({ site_id: siteId, is_active: true })
+      .first();
+    return parseSettings(tokenRow);
+  } catch (err) {
+    console.error('getSiteSettings error', err?.message || err);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Validate a partial settings update from the dashboard
+ * Only known keys are accepted; unknown keys are ignored
+ * @param {Object} input - Request body
+ * @returns {Object} { updates, error }
+ */
+const validateSettingsUpdate = (input = {}) => {
+  const updates = {};
+
+  if (input.attributionModel !== undefined) {
+    if (!ATTRIBUTION_MODELS.includes(input.attributionModel)) {
+      return { error: `attributionModel must be one of: ${ATTRIBUTION_MODELS.join(', ')}` };
+    }
+    updates.attributionModel = input.attributionModel;
+  }
+
+  if (input.timeDecayHalfLifeDays !== undefined) {
+    const halfLife = Number(input.timeDecayHalfLifeDays);
+    if (!Number.isFinite(halfLife) || halfLife <= 0) {
+      return { error: 'timeDecayHalfLifeDays must be a positive number' };
+    }
+    updates.timeDecayHalfLifeDays = halfLife;
+  }
+
+  if (input.lookbackDays !== undefined) {
+    const days = Number(input.lookbackDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LOOKBACK_DAYS) {
+      return { error: `lookbackDays must be a whole number between 1 and ${MAX_LOOKBACK_DAYS}` };
+    }
+    updates.lookbackDays = days;
+  }
+
+  if (input.probabilisticThreshold !== undefined) {
+    const threshold = Number(input.probabilisticThreshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+      return { error: 'probabilisticThreshold must be a number greater than 0 and at most 1' };
+    }
+    updates.probabilisticThreshold = threshold;
+  }
+
+  if (input.reportingCurrency !== undefined) {
+    const currency = input.reportingCurrency ? String(input.reportingCurrency).trim().toUpperCase() : null;
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+      return { error: 'reportingCurrency must be a 3-letter ISO 4217 code' };
+    }
+    updates.reportingCurrency = currency;
+  }
+
+  if (input.commissionableComponents !== undefined) {
+    const components = Array.isArray(input.commissionableComponents)
+      ? input.commissionableComponents
+      : String(input.commissionableComponents).split(',');
+    const normalized = [...new Set(components.map(c => String(c).trim()).filter(Boolean))];
+    if (!normalized.includes('subtotal') || normalized.some(c => !COMMISSIONABLE_COMPONENTS.includes(c))) {
+      return { error: `commissionableComponents must include subtotal and only contain: ${COMMISSIONABLE_COMPONENTS.join(', ')}` };
+    }
+    updates.commissionableComponents = normalized;
+  }
+
+  if (input.maxRenewalCycles !== undefined) {
+    const cycles = input.maxRenewalCycles === null || input.maxRenewalCycles === '' ? null : Number(input.maxRenewalCycles);
+    if (cycles !== null && (!Number.isInteger(cycles) || cycles < 0)) {
+      return { error: 'maxRenewalCycles must be a whole number of 0 or more (or null for no limit)' };
+    }
+    updates.maxRenewalCycles = cycles;
+  }
+
+  if (input.approvalAmountThreshold !== undefined) {
+    const threshold = input.approvalAmountThreshold === null || input.approvalAmountThreshold === '' ? null : Number(input.approvalAmountThreshold);
+    if (threshold !== null && (!Number.isFinite(threshold) || threshold < 0)) {
+      return { error: 'approvalAmountThreshold must be a number of 0 or more (or null for no amount rule)' };
+    }
+    updates.approvalAmountThreshold = threshold;
+  }
+
+  if (input.retryPolicy !== undefined) {
+    const { policy, error } = validateRetryPolicy(input.retryPolicy);
+    if (error) return { error };
+    updates.retryPolicy = policy;
+  }
+
+  for (const key of POSITIVE_INTEGER_SETTINGS) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      return { error: `${key} must be a whole number of 1 or more` };
+    }
+    updates[key] = value;
+  }
+
+  for (const key of BOOLEAN_SETTINGS) {
+    if (input[key] === undefined) continue;
+    const value = parseBoolean(input[key]);
+    if (value === null) {
+      return { error: `${key} must be true or false` };
+    }
+    updates[key] = value;
+  }
+
+  return { updates };
+};
+
+/**
+ * Merge validated updates into a token row's stored settings
+ * @returns {string} JSON string to store in wix_tokens.settings
+ */
+const mergeSettings = (tokenRow, updates) => {
+  let stored = {};
+  try {
+    stored = tokenRow?.settings ? JSON.parse(tokenRow.settings) : {};
+  } catch { /* overwrite invalid JSON */ }
+  return JSON.stringify({ ...stored, ...updates });
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  COMMISSIONABLE_COMPONENTS,
+  RETRY_EVENT_TYPES,
+  parseSettings,
+  getSiteSettings,
+  validateSettingsUpdate,
+  mergeSettings
+};
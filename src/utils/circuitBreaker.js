@@ -0,0 +1,85 @@
+/**
+ * In-memory circuit breaker
+ * Opens after `failureThreshold` consecutive failures and rejects calls for `resetSeconds`.
+ * Then it half-opens: one trial call goes through, closing the circuit on success or
+ * reopening it on failure. State is per process.
+ */
+
+/**
+ * Create a breaker
+ * @param {Object} options - { name, failureThreshold, resetSeconds }
+ * @returns {Object} { allow, cancel, recordSuccess, recordFailure, getState, reset }
+ */
+const createCircuitBreaker = ({ name, failureThreshold, resetSeconds }) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let nextAttemptAt = null;
+  let trialInFlight = false;
+
+  const open = () => {
+    if (state !== 'open') console.warn(`[circuit:${name}] open after ${consecutiveFailures} consecutive failures`);
+    state = 'open';
+    openedAt = Date.now();
+    nextAttemptAt = openedAt + resetSeconds * 1000;
+    trialInFlight = false;
+  };
+
+  /**
+   * Whether a call may go through now; throws CIRCUIT_OPEN (with retryAfterSeconds) otherwise
+   */
+  const allow = () => {
+    if (state === 'closed') return;
+    const now = Date.now();
+    if (state === 'open' && now >= nextAttemptAt) {
+      state = 'half_open';
+      console.log(`[circuit:${name}] half-open, sending a trial request`);
+    }
+    if (state === 'half_open' && !trialInFlight) {
+      trialInFlight = true;
+      return;
+    }
+    const err = new Error(`${name} circuit is ${state}, not sending`);
+    err.code = 'CIRCUIT_OPEN';
+    err.retryAfterSeconds = Math.max(1, Math.ceil(((nextAttemptAt || now) - now) / 1000));
+    throw err;
+  };
+
+  const reset = () => {
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    nextAttemptAt = null;
+    trialInFlight = false;
+  };
+
+  const recordSuccess = () => {
+    if (state !== 'closed') console.log(`[circuit:${name}] closed`);
+    reset();
+  };
+
+  /**
+   * The call allowed by allow() was not made after all: let the next call be the trial
+   */
+  const cancel = () => {
+    if (state === 'half_open') trialInFlight = false;
+  };
+
+  const recordFailure = () => {
+    consecutiveFailures++;
+    if (state === 'half_open' || consecutiveFailures >= failureThreshold) open();
+  };
+
+  const getState = () => ({
+    state,
+    consecutiveFailures,
+    openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+    nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null
+  });
+
+  return { allow, cancel, recordSuccess, recordFailure, getState, reset };
+};
+
+module.exports = {
+  createCircuitBreaker
+};
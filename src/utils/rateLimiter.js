@@ -0,0 +1,72 @@
+/**
+ * In-memory token bucket rate limiter
+ * Each key (e.g. a Market!N brand/API key) gets its own bucket of `burst` tokens refilled at
+ * `ratePerSecond`. State is per process: several workers each get the full rate.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a limiter
+ * @param {Object} options - { ratePerSecond, burst }
+ * @returns {Object} { acquire, pause, getWaitMs, reset }
+ */
+const createRateLimiter = ({ ratePerSecond, burst }) => {
+  const buckets = new Map();
+
+  const getBucket = (key, now = Date.now()) => {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now, pausedUntil: 0 };
+      buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+    bucket.updatedAt = now;
+    return bucket;
+  };
+
+  /**
+   * Milliseconds until a request for the key may be sent
+   */
+  const getWaitMs = (key) => {
+    const now = Date.now();
+    const bucket = getBucket(key, now);
+    const tokenWait = bucket.tokens >= 1 ? 0 : ((1 - bucket.tokens) / ratePerSecond) * 1000;
+    return Math.ceil(Math.max(tokenWait, bucket.pausedUntil - now, 0));
+  };
+
+  /**
+   * Take a token for the key, waiting up to maxWaitMs for one
+   * Throws a RATE_LIMITED error (with retryAfterSeconds) when the wait would be longer
+   * @returns {number} milliseconds waited
+   */
+  const acquire = async (key, { maxWaitMs = Infinity } = {}) => {
+    const waitMs = getWaitMs(key);
+    if (waitMs > maxWaitMs) {
+      const err = new Error(`Rate limit reached, next request allowed in ${waitMs}ms`);
+      err.code = 'RATE_LIMITED';
+      err.retryAfterSeconds = Math.ceil(waitMs / 1000);
+      throw err;
+    }
+    // Reserve the token before waiting so concurrent callers queue up behind it
+    getBucket(key).tokens -= 1;
+    if (waitMs > 0) await sleep(waitMs);
+    return waitMs;
+  };
+
+  /**
+   * Stop sending for the key (e.g. the API answered 429 with Retry-After)
+   */
+  const pause = (key, ms) => {
+    const bucket = getBucket(key);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  };
+
+  const reset = () => buckets.clear();
+
+  return { acquire, pause, getWaitMs, reset };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,242 @@
+/**
+ * Wix webhook signature verification
+ * JWT envelopes (RS256), RSA signature headers and HMAC-SHA256 (hex or base64) share one policy;
+ * used by middleware/verifyWixWebhook.js for every webhook route
+ */
+const crypto = require('crypto');
+
+/**
+ * Wix Public Key for webhook signature verification
+ * Wix uses RSA public key signatures, not HMAC secrets
+ * Set WIX_PUBLIC_KEY in env or use inline default
+ */
+const getWixPublicKey = () => {
+  const envKey = process.env.WIX_PUBLIC_KEY;
+  if (!envKey) return null;
+
+  // Trim surrounding quotes if present (some .env editors wrap values in quotes)
+  let key = envKey.trim();
+  if ((key.startsWith('"') && key.endsWith('"')) || (key.startsWith("'") && key.endsWith("'"))) {
+    key = key.substring(1, key.length - 1);
+  }
+
+  // If the value contains literal backslash-n sequences (\n), convert them to real newlines
+  if (key.includes('\\n')) {
+    key = key.replace(/\\n/g, '\n');
+  }
+
+  // Normalize CRLF -> LF
+  key = key.replace(/\r\n/g, '\n');
+
+  // If it's already a PEM with BEGIN header, return
+  if (key.includes('-----BEGIN')) {
+    return key;
+  }
+
+  // Otherwise, assume it's base64 encoded; attempt to decode
+  try {
+    const decoded = Buffer.from(key, 'base64').toString('utf8');
+    if (decoded.includes('-----BEGIN')) return decoded;
+    // If decode didn't contain PEM header, fall back to the raw value (best-effort)
+    return key;
+  } catch (err) {
+    // Not valid base64, just return the raw value
+    return key;
+  }
+};
+
+/**
+ * Validate Wix webhook signature using RSA public key (Wix SDK method)
+ * Wix signs webhooks with their private key; we verify with their public key
+ * 
+ * Signature header: x-wix-signature (base64 encoded)
+ * Algorithm: RSA-SHA256
+ */
+const validateWixPublicKeySignature = (req) => {
+  const publicKey = getWixPublicKey();
+  if (!publicKey) return { valid: false, reason: 'no_public_key_configured' };
+
+  const signature = req.headers['x-wix-signature'];
+  if (!signature) return { valid: false, reason: 'no_signature_header' };
+
+  try {
+    const payload = req.rawBody || Buffer.from(JSON.stringify(req.body));
+    const verifier = crypto.createVerify('RSA-SHA256');
+    verifier.update(payload);
+    
+    const isValid = verifier.verify(publicKey, signature, 'base64');
+    return { valid: isValid, reason: isValid ? 'public_key_verified' : 'signature_mismatch' };
+  } catch (err) {
+    console.error('RSA signature verification error:', err?.message);
+    return { valid: false, reason: 'verification_error', error: err?.message };
+  }
+};
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * Get the JWT when the request body is a Wix JWT webhook envelope (sent as text/plain)
+ * @returns {string|null}
+ */
+const getWebhookJwt = (req) => {
+  const raw = req.rawBody ? req.rawBody.toString('utf8') : (typeof req.body === 'string' ? req.body : '');
+  const token = raw.trim();
+  return JWT_PATTERN.test(token) ? token : null;
+};
+
+/**
+ * Decode a base64url JWT segment as JSON
+ */
+const decodeJwtSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Unwrap a Wix JWT payload into a plain event body for the webhook controllers
+ * JWT payload: { data: "<json>" } -> { data: "<json>", instanceId, eventType } -> event
+ * Legacy event fields (productId, ...) and action event bodies stay top-level; entity events expose the entity as `entity`
+ */
+const unwrapWebhookJwtPayload = (jwtPayload = {}) => {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
+
+  const envelope = parse(jwtPayload.data);
+  const event = parse(envelope.data);
+  const entityJson = event.createdEvent?.entityAsJson || event.updatedEvent?.currentEntityAsJson;
+  const entity =
+    event.createdEvent?.entity ||
+    event.updatedEvent?.currentEntity ||
+    (entityJson ? parse(entityJson) : null);
+
+  // The event's own id is the delivery id, not the entity's
+  const { id: eventId, ...fields } = event;
+
+  return {
+    ...fields,
+    ...event.actionEvent?.body,
+    ...(entity && { entity }),
+    eventId: eventId || event.eventId || null,
+    entityId: event.entityId || null,
+    eventType: envelope.eventType,
+    instanceId: envelope.instanceId
+  };
+};
+
+/**
+ * Verify a Wix JWT webhook (RS256, signed with the app's key; verified with WIX_PUBLIC_KEY)
+ * @returns {Object} { valid, reason, payload }
+ */
+const verifyWixWebhookJwt = (token) => {
+  const publicKey = getWixPublicKey();
+  if (!publicKey) return { valid: false, reason: 'no_public_key_configured' };
+
+  try {
+    const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+    const header = decodeJwtSegment(headerSegment);
+    if (header.alg !== 'RS256') return { valid: false, reason: 'unsupported_jwt_alg' };
+
+    const verifier = crypto.createVerify('RSA-SHA256');
+    verifier.update(`${headerSegment}.${payloadSegment}`);
+    if (!verifier.verify(publicKey, Buffer.from(signatureSegment, 'base64url'))) {
+      return { valid: false, reason: 'jwt_signature_mismatch' };
+    }
+
+    const payload = decodeJwtSegment(payloadSegment);
+    if (payload.exp && payload.exp * 1000 < Date.now()) {
+      return { valid: false, reason: 'jwt_expired' };
+    }
+    return { valid: true, reason: 'jwt_verified', payload };
+  } catch (err) {
+    console.error('JWT webhook verification error:', err?.message);
+    return { valid: false, reason: 'verification_error', error: err?.message };
+  }
+};
+
+const getHmacSecret = () => process.env.WIX_WEBHOOK_SECRET || process.env.WIX_CLIENT_SECRET || null;
+
+/**
+ * Constant-time string comparison
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Validate HMAC-SHA256 signature from Wix webhook (legacy/fallback method)
+ * Accepts hex (optionally sha256= prefixed) or base64 digests
+ */
+const validateHmacSignature = (req) => {
+  const secret = getHmacSecret();
+  if (!secret) return { valid: false, reason: 'no_secret_configured' };
+
+  const signature = 
+    req.headers['x-wix-signature'] || 
+    req.headers['x-wix-signature-sha256'] || 
+    req.headers['x-wix-signature-hmac'] ||
+    req.headers['x-wix-hmac'];
+  
+  if (!signature) return { valid: false, reason: 'no_signature_header' };
+
+  const payload = req.rawBody || Buffer.from(JSON.stringify(req.body));
+  const digest = crypto.createHmac('sha256', secret).update(payload).digest();
+  
+  // signature may include sha256= prefix
+  const received = String(signature).replace(/^sha256=/i, '');
+  const isValid =
+    safeEqual(received.toLowerCase(), digest.toString('hex')) ||
+    safeEqual(received, digest.toString('base64'));
+  return { valid: isValid, reason: isValid ? 'hmac_verified' : 'hmac_mismatch' };
+};
+
+/**
+ * Verify a webhook request against every configured method
+ * Policy:
+ * - x-wix-webhook-test: true bypasses verification outside production
+ * - Without any key/secret configured, webhooks are accepted outside production and rejected in production
+ * - JWT bodies must verify with the public key (no header fallback)
+ * - Otherwise RSA signature header first, then HMAC
+ * @returns {Object} { valid, method, reason, bypassed }
+ */
+const verifyWebhookRequest = (req) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (req.headers['x-wix-webhook-test'] === 'true' && !isProduction) {
+    return { valid: true, method: 'none', reason: 'test_bypass', bypassed: true };
+  }
+
+  const publicKey = getWixPublicKey();
+  const hmacSecret = getHmacSecret();
+  if (!publicKey && !hmacSecret) {
+    return isProduction
+      ? { valid: false, method: 'none', reason: 'verification_not_configured' }
+      : { valid: true, method: 'none', reason: 'verification_not_configured', bypassed: true };
+  }
+
+  const jwt = getWebhookJwt(req);
+  if (jwt) {
+    const jwtResult = verifyWixWebhookJwt(jwt);
+    return { valid: jwtResult.valid, method: 'jwt', reason: jwtResult.reason };
+  }
+
+  let lastResult = null;
+  if (publicKey) {
+    lastResult = validateWixPublicKeySignature(req);
+    if (lastResult.valid) return { valid: true, method: 'rsa', reason: lastResult.reason };
+  }
+  if (hmacSecret) {
+    lastResult = validateHmacSignature(req);
+    if (lastResult.valid) return { valid: true, method: 'hmac', reason: lastResult.reason };
+  }
+
+  return { valid: false, method: hmacSecret ? 'hmac' : 'rsa', reason: lastResult?.reason || 'signature_mismatch' };
+};
+
+module.exports = {
+  getWixPublicKey,
+  getWebhookJwt,
+  decodeJwtSegment,
+  unwrapWebhookJwtPayload,
+  verifyWixWebhookJwt,
+  validateWixPublicKeySignature,
+  validateHmacSignature,
+  verifyWebhookRequest
+};
@@ -1,13 +1,15 @@
 /**
  * Conversion Queue Worker
  * Standalone worker that processes the conversion queue on a schedule
+ * Several workers (and the inline webhook processing) can run at once: jobs are claimed
+ * atomically with a lease, so each conversion is sent by one worker only
  * 
  * Usage:
  *   npm run worker        - Run continuously with polling
  *   npm run worker:once   - Process once and exit
  */
 require('dotenv').config();
-const { processQueue, getQueueStats } = require('../services/conversionQueue.service');
+const { processQueue, reapExpiredLeases, getQueueStats } = require('../services/conversionQueue.service');
 const { sendDailySummary } = require('../services/alert.service');
 
 // Configuration
@@ -43,6 +45,9 @@ const runWorker = async () => {
 
   while (isRunning) {
     try {
+      // Return jobs abandoned by crashed workers before claiming new ones
+      await reapExpiredLeases();
+
       // Process queue
       const result = await processQueue(BATCH_SIZE);
       
@@ -79,8 +84,9 @@ const runOnce = async () => {
   console.log(`[Worker] Running single batch (size: ${BATCH_SIZE})`);
   
   try {
+    const reaped = await reapExpiredLeases();
     const result = await processQueue(BATCH_SIZE);
-    console.log('[Worker] Result:', result);
+    console.log('[Worker] Result:', { ...result, reaped });
     
     const stats = await getQueueStats();
     console.log('[Worker] Queue stats:', stats);
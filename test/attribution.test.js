@@ -0,0 +1,264 @@
+// Instance header validation is skipped when no app secret is configured
+process.env.WIX_CLIENT_SECRET = '';
+
+const request = require('supertest');
+const app = require('../src/app');
+const knex = require('../src/db');
+const { applyAttributionModel, splitValue } = require('../src/services/attribution.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Attribution models', () => {
+  const now = Date.now();
+  const touchpoints = [
+    { affiliateId: 'AFF-A', campaignId: 'CAMP-A', touchedAt: new Date(now - 14 * DAY_MS).toISOString() },
+    { affiliateId: 'AFF-B', campaignId: 'CAMP-B', touchedAt: new Date(now - 7 * DAY_MS).toISOString() },
+    { affiliateId: 'AFF-C', campaignId: 'CAMP-C', touchedAt: new Date(now).toISOString() }
+  ];
+
+  test('last_click credits the most recent touch', () => {
+    const credits = applyAttributionModel(touchpoints, 'last_click', { now });
+    expect(credits).toEqual([{ affiliateId: 'AFF-C', campaignId: 'CAMP-C', weight: 1 }]);
+  });
+
+  test('first_click credits the earliest touch', () => {
+    const credits = applyAttributionModel(touchpoints, 'first_click', { now });
+    expect(credits).toEqual([{ affiliateId: 'AFF-A', campaignId: 'CAMP-A', weight: 1 }]);
+  });
+
+  test('linear splits evenly and aggregates repeat affiliates', () => {
+    const credits = applyAttributionModel([...touchpoints, { affiliateId: 'AFF-A', touchedAt: new Date(now).toISOString() }], 'linear', { now });
+    expect(credits[0]).toMatchObject({ affiliateId: 'AFF-A', weight: 0.5 });
+    expect(credits.map(c => c.affiliateId).sort()).toEqual(['AFF-A', 'AFF-B', 'AFF-C']);
+  });
+
+  test('time_decay favours recent touches', () => {
+    const credits = applyAttributionModel(touchpoints, 'time_decay', { now, halfLifeDays: 7 });
+    // Weights 0.25 : 0.5 : 1 normalized
+    expect(credits.map(c => c.affiliateId)).toEqual(['AFF-C', 'AFF-B', 'AFF-A']);
+    expect(credits[0].weight).toBeCloseTo(1 / 1.75, 3);
+    expect(credits[2].weight).toBeCloseTo(0.25 / 1.75, 3);
+  });
+
+  test('rounded weights sum to exactly 1 with the remainder on the latest touch', () => {
+    const credits = applyAttributionModel(touchpoints, 'linear', { now });
+    expect(credits.reduce((sum, c) => sum + c.weight, 0)).toBe(1);
+    expect(credits.find(c => c.affiliateId === 'AFF-C').weight).toBe(0.3334);
+    expect(credits.find(c => c.affiliateId === 'AFF-A').weight).toBe(0.3333);
+  });
+
+  test('splitValue assigns rounding remainder to the top credit', () => {
+    const values = splitValue([
+      { affiliateId: 'AFF-A', weight: 0.3333 },
+      { affiliateId: 'AFF-B', weight: 0.3333 },
+      { affiliateId: 'AFF-C', weight: 0.3334 }
+    ], 100);
+    const total = values.reduce((sum, c) => sum + c.value, 0);
+    expect(Math.round(total * 100) / 100).toBe(100);
+  });
+});
+
+describe('Attribution settings and resolution', () => {
+  beforeAll(async () => await knex.migrate.latest());
+  afterAll(async () => {
+    await knex.migrate.rollback();
+    await knex.destroy();
+  });
+
+  test('POST /admin/iframe/settings stores the attribution model', async () => {
+    await knex('wix_tokens').del();
+    await knex('wix_tokens').insert({ wix_client_id: 'mock', site_id: 'model-site', brand_id: 'brand-1', is_active: true, created_at: new Date() });
+
+    const invalid = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', attributionModel: 'random' });
+    expect(invalid.status).toBe(400);
+
+    const res = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', attributionModel: 'linear' });
+    expect(res.status).toBe(200);
+    expect(res.body.settings.attributionModel).toBe('linear');
+
+    const settingsRes = await request(app).get('/admin/iframe/settings').set('x-wix-instance', 'test.instance').query({ siteId: 'model-site' });
+    expect(settingsRes.body.settings.attributionModel).toBe('linear');
+  });
+
+  test('resolveAffiliate splits credit across sessions with the linear model', async () => {
+    const { resolveAffiliate } = require('../src/controllers/orderWebhook.controller');
+    const expiresAt = new Date(Date.now() + 30 * DAY_MS).toISOString();
+    await knex('visitor_sessions').insert([
+      { session_id: 'mt-1', visitor_id: 'mt-visitor', site_id: 'model-site', affiliate_id: 'AFF-1', expires_at: expiresAt, created_at: new Date(Date.now() - 2 * DAY_MS).toISOString() },
+      { session_id: 'mt-2', visitor_id: 'mt-visitor', site_id: 'model-site', affiliate_id: 'AFF-2', expires_at: expiresAt, created_at: new Date(Date.now() - DAY_MS).toISOString() }
+    ]);
+
+    const attribution = await resolveAffiliate(
+      { siteId: 'model-site', visitorId: 'mt-visitor' },
+      { attributionModel: 'linear' }
+    );
+
+    expect(attribution.source).toBe('multi_touch');
+    expect(attribution.credits).toHaveLength(2);
+    expect(attribution.credits.map(c => c.weight)).toEqual([0.5, 0.5]);
+
+    const lastClick = await resolveAffiliate({ siteId: 'model-site', visitorId: 'mt-visitor' });
+    expect(lastClick.affiliateId).toBe('AFF-2');
+    expect(lastClick.credits).toEqual([{ affiliateId: 'AFF-2', campaignId: null, weight: 1 }]);
+  });
+
+  test('resolveAffiliate decays time_decay weights to the order time', async () => {
+    const { resolveAffiliate } = require('../src/controllers/orderWebhook.controller');
+    const expiresAt = new Date(Date.now() + 30 * DAY_MS).toISOString();
+    await knex('visitor_sessions').insert([
+      { session_id: 'td-1', visitor_id: 'td-visitor', site_id: 'model-site', affiliate_id: 'AFF-OLD', expires_at: expiresAt, created_at: new Date(Date.now() - 15 * DAY_MS).toISOString() },
+      { session_id: 'td-2', visitor_id: 'td-visitor', site_id: 'model-site', affiliate_id: 'AFF-NEW', expires_at: expiresAt, created_at: new Date(Date.now() - DAY_MS).toISOString() }
+    ]);
+    const order = { siteId: 'model-site', visitorId: 'td-visitor', createdAt: new Date(Date.now() - 8 * DAY_MS).toISOString() };
+
+    const attribution = await resolveAffiliate(order, { attributionModel: 'time_decay', timeDecayHalfLifeDays: 7, lookbackDays: 30 });
+
+    // Seven days before the order halves the weight; the later touch counts in full
+    expect(attribution.credits).toEqual([
+      { affiliateId: 'AFF-NEW', campaignId: null, weight: 0.6667 },
+      { affiliateId: 'AFF-OLD', campaignId: null, weight: 0.3333 }
+    ]);
+  });
+
+  test('POST /admin/iframe/settings validates and stores lookback rules', async () => {
+    const invalid = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', lookbackDays: 0 });
+    expect(invalid.status).toBe(400);
+
+    const res = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', lookbackDays: 10, probabilisticMatch: 'false', directRefOverridesSession: false });
+    expect(res.status).toBe(200);
+    expect(res.body.settings).toMatchObject({
+      attributionModel: 'linear',
+      lookbackDays: 10,
+      probabilisticMatch: false,
+      historicOrderFallback: true,
+      directRefOverridesSession: false
+    });
+  });
+
+  test('POST /admin/iframe/settings validates commissionable components', async () => {
+    const invalid = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', commissionableComponents: ['shipping', 'tax'] });
+    expect(invalid.status).toBe(400);
+
+    const res = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', commissionableComponents: 'subtotal,shipping' });
+    expect(res.status).toBe(200);
+    expect(res.body.settings.commissionableComponents).toEqual(['subtotal', 'shipping']);
+  });
+
+  test('POST /admin/iframe/settings validates the renewal cycle limit', async () => {
+    const invalid = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', maxRenewalCycles: -1 });
+    expect(invalid.status).toBe(400);
+
+    const res = await request(app)
+      .post('/admin/iframe/settings')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'model-site', maxRenewalCycles: '12' });
+    expect(res.body.settings.maxRenewalCycles).toBe(12);
+  });
+
+  describe('with a fixed clock', () => {
+    const clickedAt = Date.parse('2026-03-01T12:00:00.000Z');
+    // Only Date is faked: supertest and the knex pool still need real timers
+    const useClock = (now) => jest.useFakeTimers({
+      now,
+      doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'requestAnimationFrame', 'cancelAnimationFrame',
+        'requestIdleCallback', 'cancelIdleCallback', 'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval',
+        'setTimeout', 'clearTimeout']
+    });
+    afterEach(() => jest.useRealTimers());
+
+    test('POST /track/session expires sessions after the brand lookback window', async () => {
+      useClock(clickedAt);
+      const res = await request(app)
+        .post('/track/session')
+        .send({ sessionId: 'lookback-session', siteId: 'model-site', affiliateId: 'AFF-LB' });
+      expect(res.status).toBe(201);
+
+      const session = await knex('visitor_sessions').where('session_id', 'lookback-session').first();
+      expect(session.created_at).toBe(new Date(clickedAt).toISOString());
+      expect(session.expires_at).toBe(new Date(clickedAt + 10 * DAY_MS).toISOString());
+    });
+
+    test('POST /track/session restarts the lookback window when another affiliate is clicked', async () => {
+      useClock(clickedAt + 3 * DAY_MS);
+      await request(app)
+        .post('/track/session')
+        .send({ sessionId: 'lookback-session', siteId: 'model-site', affiliateId: 'AFF-LB' });
+      let session = await knex('visitor_sessions').where('session_id', 'lookback-session').first();
+      expect(session.created_at).toBe(new Date(clickedAt).toISOString());
+
+      useClock(clickedAt + 5 * DAY_MS);
+      await request(app)
+        .post('/track/session')
+        .send({ sessionId: 'lookback-session', siteId: 'model-site', affiliateId: 'AFF-LB-2' });
+      session = await knex('visitor_sessions').where('session_id', 'lookback-session').first();
+      expect(session.affiliate_id).toBe('AFF-LB-2');
+      expect(session.created_at).toBe(new Date(clickedAt + 5 * DAY_MS).toISOString());
+      expect(session.expires_at).toBe(new Date(clickedAt + 15 * DAY_MS).toISOString());
+    });
+  });
+
+  test('findAffiliateByVisitor ignores sessions outside the lookback window', async () => {
+    const { findAffiliateByVisitor } = require('../src/controllers/visitorSession.controller');
+    const expiresAt = new Date(Date.now() + 30 * DAY_MS).toISOString();
+    await knex('visitor_sessions').insert({
+      session_id: 'old-session', visitor_id: 'old-visitor', site_id: 'lookback-site', affiliate_id: 'AFF-OLD',
+      expires_at: expiresAt, created_at: new Date(Date.now() - 5 * DAY_MS).toISOString()
+    });
+    await knex('visitor_sessions').insert({
+      session_id: 'recent-site-session', visitor_id: 'someone-else', site_id: 'lookback-site', affiliate_id: 'AFF-RECENT',
+      expires_at: expiresAt, created_at: new Date().toISOString()
+    });
+
+    const within = await findAffiliateByVisitor({ sessionId: 'old-session' }, { lookbackDays: 7 });
+    expect(within.affiliateId).toBe('AFF-OLD');
+
+    const outside = await findAffiliateByVisitor({ sessionId: 'old-session' }, { lookbackDays: 3, probabilisticMatch: false });
+    expect(outside).toBeNull();
+
+    // An unrelated buyer is no longer credited the most recent affiliate session on the site
+    const unrelated = await findAffiliateByVisitor({ siteId: 'lookback-site', visitorId: 'unknown' }, { probabilisticMatch: true });
+    expect(unrelated).toBeNull();
+  });
+
+  test('resolveAffiliate lets sessions win over the buyer note ref when configured', async () => {
+    const { resolveAffiliate } = require('../src/controllers/orderWebhook.controller');
+    const order = { siteId: 'lookback-site', sessionId: 'old-session', affiliateId: 'AFF-NOTE' };
+
+    const noteWins = await resolveAffiliate(order, { directRefOverridesSession: true });
+    expect(noteWins.affiliateId).toBe('AFF-NOTE');
+    expect(noteWins.source).toBe('order_direct');
+
+    const candidates = [];
+    const sessionWins = await resolveAffiliate(order, { directRefOverridesSession: false }, candidates);
+    expect(sessionWins.affiliateId).toBe('AFF-OLD');
+    expect(sessionWins.source).toBe('session');
+    expect(sessionWins.reason).toBe('session_match');
+    // Audit trail keeps the losing buyer note ref alongside the winning session
+    expect(candidates).toEqual([
+      expect.objectContaining({ source: 'order_direct', affiliateId: 'AFF-NOTE' }),
+      expect.objectContaining({ source: 'session', affiliateId: 'AFF-OLD', selected: true })
+    ]);
+    expect(candidates[0].selected).toBeUndefined();
+  });
+});
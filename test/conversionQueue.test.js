@@ -14,7 +14,22 @@ jest.mock('../src/services/marketin.service', () => ({
   bulkSyncProducts: jest.fn()
 }));
 
-const { enqueueConversion, processQueue, getQueueStats, retryDeadJob } = require('../src/services/conversionQueue.service');
+const {
+  enqueueConversion,
+  enqueueAdjustment,
+  enqueueRenewal,
+  findSubscriptionConversion,
+  getLastRenewalCycle,
+  findConversionForOrder,
+  processQueue,
+  reapExpiredLeases,
+  getQueueStats,
+  retryDeadJob,
+  retryDeadJobs,
+  retryDelaySeconds,
+  MAX_ATTEMPTS,
+  BACKOFF_DELAYS
+} = require('../src/services/conversionQueue.service');
 const marketinService = require('../src/services/marketin.service');
 
 describe('Conversion Queue Service', () => {
@@ -49,6 +64,39 @@ describe('Conversion Queue Service', () => {
     expect(job.status).toBe('pending');
   });
 
+  test('enqueueConversion stores the exchange rate and original order value', async () => {
+    const result = await enqueueConversion({
+      brandId: 123,
+      externalOrderId: 'order-fx',
+      amount: 30000,
+      currency: 'NGN',
+      affiliateId: 'AFF-FX',
+      metadata: { currencyConversion: { originalAmount: 20, originalCurrency: 'USD', rate: 1500, provider: 'file' } }
+    });
+
+    const job = await knex('conversion_queue').where('job_id', result.jobId).first();
+    expect(Number(job.exchange_rate)).toBe(1500);
+    expect(Number(job.original_amount)).toBe(20);
+    expect(job.original_currency).toBe('USD');
+  });
+
+  test('renewals are queued per cycle against the subscription purchase', async () => {
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-sub', amount: 20, affiliateId: 'AFF-SUB', subscriptionId: 'sub-1' });
+
+    const purchase = await findSubscriptionConversion({ subscriptionId: 'sub-1', orderId: 'other-order' });
+    expect(purchase).toMatchObject({ job_id: 'conv_123_order-sub', subscription_id: 'sub-1', cycle_number: 1 });
+    expect(await getLastRenewalCycle(purchase.job_id)).toBe(1);
+
+    const renewal = await enqueueRenewal(purchase, { externalOrderId: 'order-sub_cycle_2', amount: 20, cycleNumber: 2, eventType: 'renewal' });
+    expect(renewal.jobId).toBe('conv_123_order-sub_renewal_2');
+    const again = await enqueueRenewal(purchase, { externalOrderId: 'order-sub_cycle_2', amount: 20, cycleNumber: 2, eventType: 'renewal' });
+    expect(again.message).toBe('Already queued');
+
+    const job = await knex('conversion_queue').where('job_id', renewal.jobId).first();
+    expect(job).toMatchObject({ event_type: 'renewal', subscription_id: 'sub-1', cycle_number: 2 });
+    expect(await getLastRenewalCycle(purchase.job_id)).toBe(2);
+  });
+
   test('enqueueConversion is idempotent', async () => {
     const payload = {
       brandId: 123,
@@ -103,6 +151,34 @@ describe('Conversion Queue Service', () => {
     expect(callArgs[1]).toBe('per-brand-key');
   });
 
+  test('processQueue sends Market!N product ids and flags unmapped products', async () => {
+    marketinService.sendConversionDirect.mockResolvedValueOnce({ success: true });
+    await knex('product_mappings').insert({ wix_product_id: 'wix-mapped', marketin_product_id: 'mkt-42', created_at: new Date(), updated_at: new Date() });
+
+    const { jobId } = await enqueueConversion({
+      brandId: 123,
+      externalOrderId: 'order-mapping',
+      amount: 30,
+      affiliateId: 'AFF-MAP',
+      products: [
+        { externalProductId: 'wix-mapped', name: 'Mapped', price: 20, quantity: 1 },
+        { externalProductId: 'wix-unknown', name: 'New product', price: 10, quantity: 1 }
+      ]
+    });
+    await processQueue(10);
+
+    const [sent] = marketinService.sendConversionDirect.mock.calls[0];
+    expect(sent.products[0]).toMatchObject({ externalProductId: 'wix-mapped', marketinProductId: 'mkt-42' });
+    expect(sent.products[1].marketinProductId).toBeUndefined();
+    expect(sent.metadata.unmappedProductIds).toEqual(['wix-unknown']);
+
+    const job = await knex('conversion_queue').where('job_id', jobId).first();
+    expect(JSON.parse(job.unmapped_product_ids)).toEqual(['wix-unknown']);
+    expect((await getQueueStats()).unmappedProductConversions).toBe(1);
+
+    await knex('product_mappings').del();
+  });
+
   test('processQueue retries failed jobs with backoff', async () => {
     // Mock failed API call
     const err = new Error('Service unavailable');
@@ -130,6 +206,63 @@ describe('Conversion Queue Service', () => {
     expect(job.next_retry_at).toBeTruthy();
   });
 
+  test('retry delays honor Retry-After and are jittered', () => {
+    for (let i = 0; i < 20; i++) {
+      const backoff = retryDelaySeconds(2);
+      expect(backoff).toBeGreaterThanOrEqual(BACKOFF_DELAYS[1] * 0.8);
+      expect(backoff).toBeLessThanOrEqual(BACKOFF_DELAYS[1] * 1.2);
+
+      const retryAfter = retryDelaySeconds(1, { retryAfterSeconds: 600 });
+      expect(retryAfter).toBeGreaterThanOrEqual(600);
+      expect(retryAfter).toBeLessThanOrEqual(720);
+    }
+  });
+
+  test('processQueue defers rate limited sends without consuming an attempt', async () => {
+    const err = new Error('Rate limit reached');
+    err.code = 'RATE_LIMITED';
+    err.retryAfterSeconds = 2;
+    marketinService.sendConversionDirect.mockRejectedValueOnce(err);
+
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-limited', amount: 10, affiliateId: 'AFF-004' });
+    const result = await processQueue(10);
+
+    expect(result).toMatchObject({ processed: 0, failed: 0, deferred: 1 });
+    const job = await knex('conversion_queue').where('job_id', 'conv_123_order-limited').first();
+    expect(job.status).toBe('pending');
+    expect(job.attempts).toBe(0);
+    expect(job.worker_id).toBeNull();
+  });
+
+  test('processQueue reschedules sends skipped by the open circuit without using an attempt', async () => {
+    const err = new Error('marketin circuit is open, not sending');
+    err.code = 'CIRCUIT_OPEN';
+    err.retryAfterSeconds = 30;
+    marketinService.sendConversionDirect.mockRejectedValueOnce(err);
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-circuit', amount: 10, affiliateId: 'AFF-004' });
+
+    // Capture the reschedule time as written (sqlite under jest does not store Date bindings faithfully)
+    const retryTimes = [];
+    const capture = (query) => {
+      if (query.method === 'update' && query.sql.includes('next_retry_at')) {
+        retryTimes.push(...query.bindings.filter(b => typeof b?.getTime === 'function').map(b => b.getTime()));
+      }
+    };
+    knex.on('query', capture);
+    const before = Date.now();
+    const result = await processQueue(10);
+    knex.removeListener('query', capture);
+
+    expect(result).toMatchObject({ processed: 0, failed: 0, dead: 0, deferred: 1 });
+    expect(retryTimes).toHaveLength(1);
+    expect(retryTimes[0] - before).toBeGreaterThanOrEqual(30 * 1000);
+    expect(retryTimes[0] - Date.now()).toBeLessThanOrEqual(36 * 1000);
+
+    const job = await knex('conversion_queue').where('job_id', 'conv_123_order-circuit').first();
+    expect(job).toMatchObject({ status: 'pending', attempts: 0, worker_id: null, error_code: null });
+    expect(await knex('conversion_failures')).toHaveLength(0);
+  });
+
   test('processQueue marks non-retryable errors as dead', async () => {
     // Mock 400 error (not retryable)
     const err = new Error('Bad request');
@@ -174,6 +307,19 @@ describe('Conversion Queue Service', () => {
     expect(stats.queue.dead).toBe(1);
   });
 
+  test('getQueueStats counts duplicate webhook deliveries', async () => {
+    await knex('order_webhooks').insert([
+      { payload: '{"a":1}', duplicate_count: 2, created_at: new Date() },
+      { payload: '{"b":1}', duplicate_count: 1, created_at: new Date() },
+      { payload: '{"c":1}', created_at: new Date() }
+    ]);
+
+    const stats = await getQueueStats();
+
+    expect(stats.duplicateDeliveries).toBe(3);
+    expect(stats.duplicateWebhooks).toBe(2);
+  });
+
   test('retryDeadJob requeues dead job', async () => {
     await knex('conversion_queue').insert({
       job_id: 'dead-retry',
@@ -193,4 +339,235 @@ describe('Conversion Queue Service', () => {
     expect(job.attempts).toBe(0);
     expect(job.last_error).toBeNull();
   });
+
+  test('enqueueAdjustment links to the original purchase and waits for it to be sent', async () => {
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-refund', amount: 40, affiliateId: 'AFF-006' });
+    const parent = await findConversionForOrder('order-refund');
+    expect(parent.job_id).toBe('conv_123_order-refund');
+
+    const result = await enqueueAdjustment(parent, {
+      brandId: 123,
+      externalOrderId: 'order-refund',
+      eventType: 'reversal',
+      amount: 40,
+      affiliateId: 'AFF-006'
+    });
+    expect(result.jobId).toBe('conv_123_order-refund_reversal');
+
+    // Purchase is still being sent - the reversal must wait for it
+    await knex('conversion_queue').where('job_id', parent.job_id).update({ status: 'processing' });
+
+    const deferred = await processQueue(10);
+    expect(deferred.deferred).toBe(1);
+    expect(marketinService.sendConversionDirect).not.toHaveBeenCalled();
+
+    // Once the purchase is completed, the reversal goes out
+    await knex('conversion_queue').where('job_id', parent.job_id).update({ status: 'completed' });
+    marketinService.sendConversionDirect.mockResolvedValueOnce({ success: true });
+
+    const sent = await processQueue(10);
+    expect(sent.succeeded).toBe(1);
+    expect(marketinService.sendConversionDirect.mock.calls[0][0].eventType).toBe('reversal');
+  });
+
+  test('parallel processors claim and send each job exactly once', async () => {
+    for (let i = 0; i < 12; i++) {
+      await enqueueConversion({ brandId: 123, externalOrderId: `order-par-${i}`, amount: 10, affiliateId: 'AFF-PAR' });
+    }
+    marketinService.sendConversionDirect.mockImplementation(
+      () => new Promise(resolve => setTimeout(() => resolve({ success: true }), 5))
+    );
+
+    const workers = ['worker-1', 'worker-2', 'worker-3', 'worker-4'];
+    const results = await Promise.all(workers.map(workerId => processQueue(12, { workerId })));
+    const sentOrders = marketinService.sendConversionDirect.mock.calls.map(([payload]) => payload.externalOrderId);
+    marketinService.sendConversionDirect.mockReset();
+
+    expect(results.reduce((sum, r) => sum + r.succeeded, 0)).toBe(12);
+    expect(sentOrders).toHaveLength(12);
+    expect(new Set(sentOrders).size).toBe(12);
+
+    const rows = await knex('conversion_queue');
+    expect(rows).toHaveLength(12);
+    rows.forEach(row => {
+      expect(row.status).toBe('completed');
+      expect(row.attempts).toBe(1);
+      expect(workers).toContain(row.worker_id);
+      expect(row.lease_expires_at).toBeNull();
+    });
+  });
+
+  test('processQueue skips jobs another worker has claimed', async () => {
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-claimed', amount: 10 });
+    await knex('conversion_queue').where('job_id', 'conv_123_order-claimed').update({
+      status: 'processing',
+      worker_id: 'other-worker',
+      lease_expires_at: new Date(Date.now() + 60000).toISOString()
+    });
+
+    const result = await processQueue(10, { workerId: 'worker-1' });
+    expect(result.processed).toBe(0);
+    expect(marketinService.sendConversionDirect).not.toHaveBeenCalled();
+  });
+
+  test('a job whose lease expired while earlier jobs of the batch were sending is not sent', async () => {
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-slow-1', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-slow-2', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-slow-3', amount: 10 });
+    // The first send outlasts the second job's lease and another worker's reaper takes it back;
+    // the third job's lease is still live
+    marketinService.sendConversionDirect.mockImplementationOnce(async () => {
+      await knex('conversion_queue')
+        .where('external_order_id', 'order-slow-2')
+        .update({ lease_expires_at: new Date(Date.now() - 1000).toISOString() });
+      await reapExpiredLeases();
+      return { success: true };
+    });
+    marketinService.sendConversionDirect.mockResolvedValue({ success: true });
+
+    const result = await processQueue(10, { workerId: 'slow-worker' });
+    expect(result).toMatchObject({ processed: 2, succeeded: 2, lostClaims: 1 });
+    const sentOrders = marketinService.sendConversionDirect.mock.calls.map(([payload]) => payload.externalOrderId);
+    expect(sentOrders).toEqual(['order-slow-1', 'order-slow-3']);
+
+    const rows = Object.fromEntries((await knex('conversion_queue')).map(r => [r.external_order_id, r]));
+    expect(rows['order-slow-1']).toMatchObject({ status: 'completed', worker_id: 'slow-worker' });
+    expect(rows['order-slow-2']).toMatchObject({ status: 'failed', error_code: 'LEASE_EXPIRED', worker_id: null });
+    expect(rows['order-slow-3']).toMatchObject({ status: 'completed', worker_id: 'slow-worker' });
+  });
+
+  test('a job re-claimed by another call in the same process is only sent by that call', async () => {
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-first', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-reclaimed', amount: 10 });
+    let inner;
+    let innerSending;
+    const innerReachedSend = new Promise(resolve => { innerSending = resolve; });
+    let releaseInner;
+    const innerReleased = new Promise(resolve => { releaseInner = resolve; });
+    // While the first send runs, the second job's lease expires, it is reaped and an inline
+    // processQueue call of the same process claims it and is still sending it when the first call gets to it
+    marketinService.sendConversionDirect.mockImplementationOnce(async () => {
+      await knex('conversion_queue')
+        .where('external_order_id', 'order-reclaimed')
+        .update({ lease_expires_at: new Date(Date.now() - 1000).toISOString() });
+      await reapExpiredLeases();
+      await knex('conversion_queue')
+        .where('external_order_id', 'order-reclaimed')
+        .update({ next_retry_at: new Date(Date.now() - 1000) });
+      inner = processQueue(10, { workerId: 'same-process' });
+      await innerReachedSend;
+      return { success: true };
+    });
+    marketinService.sendConversionDirect.mockImplementationOnce(async () => {
+      innerSending();
+      await innerReleased;
+      return { success: true };
+    });
+    marketinService.sendConversionDirect.mockResolvedValue({ success: true });
+
+    const outer = await processQueue(10, { workerId: 'same-process' });
+    releaseInner();
+    expect(await inner).toMatchObject({ processed: 1, succeeded: 1 });
+    expect(outer).toMatchObject({ processed: 1, succeeded: 1, lostClaims: 1 });
+    const sentOrders = marketinService.sendConversionDirect.mock.calls.map(([payload]) => payload.externalOrderId);
+    expect(sentOrders).toEqual(['order-first', 'order-reclaimed']);
+
+    const reclaimed = await knex('conversion_queue').where('external_order_id', 'order-reclaimed').first();
+    expect(reclaimed).toMatchObject({ status: 'completed', attempts: 2 });
+  });
+
+  test('reapExpiredLeases leaves the job a running worker is sending alone', async () => {
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-in-flight', amount: 10 });
+    let reaped;
+    marketinService.sendConversionDirect.mockImplementationOnce(async () => {
+      reaped = await reapExpiredLeases();
+      return { success: true };
+    });
+
+    await processQueue(10, { workerId: 'busy-worker' });
+    expect(reaped).toEqual({ recovered: 0, dead: 0 });
+    const job = await knex('conversion_queue').where('job_id', 'conv_123_order-in-flight').first();
+    expect(job).toMatchObject({ status: 'completed', attempts: 1, error_code: null });
+  });
+
+  test('reapExpiredLeases returns jobs of crashed workers to the queue', async () => {
+    const expired = new Date(Date.now() - 60000).toISOString();
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-crash', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-legacy', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-last-try', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-waiting', amount: 10 });
+    await enqueueConversion({ brandId: 123, externalOrderId: 'order-live', amount: 10 });
+    await knex('conversion_queue').where('job_id', 'conv_123_order-live')
+      .update({ status: 'processing', worker_id: 'live-worker', lease_expires_at: new Date(Date.now() + 60000).toISOString(), attempts: 1 });
+    await knex('conversion_queue').where('job_id', 'conv_123_order-crash')
+      .update({ status: 'processing', worker_id: 'crashed-worker', lease_expires_at: expired, attempts: 1 });
+    // Claimed before leases existed
+    await knex('conversion_queue').where('job_id', 'conv_123_order-legacy')
+      .update({ status: 'processing', last_attempted_at: new Date(Date.now() - 3600000).toISOString() });
+    await knex('conversion_queue').where('job_id', 'conv_123_order-last-try')
+      .update({ status: 'processing', worker_id: 'crashed-worker', lease_expires_at: expired, attempts: MAX_ATTEMPTS - 1 });
+
+    const stats = await getQueueStats();
+    expect(stats.stuckJobs).toBe(3);
+
+    const result = await reapExpiredLeases();
+    expect(result).toEqual({ recovered: 2, dead: 1 });
+
+    const jobs = Object.fromEntries((await knex('conversion_queue')).map(j => [j.external_order_id, j]));
+    expect(jobs['order-crash']).toMatchObject({ status: 'failed', attempts: 2, error_code: 'LEASE_EXPIRED', worker_id: null, lease_expires_at: null });
+    expect(jobs['order-legacy']).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(jobs['order-last-try']).toMatchObject({ status: 'dead', attempts: MAX_ATTEMPTS });
+    expect(jobs['order-waiting'].status).toBe('pending');
+    expect(jobs['order-live']).toMatchObject({ status: 'processing', attempts: 1, worker_id: 'live-worker', error_code: null });
+
+    const failures = await knex('conversion_failures');
+    expect(failures.map(f => f.job_id)).toEqual(['conv_123_order-last-try']);
+    expect((await getQueueStats()).stuckJobs).toBe(0);
+  });
+
+  test('brand retry policies set max_attempts per event type', async () => {
+    await knex('wix_tokens').insert({
+      wix_client_id: 'mock', site_id: 'policy-site', is_active: true, created_at: new Date().toISOString(),
+      settings: JSON.stringify({ retryPolicy: { maxAttempts: 2, eventTypes: { reversal: { maxAttempts: 8 } } } })
+    });
+    const purchase = await enqueueConversion({ brandId: 5, siteId: 'policy-site', externalOrderId: 'order-policy', amount: 10 });
+    const purchaseRow = await knex('conversion_queue').where('job_id', purchase.jobId).first();
+    await enqueueAdjustment(purchaseRow, { brandId: 5, siteId: 'policy-site', externalOrderId: 'order-policy', amount: -10, eventType: 'reversal' });
+    await enqueueConversion({ brandId: 6, externalOrderId: 'order-default', amount: 10 });
+
+    const rows = await knex('conversion_queue').orderBy('id');
+    expect(rows.map(r => [r.event_type, r.max_attempts])).toEqual([['purchase', 2], ['reversal', 8], ['purchase', MAX_ATTEMPTS]]);
+
+    // The second failure exhausts the brand's two attempts
+    const err = new Error('Service unavailable');
+    err.response = { status: 503 };
+    await knex('conversion_queue').where('job_id', purchase.jobId).update({ status: 'failed', attempts: 1, next_retry_at: new Date(Date.now() - 1000).toISOString() });
+    await knex('conversion_queue').whereNot('job_id', purchase.jobId).del();
+    marketinService.sendConversionDirect.mockRejectedValueOnce(err);
+    expect(await processQueue(10)).toMatchObject({ dead: 1 });
+
+    await knex('wix_tokens').where('site_id', 'policy-site').del();
+  });
+
+  test('retryDeadJobs requeues dead jobs matching the filters, with a dry run', async () => {
+    await knex('conversion_queue').insert([
+      { job_id: 'dead-1', status: 'dead', attempts: 5, payload: '{}', error_code: 'HTTP_503', site_id: 'site-a' },
+      { job_id: 'dead-2', status: 'dead', attempts: 5, payload: '{}', error_code: 'HTTP_503', site_id: 'site-b' },
+      { job_id: 'dead-3', status: 'dead', attempts: 1, payload: '{}', error_code: 'HTTP_400', site_id: 'site-a' },
+      { job_id: 'done-1', status: 'completed', attempts: 1, payload: '{}', error_code: 'HTTP_503', site_id: 'site-a' }
+    ]);
+
+    const dryRun = await retryDeadJobs({ errorCode: 'HTTP_503' }, { dryRun: true });
+    expect(dryRun).toEqual({ dryRun: true, matched: 2, requeued: 0, hasMore: false, jobIds: ['dead-1', 'dead-2'] });
+    expect(await knex('conversion_queue').where('status', 'dead').count('* as count').first()).toEqual({ count: 3 });
+
+    // matched is the full count, not the batch size
+    const firstOnly = await retryDeadJobs({ limit: 1 }, { dryRun: true });
+    expect(firstOnly).toEqual({ dryRun: true, matched: 3, requeued: 0, hasMore: true, jobIds: ['dead-1'] });
+
+    const result = await retryDeadJobs({ errorCode: 'HTTP_503', siteId: 'site-a' });
+    expect(result).toMatchObject({ matched: 1, requeued: 1, jobIds: ['dead-1'] });
+    const job = await knex('conversion_queue').where('job_id', 'dead-1').first();
+    expect(job).toMatchObject({ status: 'pending', attempts: 0, error_code: null });
+  });
 });
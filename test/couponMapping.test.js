@@ -0,0 +1,138 @@
+// Instance header validation is skipped when no app secret is configured
+process.env.WIX_CLIENT_SECRET = '';
+
+const request = require('supertest');
+const app = require('../src/app');
+const knex = require('../src/db');
+const { saveCouponMapping, findAffiliateByCoupons } = require('../src/services/couponMapping.service');
+const { parseWixOrderPayload, resolveAffiliate } = require('../src/controllers/orderWebhook.controller');
+
+describe('Coupon attribution', () => {
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+  });
+  afterEach(async () => await knex('coupon_mappings').del());
+  afterAll(async () => { await knex.migrate.rollback(); await knex.destroy(); });
+
+  test('parses applied coupons from eCommerce and Stores v1 orders', () => {
+    const ecom = parseWixOrderPayload({
+      data: { order: { id: 'o1', appliedDiscounts: [{ coupon: { code: 'SAVE10' } }, { discountRule: { name: 'Bundle' } }] } }
+    });
+    expect(ecom.couponCodes).toEqual(['SAVE10']);
+
+    const storesV1 = parseWixOrderPayload({ data: { order: { id: 'o2', discount: { appliedCoupon: { code: ' jane20 ' } } } } });
+    expect(storesV1.couponCodes).toEqual(['jane20']);
+
+    expect(parseWixOrderPayload({ data: { order: { id: 'o3' } } }).couponCodes).toEqual([]);
+  });
+
+  test('admin API creates, updates, lists and deletes mappings', async () => {
+    const invalid = await request(app)
+      .post('/admin/coupons')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ siteId: 'coupon-site', code: 'JANE20' });
+    expect(invalid.status).toBe(400);
+
+    const created = await request(app)
+      .post('/admin/coupons')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ siteId: 'coupon-site', code: 'jane20', affiliateId: 'AFF-JANE' });
+    expect(created.status).toBe(201);
+    expect(created.body.mapping).toMatchObject({ code: 'JANE20', affiliateId: 'AFF-JANE', isActive: true });
+
+    const updated = await request(app)
+      .post('/admin/coupons')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ siteId: 'coupon-site', code: 'JANE20', affiliateId: 'AFF-JANE-2', campaignId: 'CAMP-1' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.mapping.id).toBe(created.body.mapping.id);
+
+    const list = await request(app).get('/admin/coupons').set('x-admin-key', 'test-admin-key').query({ site_id: 'coupon-site' });
+    expect(list.body.count).toBe(1);
+    expect(list.body.mappings[0]).toMatchObject({ affiliateId: 'AFF-JANE-2', campaignId: 'CAMP-1' });
+
+    const deleted = await request(app).delete(`/admin/coupons/${created.body.mapping.id}`).set('x-admin-key', 'test-admin-key');
+    expect(deleted.status).toBe(200);
+    const missing = await request(app).delete(`/admin/coupons/${created.body.mapping.id}`).set('x-admin-key', 'test-admin-key');
+    expect(missing.status).toBe(404);
+  });
+
+  test('dashboard endpoints are scoped to the installation site', async () => {
+    await knex('wix_tokens').del();
+    await knex('wix_tokens').insert({ wix_client_id: 'mock', site_id: 'coupon-site', brand_id: 'brand-1', is_active: true, created_at: new Date() });
+    const { mapping: otherSite } = await saveCouponMapping({ siteId: 'other-site', code: 'OTHER', affiliateId: 'AFF-OTHER' });
+
+    const saved = await request(app)
+      .post('/admin/iframe/coupons')
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'coupon-site', code: 'dash15', affiliateId: 'AFF-DASH' });
+    expect(saved.status).toBe(201);
+
+    const list = await request(app).get('/admin/iframe/coupons').set('x-wix-instance', 'test.instance').query({ siteId: 'coupon-site' });
+    expect(list.body.mappings.map(m => m.code)).toEqual(['DASH15']);
+
+    const foreign = await request(app)
+      .delete(`/admin/iframe/coupons/${otherSite.id}`)
+      .set('x-wix-instance', 'test.instance')
+      .query({ siteId: 'coupon-site' });
+    expect(foreign.status).toBe(404);
+
+    await knex('wix_tokens').del();
+  });
+
+  test('findAffiliateByCoupons ignores inactive mappings and other sites', async () => {
+    await saveCouponMapping({ siteId: 'coupon-site', code: 'OLD', affiliateId: 'AFF-OLD', isActive: false });
+    await saveCouponMapping({ siteId: 'other-site', code: 'SHARED', affiliateId: 'AFF-OTHER' });
+    await saveCouponMapping({ siteId: 'coupon-site', code: 'SHARED', affiliateId: 'AFF-SHARED' });
+
+    expect(await findAffiliateByCoupons({ siteId: 'coupon-site', codes: ['old'] })).toBeNull();
+    expect(await findAffiliateByCoupons({ siteId: 'coupon-site', codes: ['old', 'shared'] }))
+      .toEqual({ affiliateId: 'AFF-SHARED', campaignId: null, couponCode: 'SHARED' });
+  });
+
+  test('resolveAffiliate applies the configured coupon precedence over sessions', async () => {
+    await saveCouponMapping({ siteId: 'coupon-site', code: 'JANE20', affiliateId: 'AFF-COUPON' });
+    const session = await request(app)
+      .post('/track/session')
+      .send({ sessionId: 'coupon-session', siteId: 'coupon-site', affiliateId: 'AFF-SESSION' });
+    expect(session.status).toBe(201);
+    const order = { siteId: 'coupon-site', sessionId: 'coupon-session', couponCodes: ['jane20'] };
+
+    const candidates = [];
+    const couponWins = await resolveAffiliate(order, { couponOverridesSession: true }, candidates);
+    expect(couponWins).toMatchObject({ affiliateId: 'AFF-COUPON', source: 'coupon', reason: 'coupon_overrides_session', couponCode: 'JANE20' });
+    expect(candidates[0]).toMatchObject({ source: 'coupon', affiliateId: 'AFF-COUPON', selected: true });
+
+    const sessionWins = await resolveAffiliate(order, { couponOverridesSession: false });
+    expect(sessionWins).toMatchObject({ affiliateId: 'AFF-SESSION', source: 'session' });
+
+    const noSession = await resolveAffiliate({ ...order, sessionId: null }, { couponOverridesSession: false, probabilisticMatch: false });
+    expect(noSession).toMatchObject({ affiliateId: 'AFF-COUPON', reason: 'coupon_fallback_no_session' });
+  });
+
+  test.each(['last_click', 'first_click', 'linear', 'time_decay'])('resolveAffiliate ranks the direct ref and coupon the same way with %s', async (attributionModel) => {
+    await saveCouponMapping({ siteId: 'coupon-site', code: 'JANE20', affiliateId: 'AFF-COUPON' });
+    await request(app)
+      .post('/track/session')
+      .send({ sessionId: `precedence-${attributionModel}`, siteId: 'coupon-site', affiliateId: 'AFF-SESSION' });
+    const order = { siteId: 'coupon-site', affiliateId: 'AFF-NOTE', couponCodes: ['jane20'] };
+    const fallbacks = { attributionModel, directRefOverridesSession: false, couponOverridesSession: false, probabilisticMatch: false };
+
+    const directWins = await resolveAffiliate(order, { ...fallbacks, directRefOverridesSession: true });
+    expect(directWins).toMatchObject({ affiliateId: 'AFF-NOTE', reason: 'direct_ref_overrides_session' });
+
+    const couponWins = await resolveAffiliate(order, { ...fallbacks, couponOverridesSession: true });
+    expect(couponWins).toMatchObject({ affiliateId: 'AFF-COUPON', reason: 'coupon_overrides_session' });
+
+    const sessionWins = await resolveAffiliate({ ...order, sessionId: `precedence-${attributionModel}` }, fallbacks);
+    expect(sessionWins.credits).toEqual([{ affiliateId: 'AFF-SESSION', campaignId: null, weight: 1 }]);
+
+    const noSession = await resolveAffiliate(order, fallbacks);
+    expect(noSession).toMatchObject({ affiliateId: 'AFF-COUPON', reason: 'coupon_fallback_no_session' });
+    expect(noSession.credits).toEqual([{ affiliateId: 'AFF-COUPON', campaignId: null, weight: 1 }]);
+
+    const directOnly = await resolveAffiliate({ ...order, couponCodes: [] }, fallbacks);
+    expect(directOnly).toMatchObject({ affiliateId: 'AFF-NOTE', reason: 'direct_ref_fallback_no_session' });
+  });
+});
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../src/app');
+const knex = require('../src/db');
+const { hashEmail, normalizeEmail, recordIdentity, findAffiliateByEmail } = require('../src/services/customerIdentity.service');
+const { resolveAffiliate } = require('../src/controllers/orderWebhook.controller');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Customer identities', () => {
+  beforeAll(async () => await knex.migrate.latest());
+  afterAll(async () => { await knex.migrate.rollback(); await knex.destroy(); });
+
+  test('hashEmail normalizes case and whitespace', () => {
+    expect(normalizeEmail('  Buyer@Example.COM ')).toBe('buyer@example.com');
+    expect(normalizeEmail('not-an-email')).toBeNull();
+    expect(hashEmail('Buyer@Example.com')).toBe(hashEmail('buyer@example.com '));
+    expect(hashEmail('Buyer@Example.com')).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('POST /visitor/identify stores a hashed identity linked to the session affiliate', async () => {
+    const res = await request(app)
+      .post('/visitor/identify')
+      .send({ sessionId: 'ci-session', visitorId: 'ci-visitor', siteId: 'ci-site', email: 'Shopper@Example.com', affiliateId: 'AFF-ID' });
+    expect(res.status).toBe(201);
+
+    const row = await knex('customer_identities').where('session_id', 'ci-session').first();
+    expect(row).toMatchObject({ site_id: 'ci-site', source: 'identify', affiliate_id: 'AFF-ID', email_hash: hashEmail('shopper@example.com') });
+    expect(JSON.stringify(row)).not.toContain('Shopper@Example.com');
+
+    const match = await findAffiliateByEmail({ siteId: 'ci-site', email: 'shopper@example.com' });
+    expect(match).toMatchObject({ affiliateId: 'AFF-ID', source: 'email_identity' });
+  });
+
+  test('findAffiliateByEmail is scoped to the site and never matches email substrings', async () => {
+    await recordIdentity({ siteId: 'ci-site', email: 'ann@example.com', source: 'order', affiliateId: 'AFF-ANN', orderId: 'ci-order-1' });
+
+    expect(await findAffiliateByEmail({ siteId: 'other-site', email: 'ann@example.com' })).toBeNull();
+    expect(await findAffiliateByEmail({ siteId: 'ci-site', email: 'jann@example.com' })).toBeNull();
+    expect(await findAffiliateByEmail({ siteId: 'ci-site', email: 'ann@example.com', excludeOrderId: 'ci-order-1' })).toBeNull();
+
+    const match = await findAffiliateByEmail({ siteId: 'ci-site', email: 'ANN@example.com' });
+    expect(match).toMatchObject({ affiliateId: 'AFF-ANN', source: 'historic_order', orderId: 'ci-order-1' });
+  });
+
+  test('findAffiliateByEmail only matches affiliates clicked within the lookback window, latest click first', async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+    await recordIdentity({ siteId: 'ci-site', email: 'old@example.com', source: 'order', affiliateId: 'AFF-OLD', orderId: 'ci-old-order', touchedAt: daysAgo(40) });
+    expect(await findAffiliateByEmail({ siteId: 'ci-site', email: 'old@example.com', lookbackDays: 30 })).toBeNull();
+    expect(await findAffiliateByEmail({ siteId: 'ci-site', email: 'old@example.com', lookbackDays: 60 })).toMatchObject({ affiliateId: 'AFF-OLD' });
+
+    // Recorded later, but clicked earlier than the other order's affiliate
+    await recordIdentity({ siteId: 'ci-site', email: 'old@example.com', source: 'order', affiliateId: 'AFF-RECENT', orderId: 'ci-recent-order', touchedAt: daysAgo(2) });
+    await recordIdentity({ siteId: 'ci-site', email: 'old@example.com', source: 'order', affiliateId: 'AFF-EARLIER', orderId: 'ci-earlier-order', touchedAt: daysAgo(5) });
+    expect(await findAffiliateByEmail({ siteId: 'ci-site', email: 'old@example.com', lookbackDays: 30 })).toMatchObject({ affiliateId: 'AFF-RECENT' });
+  });
+
+  test('POST /visitor/identify does not bring an affiliate click from outside the window back', async () => {
+    await knex('visitor_sessions').insert({
+      session_id: 'ci-old-session', visitor_id: 'ci-old-visitor', site_id: 'ci-window-site', affiliate_id: 'AFF-STALE',
+      expires_at: new Date(Date.now() + DAY_MS).toISOString(), created_at: new Date(Date.now() - 45 * DAY_MS).toISOString()
+    });
+
+    for (let i = 0; i < 2; i++) {
+      const res = await request(app)
+        .post('/visitor/identify')
+        .send({ sessionId: 'ci-old-session', siteId: 'ci-window-site', email: 'stale@example.com' });
+      expect(res.status).toBe(200);
+    }
+
+    const row = await knex('customer_identities').where('session_id', 'ci-old-session').first();
+    expect(row).toMatchObject({ affiliate_id: null, touched_at: null });
+    expect(await findAffiliateByEmail({ siteId: 'ci-window-site', email: 'stale@example.com', lookbackDays: 30 })).toBeNull();
+  });
+
+  test('recordIdentity updates the existing row for the same order', async () => {
+    await recordIdentity({ siteId: 'ci-site', email: 'repeat@example.com', source: 'order', orderId: 'ci-order-2' });
+    await recordIdentity({ siteId: 'ci-site', email: 'repeat@example.com', source: 'order', affiliateId: 'AFF-LATE', orderId: 'ci-order-2' });
+
+    const rows = await knex('customer_identities').where('order_id', 'ci-order-2');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].affiliate_id).toBe('AFF-LATE');
+  });
+
+  test('resolveAffiliate credits a returning customer through the identity table', async () => {
+    const order = { orderId: 'ci-order-3', siteId: 'ci-site', customerEmail: 'Ann@Example.com' };
+
+    const attribution = await resolveAffiliate(order, { probabilisticMatch: false });
+    expect(attribution).toMatchObject({ affiliateId: 'AFF-ANN', source: 'historic_order', reason: 'historic_order_match' });
+
+    const disabled = await resolveAffiliate(order, { probabilisticMatch: false, historicOrderFallback: false });
+    expect(disabled).toBeNull();
+  });
+});
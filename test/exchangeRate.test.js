@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createFileProvider,
+  setProvider,
+  getRate,
+  convertAmount
+} = require('../src/services/exchangeRate.service');
+
+describe('Exchange rate service', () => {
+  const ratesFile = path.join(os.tmpdir(), `exchange-rates-${process.pid}.json`);
+
+  beforeAll(() => {
+    fs.writeFileSync(ratesFile, JSON.stringify({ base: 'USD', rates: { EUR: 0.9, NGN: 1500, GBP: 0.8 } }));
+    setProvider(createFileProvider(ratesFile));
+  });
+  afterAll(() => {
+    setProvider(null);
+    fs.unlinkSync(ratesFile);
+  });
+
+  test('converts from the base currency using the file rates table', async () => {
+    const converted = await convertAmount(100, 'usd', 'NGN');
+    expect(converted).toEqual({
+      amount: 150000,
+      currency: 'NGN',
+      rate: 1500,
+      provider: 'file',
+      originalAmount: 100,
+      originalCurrency: 'USD'
+    });
+  });
+
+  test('computes cross rates through the base currency', async () => {
+    const { rate } = await getRate('EUR', 'GBP');
+    expect(rate).toBeCloseTo(0.8 / 0.9, 8);
+    const converted = await convertAmount(90, 'EUR', 'GBP');
+    expect(converted.amount).toBe(80);
+  });
+
+  test('same currency needs no provider', async () => {
+    expect(await getRate('USD', 'usd')).toEqual({ rate: 1, provider: 'identity' });
+  });
+
+  test('unknown currencies are rejected', async () => {
+    await expect(getRate('USD', 'XYZ')).rejects.toThrow('No exchange rate for USD -> XYZ');
+  });
+
+  test('custom providers can be plugged in', async () => {
+    setProvider({ name: 'custom', getRates: async () => ({ base: 'EUR', rates: { EUR: 1, USD: 1.25 } }) });
+    const converted = await convertAmount(10, 'EUR', 'USD');
+    expect(converted).toMatchObject({ amount: 12.5, rate: 1.25, provider: 'custom' });
+    setProvider(createFileProvider(ratesFile));
+  });
+});
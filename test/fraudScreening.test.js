@@ -0,0 +1,237 @@
+const request = require('supertest');
+const knex = require('../src/db');
+
+jest.mock('../src/services/alert.service', () => ({
+  sendConversionFailureAlert: jest.fn().mockResolvedValue({ sent: false, reason: 'mocked' }),
+  sendDailySummary: jest.fn().mockResolvedValue({ sent: false, reason: 'mocked' }),
+  testEmailConfig: jest.fn().mockResolvedValue({ configured: false })
+}));
+
+jest.mock('../src/services/marketin.service', () => ({
+  sendConversionDirect: jest.fn().mockResolvedValue({ ok: true }),
+  sendConversion: jest.fn(),
+  bulkSyncProducts: jest.fn(),
+  validateApiKey: jest.fn()
+}));
+
+const app = require('../src/app');
+const { DEFAULT_SETTINGS } = require('../src/services/settings.service');
+const { screenConversion, registerAffiliateEmail } = require('../src/services/fraudScreening.service');
+const { enqueueConversion, processQueue } = require('../src/services/conversionQueue.service');
+const marketinService = require('../src/services/marketin.service');
+
+const order = (overrides = {}) => ({
+  orderId: 'order-1',
+  siteId: 'fraud-site',
+  customerEmail: 'buyer@example.com',
+  buyerSignals: { ipAddress: '203.0.113.7', country: null },
+  ...overrides
+});
+const attribution = { affiliateId: 'AFF-F', source: 'session' };
+
+describe('Fraud screening', () => {
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+  });
+  afterEach(async () => {
+    await knex('conversion_queue').del();
+    await knex('affiliate_identities').del();
+    await knex('visitor_sessions').del();
+    jest.clearAllMocks();
+  });
+  afterAll(async () => { await knex.migrate.rollback(); await knex.destroy(); });
+
+  test('flags purchases by an affiliate using their own registered email', async () => {
+    const res = await request(app)
+      .post('/admin/affiliates/AFF-F/emails')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ email: ' Buyer@Example.com ' });
+    expect(res.status).toBe(201);
+    expect(res.body.identity.emailHash).toHaveLength(64);
+
+    const invalid = await request(app)
+      .post('/admin/affiliates/AFF-F/emails')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ email: 'not-an-email' });
+    expect(invalid.status).toBe(400);
+
+    const result = await screenConversion({ parsedOrder: order(), attribution, settings: DEFAULT_SETTINGS });
+    expect(result.held).toBe(true);
+    expect(result.flags).toEqual([{ check: 'self_referral' }]);
+
+    const otherAffiliate = await screenConversion({ parsedOrder: order(), attribution: { affiliateId: 'AFF-OTHER' }, settings: DEFAULT_SETTINGS });
+    expect(otherAffiliate.held).toBe(false);
+  });
+
+  test('flags bursts of purchases per affiliate and per buyer IP', async () => {
+    for (const id of ['a', 'b', 'c']) {
+      await enqueueConversion({ brandId: 1, siteId: 'fraud-site', externalOrderId: `burst-${id}`, affiliateId: 'AFF-F', amount: 10 }, null, { held: false, flags: [], buyerIp: '203.0.113.7' });
+    }
+
+    const result = await screenConversion({
+      parsedOrder: order(),
+      attribution,
+      settings: { ...DEFAULT_SETTINGS, maxConversionsPerAffiliate: 3 }
+    });
+    expect(result.flags).toEqual([
+      { check: 'affiliate_velocity', count: 3, limit: 3 },
+      { check: 'ip_velocity', count: 3, limit: 3 }
+    ]);
+
+    const otherIp = await screenConversion({ parsedOrder: order({ buyerSignals: { ipAddress: '198.51.100.1' } }), attribution, settings: DEFAULT_SETTINGS });
+    expect(otherIp.held).toBe(false);
+  });
+
+  test('only counts purchases on the brand\'s own site towards its velocity limits', async () => {
+    for (const id of ['a', 'b', 'c']) {
+      await enqueueConversion({ brandId: 2, siteId: 'busy-site', externalOrderId: `busy-${id}`, affiliateId: 'AFF-F', amount: 10 }, null, { held: false, flags: [], buyerIp: '203.0.113.7' });
+    }
+    await enqueueConversion({ brandId: 1, siteId: 'fraud-site', externalOrderId: 'own-a', affiliateId: 'AFF-F', amount: 10 }, null, { held: false, flags: [], buyerIp: '203.0.113.7' });
+    const settings = { ...DEFAULT_SETTINGS, maxConversionsPerAffiliate: 2, maxConversionsPerIp: 2 };
+
+    const ownSite = await screenConversion({ parsedOrder: order(), attribution, settings });
+    expect(ownSite.held).toBe(false);
+
+    const busySite = await screenConversion({ parsedOrder: order({ siteId: 'busy-site' }), attribution, settings });
+    expect(busySite.flags).toEqual([
+      { check: 'affiliate_velocity', count: 3, limit: 2 },
+      { check: 'ip_velocity', count: 3, limit: 2 }
+    ]);
+  });
+
+  test('flags a buyer country that differs from the attributed session country', async () => {
+    await knex('visitor_sessions').insert({
+      session_id: 'sess-geo', site_id: 'fraud-site', visitor_id: 'v-geo', affiliate_id: 'AFF-F',
+      ip_address: '192.0.2.10', country: 'us', created_at: new Date().toISOString(), expires_at: new Date(Date.now() + 86400000).toISOString()
+    });
+    const candidates = [{ source: 'session', affiliateId: 'AFF-F', sessionId: 'sess-geo', selected: true }];
+
+    const result = await screenConversion({
+      parsedOrder: order({ buyerSignals: { country: 'DE' } }),
+      attribution,
+      candidates,
+      settings: DEFAULT_SETTINGS
+    });
+    expect(result).toEqual({
+      held: true,
+      reviewRequired: false,
+      flags: [{ check: 'geo_mismatch', orderCountry: 'DE', sessionCountry: 'US' }],
+      buyerIp: '192.0.2.10'
+    });
+
+    const sameCountry = await screenConversion({ parsedOrder: order({ buyerSignals: { country: 'US' } }), attribution, candidates, settings: DEFAULT_SETTINGS });
+    expect(sameCountry.held).toBe(false);
+  });
+
+  test('brands can turn screening off', async () => {
+    await registerAffiliateEmail({ affiliateId: 'AFF-F', email: 'buyer@example.com' });
+    const result = await screenConversion({ parsedOrder: order(), attribution, settings: { ...DEFAULT_SETTINGS, fraudScreening: false } });
+    expect(result).toEqual({ held: false, reviewRequired: false, flags: [], buyerIp: '203.0.113.7' });
+  });
+
+  test('held conversions are only sent after an admin approves them', async () => {
+    const screening = { held: true, flags: [{ check: 'self_referral' }], buyerIp: '203.0.113.7' };
+    const held = await enqueueConversion({ brandId: 1, siteId: 'fraud-site', externalOrderId: 'held-1', affiliateId: 'AFF-F', amount: 25 }, null, screening);
+    const rejected = await enqueueConversion({ brandId: 1, siteId: 'fraud-site', externalOrderId: 'held-2', affiliateId: 'AFF-F', amount: 5 }, null, screening);
+    expect(held).toMatchObject({ status: 'held', message: 'Awaiting review' });
+
+    await processQueue(10);
+    expect(marketinService.sendConversionDirect).not.toHaveBeenCalled();
+
+    const list = await request(app).get('/admin/queue/review').query({ status: 'held' }).set('x-admin-key', 'test-admin-key');
+    expect(list.body.count).toBe(2);
+    expect(list.body.counts).toEqual({ held: 2, pending_review: 0 });
+    expect(list.body.jobs[0]).toMatchObject({ jobId: held.jobId, status: 'held', siteId: 'fraud-site', affiliateId: 'AFF-F', amount: 25, flags: [{ check: 'self_referral' }] });
+
+    const approve = await request(app)
+      .post(`/admin/queue/review/${held.jobId}/approve`)
+      .set('x-admin-key', 'test-admin-key')
+      .send({ note: 'Verified with the affiliate' });
+    expect(approve.body).toMatchObject({ success: true, status: 'pending' });
+    const noReason = await request(app).post(`/admin/queue/review/${rejected.jobId}/reject`).set('x-admin-key', 'test-admin-key');
+    expect(noReason.status).toBe(400);
+    const reject = await request(app)
+      .post(`/admin/queue/review/${rejected.jobId}/reject`)
+      .set('x-admin-key', 'test-admin-key')
+      .send({ reason: 'Affiliate bought with their own link' });
+    expect(reject.body).toMatchObject({ success: true, status: 'rejected' });
+
+    const again = await request(app).post(`/admin/queue/review/${held.jobId}/approve`).set('x-admin-key', 'test-admin-key');
+    expect(again.status).toBe(404);
+
+    await processQueue(10);
+    expect(marketinService.sendConversionDirect).toHaveBeenCalledTimes(1);
+    const rows = await knex('conversion_queue').orderBy('job_id');
+    expect(rows.map(r => [r.job_id, r.status])).toEqual([[held.jobId, 'completed'], [rejected.jobId, 'rejected']]);
+    expect(rows[0].review_note).toBe('Verified with the affiliate');
+    expect(rows[1].review_note).toBe('Affiliate bought with their own link');
+  });
+
+  test('approval mode sends large conversions and new affiliates to pending_review', async () => {
+    const settings = { ...DEFAULT_SETTINGS, requireApproval: true, approvalAmountThreshold: 100 };
+
+    const newAffiliate = await screenConversion({ parsedOrder: order(), attribution, settings, amount: 50 });
+    expect(newAffiliate).toMatchObject({ held: false, reviewRequired: true, flags: [{ check: 'new_affiliate' }] });
+
+    await knex('conversion_queue').insert({
+      job_id: 'sent-1', status: 'completed', payload: '{}', affiliate_id: 'AFF-F', site_id: 'fraud-site', event_type: 'purchase'
+    });
+    const known = await screenConversion({ parsedOrder: order(), attribution, settings, amount: 50 });
+    expect(known).toMatchObject({ reviewRequired: false, flags: [] });
+
+    const large = await screenConversion({ parsedOrder: order(), attribution, settings, amount: 150 });
+    expect(large.flags).toEqual([{ check: 'amount_above_threshold', amount: 150, threshold: 100 }]);
+
+    const approvalOff = await screenConversion({ parsedOrder: order(), attribution, settings: DEFAULT_SETTINGS, amount: 150 });
+    expect(approvalOff.reviewRequired).toBe(false);
+
+    const job = await enqueueConversion({ brandId: 1, siteId: 'fraud-site', externalOrderId: 'big-1', affiliateId: 'AFF-F', amount: 150 }, null, large);
+    expect(job.status).toBe('pending_review');
+    await processQueue(10);
+    expect(marketinService.sendConversionDirect).not.toHaveBeenCalled();
+  });
+
+  test('affiliates with conversions sent before the upgrade are not new in approval mode', async () => {
+    // Queued before conversion_queue had affiliate_id/site_id columns
+    await knex('conversion_queue').insert([
+      { job_id: 'legacy-1', status: 'completed', event_type: 'purchase', payload: JSON.stringify({ affiliateId: 'AFF-F', siteId: 'fraud-site' }) },
+      { job_id: 'legacy-2', status: 'completed', event_type: 'purchase', payload: 'not json' }
+    ]);
+    await require('../migrations/0023_backfill_queue_affiliates').up(knex);
+
+    const rows = await knex('conversion_queue').orderBy('job_id');
+    expect(rows.map(r => [r.job_id, r.affiliate_id, r.site_id])).toEqual([['legacy-1', 'AFF-F', 'fraud-site'], ['legacy-2', null, null]]);
+
+    const settings = { ...DEFAULT_SETTINGS, requireApproval: true };
+    const result = await screenConversion({ parsedOrder: order(), attribution, settings, amount: 10 });
+    expect(result).toMatchObject({ reviewRequired: false, flags: [] });
+  });
+
+  test('the dashboard lists and reviews only its own site backlog', async () => {
+    process.env.WIX_CLIENT_SECRET = '';
+    await knex('wix_tokens').insert({ wix_client_id: 'mock', site_id: 'fraud-site', is_active: true, created_at: new Date().toISOString() });
+    const review = { held: false, reviewRequired: true, flags: [{ check: 'new_affiliate' }] };
+    const own = await enqueueConversion({ brandId: 1, siteId: 'fraud-site', externalOrderId: 'own-1', affiliateId: 'AFF-F', amount: 10 }, null, review);
+    const other = await enqueueConversion({ brandId: 2, siteId: 'other-site', externalOrderId: 'other-1', affiliateId: 'AFF-F', amount: 10 }, null, review);
+
+    const list = await request(app).get('/admin/iframe/review').set('x-wix-instance', 'test.instance').query({ siteId: 'fraud-site' });
+    expect(list.status).toBe(200);
+    expect(list.body.counts).toEqual({ held: 0, pending_review: 1 });
+    expect(list.body.jobs.map(j => j.jobId)).toEqual([own.jobId]);
+
+    const foreign = await request(app)
+      .post(`/admin/iframe/review/${other.jobId}/approve`)
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'fraud-site' });
+    expect(foreign.status).toBe(404);
+
+    const reject = await request(app)
+      .post(`/admin/iframe/review/${own.jobId}/reject`)
+      .set('x-wix-instance', 'test.instance')
+      .send({ siteId: 'fraud-site', reason: 'Test order' });
+    expect(reject.body).toMatchObject({ ok: true, status: 'rejected' });
+
+    await knex('wix_tokens').where('site_id', 'fraud-site').del();
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('axios', () => {
+  const client = { post: jest.fn(), get: jest.fn() };
+  return { create: jest.fn(() => client), client };
+});
+
+const axios = require('axios');
+const { sendConversionDirect, parseRetryAfter, sendLimiter, circuitBreaker, getCircuitState } = require('../src/services/marketin.service');
+
+describe('Market!N conversion payload', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('sendConversionDirect sends variant-level cart items', async () => {
+    axios.client.post.mockResolvedValueOnce({ status: 200, data: { status: 'success', conversion_id: 'conv-1' } });
+
+    const result = await sendConversionDirect({
+      brandId: 7,
+      externalOrderId: 'order-variants',
+      amount: 45,
+      currency: 'USD',
+      affiliateId: 'AFF-1',
+      products: [{
+        externalProductId: 'prod-hoodie',
+        variantId: 'var-l-black',
+        sku: 'HOOD-L-BLK',
+        name: 'Black Hoodie',
+        price: 25,
+        quantity: 2,
+        options: { Size: 'L', Color: 'Black' },
+        catalogReference: { catalogItemId: 'prod-hoodie', appId: 'stores', options: null },
+        discount: 5,
+        tax: 4
+      }]
+    }, 'api-key');
+
+    expect(result.conversionId).toBe('conv-1');
+    const [endpoint, body, config] = axios.client.post.mock.calls[0];
+    expect(endpoint).toBe('/sdk-log-conversion/');
+    expect(config.headers['X-BRAND-ID']).toBe('7');
+    expect(body.cartItems).toEqual([{
+      productId: 'prod-hoodie',
+      variantId: 'var-l-black',
+      sku: 'HOOD-L-BLK',
+      price: 25,
+      quantity: 2,
+      metadata: {
+        name: 'Black Hoodie',
+        wixProductId: 'prod-hoodie',
+        sourceVertical: 'stores',
+        options: { Size: 'L', Color: 'Black' },
+        catalogReference: { catalogItemId: 'prod-hoodie', appId: 'stores', options: null },
+        discount: 5,
+        tax: 4
+      }
+    }]);
+  });
+
+  test('sendConversionDirect sends Market!N product ids and keeps the Wix id in metadata', async () => {
+    axios.client.post.mockResolvedValueOnce({ status: 200, data: { status: 'success' } });
+
+    await sendConversionDirect({
+      externalOrderId: 'order-mapped',
+      amount: 20,
+      products: [{ externalProductId: 'wix-1', marketinProductId: 'mkt-1', name: 'Mug', price: 20 }]
+    });
+
+    const [, body] = axios.client.post.mock.calls[0];
+    expect(body.productId).toBe('mkt-1');
+    expect(body.cartItems[0].productId).toBe('mkt-1');
+    expect(body.cartItems[0].metadata.wixProductId).toBe('wix-1');
+  });
+
+  test('sendConversionDirect records the source vertical on the conversion', async () => {
+    axios.client.post.mockResolvedValueOnce({ status: 200, data: { status: 'success' } });
+
+    await sendConversionDirect({
+      externalOrderId: 'order-booking',
+      amount: 80,
+      sourceVertical: 'bookings',
+      products: [{ externalProductId: 'service-1', name: 'Massage', price: 80, sourceVertical: 'bookings' }]
+    });
+
+    const [, body] = axios.client.post.mock.calls[0];
+    expect(body.sourceVertical).toBe('bookings');
+    expect(body.metadata.sourceVertical).toBe('bookings');
+    expect(body.cartItems[0].metadata.sourceVertical).toBe('bookings');
+  });
+
+  test('sendConversionDirect keeps older queued payloads without variant fields working', async () => {
+    axios.client.post.mockResolvedValueOnce({ status: 200, data: { status: 'success' } });
+
+    await sendConversionDirect({ externalOrderId: 'order-old', amount: 10, products: [{ externalProductId: 'prod-1', name: 'Mug', price: 10 }] });
+
+    const [, body] = axios.client.post.mock.calls[0];
+    expect(body.cartItems[0]).toEqual({
+      productId: 'prod-1',
+      variantId: null,
+      sku: null,
+      price: 10,
+      quantity: 1,
+      metadata: { name: 'Mug', wixProductId: 'prod-1', sourceVertical: 'stores', options: {}, catalogReference: null, discount: 0, tax: 0 }
+    });
+  });
+
+  test('a 429 with Retry-After pauses further sends for the brand', async () => {
+    const tooMany = new Error('Request failed with status code 429');
+    tooMany.response = { status: 429, headers: { 'retry-after': '120' }, data: { detail: 'Throttled' } };
+    axios.client.post.mockRejectedValueOnce(tooMany);
+
+    const first = await sendConversionDirect({ brandId: 9, externalOrderId: 'order-429', amount: 10 }, 'brand-9-key').catch(e => e);
+    expect(first.message).toBe('Throttled');
+    expect(first.retryAfterSeconds).toBe(120);
+
+    const second = await sendConversionDirect({ brandId: 9, externalOrderId: 'order-after', amount: 10 }, 'brand-9-key').catch(e => e);
+    expect(second.code).toBe('RATE_LIMITED');
+    expect(second.retryAfterSeconds).toBeGreaterThan(100);
+    expect(axios.client.post).toHaveBeenCalledTimes(1);
+
+    // Other brands are not held back
+    axios.client.post.mockResolvedValueOnce({ status: 200, data: { status: 'success' } });
+    await expect(sendConversionDirect({ brandId: 10, externalOrderId: 'order-other', amount: 10 }, 'brand-10-key')).resolves.toMatchObject({ success: true });
+    sendLimiter.reset();
+  });
+
+  test('parseRetryAfter accepts seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('30', now)).toBe(30);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:01:30 GMT', now)).toBe(90);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('9999999', now)).toBe(6 * 60 * 60);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+
+  test('the circuit opens after consecutive outages and half-opens after the reset period', async () => {
+    const timeout = Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+    axios.client.post.mockRejectedValue(timeout);
+    const send = () => sendConversionDirect({ brandId: 11, externalOrderId: 'order-down', amount: 10 }, 'brand-11-key').catch(e => e);
+
+    for (let i = 0; i < 5; i++) {
+      expect((await send()).code).toBe('ECONNABORTED');
+    }
+    expect(getCircuitState()).toMatchObject({ state: 'open', consecutiveFailures: 5 });
+
+    const skipped = await send();
+    expect(skipped.code).toBe('CIRCUIT_OPEN');
+    expect(skipped.retryAfterSeconds).toBeGreaterThan(0);
+    // Skipped sends take no rate limit tokens, so they keep failing fast instead of waiting
+    const acquire = jest.spyOn(sendLimiter, 'acquire');
+    for (let i = 0; i < 20; i++) {
+      expect((await send()).code).toBe('CIRCUIT_OPEN');
+    }
+    expect(acquire).not.toHaveBeenCalled();
+    acquire.mockRestore();
+    expect(axios.client.post).toHaveBeenCalledTimes(5);
+
+    // After the reset period one trial request goes through and closes the circuit
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+    axios.client.post.mockReset();
+    axios.client.post.mockResolvedValueOnce({ status: 200, data: { status: 'success' } });
+    await expect(send()).resolves.toMatchObject({ success: true });
+    expect(getCircuitState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+
+    clock.mockRestore();
+    circuitBreaker.reset();
+    sendLimiter.reset();
+  });
+
+  test('a failed half-open trial reopens the circuit', async () => {
+    const outage = Object.assign(new Error('Request failed with status code 502'), { response: { status: 502, data: {} } });
+    axios.client.post.mockRejectedValue(outage);
+    const send = () => sendConversionDirect({ brandId: 12, externalOrderId: 'order-flaky', amount: 10 }, 'brand-12-key').catch(e => e);
+    for (let i = 0; i < 5; i++) await send();
+    expect(getCircuitState().state).toBe('open');
+
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+    expect((await send()).response.status).toBe(502);
+    expect(axios.client.post).toHaveBeenCalledTimes(6);
+    expect(getCircuitState()).toMatchObject({ state: 'open', consecutiveFailures: 6 });
+
+    // The reset period starts over from the failed trial
+    const next = await send();
+    expect(next.code).toBe('CIRCUIT_OPEN');
+    expect(next.retryAfterSeconds).toBe(60);
+    expect(axios.client.post).toHaveBeenCalledTimes(6);
+
+    clock.mockRestore();
+    axios.client.post.mockReset();
+    circuitBreaker.reset();
+    sendLimiter.reset();
+  });
+});
@@ -5,12 +5,21 @@ const knex = require('../src/db');
 // Mock the conversion queue service
 jest.mock('../src/services/conversionQueue.service', () => ({
   enqueueConversion: jest.fn().mockResolvedValue({ jobId: 'test-job', status: 'pending' }),
+  enqueueAdjustment: jest.fn().mockResolvedValue({ jobId: 'test-job_reversal', status: 'pending' }),
+  findConversionForOrder: jest.fn().mockResolvedValue(null),
+  findAdjustmentsForJob: jest.fn().mockResolvedValue([]),
+  enqueueRenewal: jest.fn().mockResolvedValue({ jobId: 'test-job_renewal', status: 'pending' }),
+  findSubscriptionConversion: jest.fn().mockResolvedValue(null),
+  getLastRenewalCycle: jest.fn().mockResolvedValue(1),
+  findRenewalByKey: jest.fn().mockResolvedValue(null),
+  cancelJob: jest.fn().mockResolvedValue(false),
   processQueue: jest.fn().mockResolvedValue({ processed: 0, succeeded: 0, failed: 0, dead: 0 })
 }));
 
 // Mock visitor session lookup
 jest.mock('../src/controllers/visitorSession.controller', () => ({
   findAffiliateByVisitor: jest.fn().mockResolvedValue(null),
+  findTouchpointsByVisitor: jest.fn().mockResolvedValue([]),
   trackSession: jest.fn((req, res) => res.status(200).json({ status: 'ok' })),
   getSession: jest.fn((req, res) => res.status(404).json({ error: 'not found' })),
   identifyVisitor: jest.fn((req, res) => res.status(200).json({ status: 'identified' }))
@@ -85,11 +94,783 @@ describe('Order webhook', () => {
     expect(res.body.reason).toBe('not_paid_event');
   });
 
+  test('POST /wix/orders/webhook records probabilistic match confidence in metadata', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const visitorSession = require('../src/controllers/visitorSession.controller');
+    visitorSession.findAffiliateByVisitor.mockResolvedValueOnce({
+      affiliateId: 'AFF-PROB',
+      campaignId: null,
+      source: 'probabilistic',
+      confidence: 0.82,
+      matchedSignals: ['ip', 'user_agent', 'time']
+    });
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({
+        entityId: 'order-prob',
+        eventType: 'OrderPaid',
+        data: {
+          order: {
+            id: 'order-prob',
+            siteId: 'prob-site',
+            totalPrice: { amount: 40, currency: 'USD' },
+            buyerInfo: { ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0 (iPhone)' },
+            billingInfo: { email: 'prob@example.com', address: { country: 'US' } }
+          }
+        }
+      });
+
+    expect(res.status).toBe(200);
+    const [lookupArgs] = visitorSession.findAffiliateByVisitor.mock.calls.pop();
+    expect(lookupArgs.signals).toMatchObject({ ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0 (iPhone)', country: 'US' });
+    const [payload] = conversionQueue.enqueueConversion.mock.calls.pop();
+    expect(payload.affiliateId).toBe('AFF-PROB');
+    expect(payload.metadata).toMatchObject({
+      attributionSource: 'probabilistic',
+      attributionConfidence: 0.82,
+      matchedSignals: ['ip', 'user_agent', 'time']
+    });
+  });
+
+  test('POST /wix/orders/webhook only remembers the order\'s own ref for later email lookups', async () => {
+    const visitorSession = require('../src/controllers/visitorSession.controller');
+    visitorSession.findAffiliateByVisitor.mockResolvedValueOnce({ affiliateId: 'AFF-SESSION', campaignId: null, source: 'session' });
+    const send = (orderId, order) => request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({
+        entityId: orderId,
+        eventType: 'OrderPaid',
+        data: { order: { id: orderId, siteId: 'identity-site', totalPrice: { amount: 20, currency: 'USD' }, billingInfo: { email: 'repeat-buyer@example.com' }, ...order } }
+      });
+
+    const viaSession = await send('order-id-session', {});
+    expect(viaSession.body.affiliateId).toBe('AFF-SESSION');
+    await send('order-id-direct', { buyerNote: 'ref=AFF-NOTE' });
+
+    const rows = await knex('customer_identities').where('site_id', 'identity-site').orderBy('id');
+    expect(rows.map(r => [r.order_id, r.affiliate_id])).toEqual([
+      ['order-id-session', null],
+      ['order-id-direct', 'AFF-NOTE']
+    ]);
+  });
+
+  test('GET /admin/orders/:orderId/attribution returns the recorded decision', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    const send = (orderId, order) => request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: orderId, eventType: 'OrderPaid', data: { order: { id: orderId, totalPrice: { amount: 10 }, ...order } } });
+
+    await send('order-audit', { buyerNote: 'ref=AFF-AUDIT' });
+    await send('order-audit-none', { billingInfo: { email: 'nobody@example.com' } });
+
+    const unauthorized = await request(app).get('/admin/orders/order-audit/attribution');
+    expect(unauthorized.status).toBe(401);
+
+    const res = await request(app)
+      .get('/admin/orders/order-audit/attribution')
+      .set('x-admin-key', 'test-admin-key');
+    expect(res.status).toBe(200);
+    expect(res.body.latest.winner).toMatchObject({ affiliateId: 'AFF-AUDIT', source: 'order_direct' });
+    expect(res.body.latest.reason).toBe('direct_ref_overrides_session');
+    expect(res.body.latest.orderWebhookId).toBeTruthy();
+    expect(res.body.latest.job.jobId).toBe('test-job');
+    expect(res.body.latest.candidates).toEqual([
+      expect.objectContaining({ source: 'order_direct', affiliateId: 'AFF-AUDIT', selected: true })
+    ]);
+
+    const none = await request(app)
+      .get('/admin/orders/order-audit-none/attribution')
+      .set('x-admin-key', 'test-admin-key');
+    expect(none.status).toBe(200);
+    expect(none.body.latest.winner).toBeNull();
+    expect(none.body.latest.reason).toBe('no_candidate_matched');
+    expect(none.body.latest.candidates).toContainEqual(
+      expect.objectContaining({ source: 'historic_order', reason: 'no_affiliate_for_email' })
+    );
+
+    const missing = await request(app)
+      .get('/admin/orders/unknown-order/attribution')
+      .set('x-admin-key', 'test-admin-key');
+    expect(missing.status).toBe(404);
+  });
+
+  test('POST /wix/orders/webhook reverses the original conversion on OrderCanceled', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    conversionQueue.findConversionForOrder.mockResolvedValueOnce({
+      job_id: 'conv_123_order-cancel',
+      status: 'completed',
+      payload: JSON.stringify({ brandId: 123, externalOrderId: 'order-cancel', amount: 80, affiliateId: 'AFF-1', products: [] })
+    });
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-cancel', eventType: 'OrderCanceled', data: { order: { id: 'order-cancel' } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.eventType).toBe('reversal');
+    const [parentJob, adjustmentPayload] = conversionQueue.enqueueAdjustment.mock.calls.pop();
+    expect(parentJob.job_id).toBe('conv_123_order-cancel');
+    expect(adjustmentPayload.eventType).toBe('reversal');
+    expect(adjustmentPayload.amount).toBe(80);
+    expect(adjustmentPayload.affiliateId).toBe('AFF-1');
+  });
+
+  test('POST /wix/orders/webhook only reverses what earlier partial refunds left on cancel', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    conversionQueue.findConversionForOrder.mockResolvedValueOnce({
+      job_id: 'conv_123_order-part-cancel',
+      status: 'completed',
+      payload: JSON.stringify({
+        externalOrderId: 'order-part-cancel',
+        amount: 80,
+        products: [{ lineItemId: 'li-1', price: 50, quantity: 1 }, { lineItemId: 'li-2', price: 15, quantity: 2 }]
+      })
+    });
+    conversionQueue.findAdjustmentsForJob.mockResolvedValueOnce([{
+      job_id: 'conv_123_order-part-cancel_adjustment_refund-1',
+      event_type: 'adjustment',
+      status: 'completed',
+      payload: JSON.stringify({ eventType: 'adjustment', amount: 15, products: [{ lineItemId: 'li-2', price: 15, quantity: 1 }] })
+    }]);
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-part-cancel', eventType: 'OrderCanceled', data: { order: { id: 'order-part-cancel' } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ eventType: 'reversal', amount: 65 });
+    const [, adjustmentPayload] = conversionQueue.enqueueAdjustment.mock.calls.pop();
+    expect(adjustmentPayload.amount).toBe(65);
+    expect(adjustmentPayload.products).toEqual([
+      { lineItemId: 'li-1', price: 50, quantity: 1 },
+      { lineItemId: 'li-2', price: 15, quantity: 1 }
+    ]);
+
+    // Once reversed, later refunds of the order take nothing more back
+    conversionQueue.findConversionForOrder.mockResolvedValueOnce({ job_id: 'conv_123_order-part-cancel', status: 'completed', payload: '{}' });
+    conversionQueue.findAdjustmentsForJob.mockResolvedValueOnce([{ job_id: 'conv_123_order-part-cancel_reversal', event_type: 'reversal', status: 'pending' }]);
+    conversionQueue.enqueueAdjustment.mockClear();
+    const again = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-part-cancel', eventType: 'OrderRefunded', data: { order: { id: 'order-part-cancel' } } });
+    expect(again.status).toBe(200);
+    expect(conversionQueue.enqueueAdjustment).not.toHaveBeenCalled();
+  });
+
+  test('POST /wix/orders/webhook cancels an unsent conversion instead of reversing it', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    conversionQueue.findConversionForOrder.mockResolvedValueOnce({
+      job_id: 'conv_123_order-unsent',
+      status: 'pending',
+      payload: JSON.stringify({ amount: 10 })
+    });
+    conversionQueue.cancelJob.mockResolvedValueOnce(true);
+    conversionQueue.enqueueAdjustment.mockClear();
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-unsent', eventType: 'OrderRefunded', data: { order: { id: 'order-unsent' } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.canceled).toBe(true);
+    expect(conversionQueue.cancelJob).toHaveBeenCalledWith('conv_123_order-unsent', 'order_refund');
+    expect(conversionQueue.enqueueAdjustment).not.toHaveBeenCalled();
+  });
+
+  test('POST /wix/orders/webhook skips refunds for orders without a conversion', async () => {
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-none', eventType: 'OrderRefunded', data: { order: { id: 'order-none' } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.skipped).toBe(true);
+    expect(res.body.reason).toBe('no_original_conversion');
+  });
+
+  test('POST /admin/webhooks/:id/replay dry-runs and then re-enqueues a stored payload', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const payload = {
+      entityId: 'order-replay',
+      eventType: 'OrderPaid',
+      data: { order: { id: 'order-replay', totalPrice: { amount: 25, currency: 'USD' }, buyerNote: 'ref=AFF-REPLAY' } }
+    };
+    const [webhookId] = await knex('order_webhooks').insert({ payload: JSON.stringify(payload), created_at: new Date() });
+    conversionQueue.enqueueConversion.mockClear();
+
+    const dry = await request(app)
+      .post(`/admin/webhooks/${webhookId}/replay`)
+      .query({ dry_run: 'true' })
+      .set('x-admin-key', 'test-admin-key');
+    expect(dry.status).toBe(200);
+    expect(dry.body.dryRun).toBe(true);
+    expect(dry.body.result.conversionPayload).toMatchObject({ affiliateId: 'AFF-REPLAY', externalOrderId: 'order-replay', amount: 25 });
+    expect(conversionQueue.enqueueConversion).not.toHaveBeenCalled();
+
+    const live = await request(app)
+      .post(`/admin/webhooks/${webhookId}/replay`)
+      .set('x-admin-key', 'test-admin-key');
+    expect(live.status).toBe(200);
+    expect(live.body.result.queued).toBe(true);
+    const [enqueued, enqueuedWebhookId] = conversionQueue.enqueueConversion.mock.calls[0];
+    expect(enqueuedWebhookId).toBe(webhookId);
+    expect(enqueued.metadata).toMatchObject({ replayed: true, webhookId });
+
+    const missing = await request(app)
+      .post('/admin/webhooks/999999/replay')
+      .set('x-admin-key', 'test-admin-key');
+    expect(missing.status).toBe(404);
+  });
+
+  test('POST /admin/webhooks/replay replays a date range in dry-run mode', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    const conversionQueue = require('../src/services/conversionQueue.service');
+
+    const invalid = await request(app)
+      .post('/admin/webhooks/replay')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ from: 'yesterday' });
+    expect(invalid.status).toBe(400);
+
+    const [testId] = await knex('order_webhooks').insert({ payload: JSON.stringify({ _test: true, body: { order: { id: 'test-order' } } }), created_at: new Date() });
+    const [legacyId] = await knex('order_webhooks').insert({ payload: JSON.stringify({ orderId: 'legacy-order', amount: 10 }), created_at: new Date() });
+    const [brokenId] = await knex('order_webhooks').insert({ payload: 'not json', created_at: new Date() });
+
+    conversionQueue.enqueueConversion.mockClear();
+    const res = await request(app)
+      .post('/admin/webhooks/replay')
+      .set('x-admin-key', 'test-admin-key')
+      .send({ from: new Date(Date.now() - 60 * 60 * 1000).toISOString(), dryRun: true });
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.replayed).toBe(res.body.results.filter(r => !r.skipped).length);
+    expect(res.body.results.every(r => r.skipped || r.error || r.result.ok)).toBe(true);
+    expect(res.body.results.filter(r => r.skipped)).toEqual([
+      { webhookId: testId, skipped: true, reason: 'test_delivery' },
+      { webhookId: legacyId, skipped: true, reason: 'not_a_wix_order_event' },
+      { webhookId: brokenId, skipped: true, reason: 'unparseable_payload' }
+    ]);
+    expect(res.body.summary.notOrderEvents).toBe(3);
+    expect(conversionQueue.enqueueConversion).not.toHaveBeenCalled();
+  });
+
+  test('records the processing outcome on order_webhooks and filters /admin/webhooks/recent by it', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    const send = (body) => request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(body);
+
+    await send({ entityId: 'order-out-1', eventType: 'OrderPaid', data: { order: { id: 'order-out-1', siteId: 'outcome-site', buyerNote: 'ref=AFF-OUT' } } });
+    await send({ entityId: 'order-out-2', eventType: 'OrderPaid', data: { order: { id: 'order-out-2', siteId: 'outcome-site' } } });
+    await send({ entityId: 'order-out-3', eventType: 'OrderCreated', data: { order: { id: 'order-out-3', siteId: 'outcome-site' } } });
+
+    const rows = await knex('order_webhooks').where('site_id', 'outcome-site').orderBy('id');
+    expect(rows.map(r => [r.order_id, r.status, r.reason])).toEqual([
+      ['order-out-1', 'enqueued', null],
+      ['order-out-2', 'skipped', 'no_affiliate'],
+      ['order-out-3', 'skipped', 'not_paid_event']
+    ]);
+    expect(rows[0].job_id).toBe('test-job');
+    expect(rows[0].event_type).toBe('OrderPaid');
+    expect(rows[0].processed_at).toBeTruthy();
+
+    const res = await request(app)
+      .get('/admin/webhooks/recent')
+      .query({ site_id: 'outcome-site', reason: 'no_affiliate' })
+      .set('x-admin-key', 'test-admin-key');
+    expect(res.status).toBe(200);
+    expect(res.body.pagination.total).toBe(1);
+    expect(res.body.webhooks[0].summary.orderId).toBe('order-out-2');
+    expect(res.body.webhooks[0].outcome).toMatchObject({ status: 'skipped', reason: 'no_affiliate', siteId: 'outcome-site' });
+  });
+
+  test('holds self-referred conversions for review and records the held outcome', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const { registerAffiliateEmail } = require('../src/services/fraudScreening.service');
+    await registerAffiliateEmail({ affiliateId: 'AFF-SELF', email: 'self@example.com' });
+    conversionQueue.enqueueConversion.mockResolvedValueOnce({ jobId: 'held-job', status: 'held', message: 'Held for review' });
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-self', eventType: 'OrderPaid', data: { order: { id: 'order-self', siteId: 'held-site', billingInfo: { email: 'Self@Example.com' }, buyerNote: 'ref=AFF-SELF' } } });
+
+    expect(res.body).toMatchObject({ queued: false, held: true, screeningFlags: ['self_referral'], jobId: 'held-job' });
+    const [, , screening] = conversionQueue.enqueueConversion.mock.calls.pop();
+    expect(screening).toMatchObject({ held: true, flags: [{ check: 'self_referral' }] });
+
+    const row = await knex('order_webhooks').where('order_id', 'order-self').first();
+    expect(row).toMatchObject({ status: 'held', reason: 'self_referral', job_id: 'held-job' });
+  });
+
+  test('approval mode leaves conversions of new affiliates in pending_review', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    await knex('wix_tokens').insert({
+      wix_client_id: 'mock', site_id: 'approval-site', is_active: true,
+      settings: JSON.stringify({ requireApproval: true }), created_at: new Date().toISOString()
+    });
+    conversionQueue.enqueueConversion.mockResolvedValueOnce({ jobId: 'review-job', status: 'pending_review', message: 'Awaiting review' });
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({ entityId: 'order-approval', eventType: 'OrderPaid', data: { order: { id: 'order-approval', siteId: 'approval-site', buyerNote: 'ref=AFF-NEW' } } });
+
+    expect(res.body).toMatchObject({ queued: false, pendingReview: true, screeningFlags: ['new_affiliate'] });
+    const row = await knex('order_webhooks').where('order_id', 'order-approval').first();
+    expect(row).toMatchObject({ status: 'pending_review', reason: 'new_affiliate', job_id: 'review-job' });
+    await knex('wix_tokens').where('site_id', 'approval-site').del();
+  });
+
+  test('POST /wix/orders/webhook acknowledges repeated deliveries without reprocessing', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const send = (body, eventId) => {
+      const req = request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true');
+      if (eventId) req.set('x-wix-event-id', eventId);
+      return req.send(body);
+    };
+    const body = { entityId: 'order-dup', eventType: 'OrderPaid', data: { order: { id: 'order-dup', buyerNote: 'ref=AFF-DUP' } } };
+
+    const first = await send(body, 'evt-dup-1');
+    expect(first.body.duplicate).toBeUndefined();
+    conversionQueue.enqueueConversion.mockClear();
+
+    // Same event id, and identical payload without an event id
+    const retry = await send({ ...body, retried: true }, 'evt-dup-1');
+    const samePayload = await send(body);
+    for (const res of [retry, samePayload]) {
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ ok: true, duplicate: true, status: 'enqueued', orderId: 'order-dup' });
+    }
+    expect(conversionQueue.enqueueConversion).not.toHaveBeenCalled();
+
+    const rows = await knex('order_webhooks').where('order_id', 'order-dup');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].event_id).toBe('evt-dup-1');
+    expect(rows[0].duplicate_count).toBe(2);
+  });
+
+  test('POST /wix/orders/webhook reprocesses a delivery that previously failed', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const body = { entityId: 'order-retry', eventType: 'OrderPaid', data: { order: { id: 'order-retry', buyerNote: 'ref=AFF-RETRY' } } };
+
+    conversionQueue.enqueueConversion.mockRejectedValueOnce(new Error('db unavailable'));
+    const failed = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(body);
+    expect(failed.status).toBe(500);
+
+    const retried = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(body);
+    expect(retried.status).toBe(200);
+    expect(retried.body.duplicate).toBeUndefined();
+    expect(retried.body.queued).toBe(true);
+
+    const rows = await knex('order_webhooks').where('order_id', 'order-retry');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].status).toBe('enqueued');
+  });
+
+  test('POST /wix/orders/webhook reprocesses a delivery that never recorded an outcome', async () => {
+    const crypto = require('crypto');
+    const body = { entityId: 'order-crashed', eventType: 'OrderPaid', data: { order: { id: 'order-crashed', buyerNote: 'ref=AFF-CRASH' } } };
+    // Stored by a delivery whose processing crashed before the outcome was recorded
+    const [webhookId] = await knex('order_webhooks').insert({
+      payload: JSON.stringify(body),
+      event_id: 'evt-crashed',
+      payload_hash: crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex'),
+      status: 'processing',
+      claimed_at: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+      created_at: new Date()
+    });
+
+    const retried = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').set('x-wix-event-id', 'evt-crashed').send(body);
+    expect(retried.body.duplicate).toBeUndefined();
+    expect(retried.body.queued).toBe(true);
+
+    const rows = await knex('order_webhooks').where('event_id', 'evt-crashed');
+    expect(rows.map(r => [r.id, r.status, r.duplicate_count])).toEqual([[webhookId, 'enqueued', 0]]);
+  });
+
+  test('POST /wix/orders/webhook leaves a delivery that is still processing to its first run', async () => {
+    const crypto = require('crypto');
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const body = { entityId: 'order-slow', eventType: 'OrderPaid', data: { order: { id: 'order-slow', buyerNote: 'ref=AFF-SLOW' } } };
+    const [webhookId] = await knex('order_webhooks').insert({
+      payload: JSON.stringify(body),
+      event_id: 'evt-slow',
+      payload_hash: crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex'),
+      status: 'processing',
+      claimed_at: new Date().toISOString(),
+      created_at: new Date()
+    });
+    conversionQueue.enqueueConversion.mockClear();
+
+    const retried = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').set('x-wix-event-id', 'evt-slow').send(body);
+    expect(retried.status).toBe(409);
+    expect(retried.body).toMatchObject({ processing: true, webhookId });
+    expect(conversionQueue.enqueueConversion).not.toHaveBeenCalled();
+    const row = await knex('order_webhooks').where('id', webhookId).first();
+    expect(row.status).toBe('processing');
+  });
+
+  test('POST /wix/orders/webhook stores concurrent first deliveries of an event once', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const body = { entityId: 'order-race', eventType: 'OrderPaid', data: { order: { id: 'order-race', buyerNote: 'ref=AFF-RACE' } } };
+    const send = () => request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').set('x-wix-event-id', 'evt-race').send(body);
+    conversionQueue.enqueueConversion.mockClear();
+
+    const responses = await Promise.all([send(), send(), send()]);
+    expect(responses.every(res => [200, 409].includes(res.status))).toBe(true);
+    expect(responses.filter(res => res.status === 200 && !res.body.duplicate)).toHaveLength(1);
+    expect(conversionQueue.enqueueConversion).toHaveBeenCalledTimes(1);
+    expect(await knex('order_webhooks').where('event_id', 'evt-race')).toHaveLength(1);
+  });
+
+  test('POST /wix/orders/webhook counts concurrent repeated deliveries', async () => {
+    const body = { entityId: 'order-burst', eventType: 'OrderPaid', data: { order: { id: 'order-burst', buyerNote: 'ref=AFF-BURST' } } };
+    const send = () => request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').set('x-wix-event-id', 'evt-burst').send(body);
+    await send();
+    await Promise.all([send(), send(), send(), send()]);
+
+    const row = await knex('order_webhooks').where('event_id', 'evt-burst').first();
+    expect(row.duplicate_count).toBe(4);
+  });
+
+  test('POST /wix/orders/webhook normalizes the conversion to the brand reporting currency', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    const exchangeRate = require('../src/services/exchangeRate.service');
+    exchangeRate.setProvider({ name: 'test', getRates: async () => ({ base: 'USD', rates: { USD: 1, NGN: 1500 } }) });
+    await knex('wix_tokens').insert({
+      wix_client_id: 'mock', site_id: 'fx-site', brand_id: 'brand-fx', is_active: true,
+      settings: JSON.stringify({ reportingCurrency: 'NGN' }), created_at: new Date()
+    });
+    conversionQueue.enqueueConversion.mockClear();
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({
+        entityId: 'order-fx',
+        eventType: 'OrderPaid',
+        data: {
+          order: {
+            id: 'order-fx',
+            siteId: 'fx-site',
+            buyerNote: 'ref=AFF-FX',
+            totalPrice: { amount: 20, currency: 'USD' },
+            lineItems: [{ productId: 'prod-fx', name: 'Mug', quantity: 2, price: { amount: 10, currency: 'USD' } }]
+          }
+        }
+      });
+
+    expect(res.status).toBe(200);
+    const [payload] = conversionQueue.enqueueConversion.mock.calls[0];
+    expect(payload).toMatchObject({ amount: 30000, currency: 'NGN' });
+    expect(payload.products[0]).toMatchObject({ price: 15000, currency: 'NGN' });
+    expect(payload.metadata.currencyConversion).toEqual({ originalAmount: 20, originalCurrency: 'USD', rate: 1500, provider: 'test' });
+
+    exchangeRate.setProvider(null);
+    await knex('wix_tokens').where('site_id', 'fx-site').del();
+  });
+
+  test('POST /wix/orders/webhook sends the commissionable amount with its breakdown', async () => {
+    const conversionQueue = require('../src/services/conversionQueue.service');
+    await knex('wix_tokens').insert({
+      wix_client_id: 'mock', site_id: 'commission-site', brand_id: 'brand-commission', is_active: true,
+      settings: JSON.stringify({ commissionableComponents: ['subtotal', 'discount', 'shipping'] }), created_at: new Date()
+    });
+    conversionQueue.enqueueConversion.mockClear();
+
+    const res = await request(app)
+      .post('/wix/orders/webhook')
+      .set('x-wix-webhook-test', 'true')
+      .send({
+        entityId: 'order-commission',
+        eventType: 'OrderPaid',
+        data: {
+          order: {
+            id: 'order-commission',
+            siteId: 'commission-site',
+            buyerNote: 'ref=AFF-COMM',
+            priceSummary: {
+              subtotal: { amount: '60.00' },
+              shipping: { amount: '5.00' },
+              tax: { amount: '6.00' },
+              discount: { amount: '10.00' },
+              total: { amount: '61.00', currency: 'USD' }
+            }
+          }
+        }
+      });
+
+    expect(res.status).toBe(200);
+    const [payload] = conversionQueue.enqueueConversion.mock.calls[0];
+    expect(payload.amount).toBe(55);
+    expect(payload.metadata.orderTotal).toBe(61);
+    expect(payload.metadata.commissionable).toEqual({
+      subtotal: 60, discount: 10, shipping: 5, tax: 6, total: 61,
+      currency: 'USD', components: ['subtotal', 'discount', 'shipping'], basis: 'components'
+    });
+
+    await knex('wix_tokens').where('site_id', 'commission-site').del();
+  });
+
+  describe('Subscription renewals', () => {
+    const purchaseJob = {
+      job_id: 'conv_brand-sub_order-sub',
+      status: 'completed',
+      subscription_id: 'sub-1',
+      payload: JSON.stringify({
+        brandId: 'brand-sub',
+        siteId: 'sub-site',
+        externalOrderId: 'order-sub',
+        affiliateId: 'AFF-SUB',
+        campaignId: 'CAMP-SUB',
+        amount: 30,
+        currency: 'USD',
+        subscriptionId: 'sub-1',
+        cycleNumber: 1,
+        metadata: { attributionSource: 'session' }
+      })
+    };
+    const renewalBody = (orderId, cycleNumber) => ({
+      eventType: 'OrderPaid',
+      data: {
+        order: {
+          id: orderId,
+          siteId: 'sub-site',
+          totalPrice: { amount: 30, currency: 'USD' },
+          subscriptionInfo: { id: 'sub-1', cycleNumber }
+        }
+      }
+    });
+
+    afterEach(async () => await knex('wix_tokens').where('site_id', 'sub-site').del());
+
+    test('a later billing cycle credits the original subscription affiliate', async () => {
+      const conversionQueue = require('../src/services/conversionQueue.service');
+      conversionQueue.findSubscriptionConversion.mockResolvedValueOnce(purchaseJob);
+      conversionQueue.enqueueConversion.mockClear();
+
+      const res = await request(app)
+        .post('/wix/orders/webhook')
+        .set('x-wix-webhook-test', 'true')
+        .send(renewalBody('order-sub-3', 3));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ ok: true, eventType: 'renewal', cycleNumber: 3, affiliateId: 'AFF-SUB' });
+      expect(conversionQueue.enqueueConversion).not.toHaveBeenCalled();
+      expect(conversionQueue.findSubscriptionConversion).toHaveBeenCalledWith({ subscriptionId: 'sub-1', orderId: 'order-sub-3' });
+      const [job, payload] = conversionQueue.enqueueRenewal.mock.calls.pop();
+      expect(job).toBe(purchaseJob);
+      expect(payload).toMatchObject({
+        eventType: 'renewal',
+        cycleNumber: 3,
+        affiliateId: 'AFF-SUB',
+        campaignId: 'CAMP-SUB',
+        externalOrderId: 'order-sub_cycle_3',
+        amount: 30,
+        metadata: { subscriptionId: 'sub-1', cycleNumber: 3, renewalOrderId: 'order-sub-3', originalConversionRef: 'order-sub' }
+      });
+    });
+
+    test('an unpriced renewal keeps the line items of the converted purchase', async () => {
+      const conversionQueue = require('../src/services/conversionQueue.service');
+      const convertedProducts = [{ productId: 'prod-plan', name: 'Plan', quantity: 1, price: 33, currency: 'USD' }];
+      conversionQueue.findSubscriptionConversion.mockResolvedValueOnce({
+        ...purchaseJob,
+        payload: JSON.stringify({
+          ...JSON.parse(purchaseJob.payload),
+          amount: 33,
+          products: convertedProducts,
+          metadata: { currencyConversion: { originalAmount: 30, originalCurrency: 'EUR', rate: 1.1 } }
+        })
+      });
+
+      const res = await request(app)
+        .post('/wix/orders/webhook')
+        .set('x-wix-webhook-test', 'true')
+        .send({
+          eventType: 'OrderPaid',
+          data: {
+            order: {
+              id: 'order-sub-eur',
+              siteId: 'sub-site',
+              currency: 'EUR',
+              lineItems: [{ productId: 'prod-plan', name: 'Plan', quantity: 1, price: { amount: 30, currency: 'EUR' } }],
+              subscriptionInfo: { id: 'sub-1', cycleNumber: 2 }
+            }
+          }
+        });
+
+      expect(res.body).toMatchObject({ ok: true, eventType: 'renewal', cycleNumber: 2 });
+      const [, payload] = conversionQueue.enqueueRenewal.mock.calls.pop();
+      expect(payload).toMatchObject({ amount: 33, currency: 'USD', products: convertedProducts });
+    });
+
+    test('renewals beyond the brand maxRenewalCycles earn no commission', async () => {
+      const conversionQueue = require('../src/services/conversionQueue.service');
+      await knex('wix_tokens').insert({
+        wix_client_id: 'mock', site_id: 'sub-site', brand_id: 'brand-sub', is_active: true,
+        settings: JSON.stringify({ maxRenewalCycles: 1 }), created_at: new Date()
+      });
+      conversionQueue.findSubscriptionConversion.mockResolvedValue(purchaseJob);
+      conversionQueue.enqueueRenewal.mockClear();
+
+      const second = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(renewalBody('order-sub-c2', 2));
+      expect(second.body).toMatchObject({ queued: true, cycleNumber: 2 });
+
+      const third = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(renewalBody('order-sub-c3', 3));
+      expect(third.body).toMatchObject({ skipped: true, reason: 'renewal_cycle_limit', cycleNumber: 3 });
+      expect(conversionQueue.enqueueRenewal).toHaveBeenCalledTimes(1);
+
+      conversionQueue.findSubscriptionConversion.mockResolvedValue(null);
+    });
+
+    test('a replayed renewal without a cycle number resolves to the cycle already queued', async () => {
+      process.env.ADMIN_API_KEY = 'test-admin-key';
+      const conversionQueue = require('../src/services/conversionQueue.service');
+      // Minimal stand-in for the queue: renewals by payment key and the last queued cycle
+      const queued = new Map();
+      conversionQueue.findSubscriptionConversion.mockResolvedValue(purchaseJob);
+      conversionQueue.findRenewalByKey.mockImplementation(async (jobId, key) => queued.get(key) || null);
+      conversionQueue.getLastRenewalCycle.mockImplementation(async () => Math.max(1, ...[...queued.values()].map(r => r.cycle_number)));
+      conversionQueue.enqueueRenewal.mockClear();
+      conversionQueue.enqueueRenewal.mockImplementation(async (job, payload) => {
+        queued.set(payload.metadata.renewalKey, { cycle_number: payload.cycleNumber });
+        return { jobId: `${job.job_id}_renewal_${payload.cycleNumber}`, status: 'pending' };
+      });
+      const renewal = (paymentId) => ({
+        eventType: 'wix.stores.subscription_renewed',
+        data: { paymentId, order: { id: 'order-sub', siteId: 'sub-site', subscriptionInfo: { id: 'sub-1' } } }
+      });
+
+      const first = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(renewal('pay-2'));
+      expect(first.body).toMatchObject({ queued: true, cycleNumber: 2 });
+
+      const [webhookId] = await knex('order_webhooks').insert({ payload: JSON.stringify(renewal('pay-2')), created_at: new Date() });
+      const replayed = await request(app).post(`/admin/webhooks/${webhookId}/replay`).set('x-admin-key', 'test-admin-key');
+      expect(replayed.body.result).toMatchObject({ cycleNumber: 2 });
+
+      const next = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(renewal('pay-3'));
+      expect(next.body).toMatchObject({ queued: true, cycleNumber: 3 });
+      expect(conversionQueue.enqueueRenewal.mock.calls.map(([, payload]) => payload.externalOrderId))
+        .toEqual(['order-sub_cycle_2', 'order-sub_cycle_2', 'order-sub_cycle_3']);
+
+      // Without a payment id the plan order id cannot tell cycles apart
+      const unknown = await request(app).post('/wix/orders/webhook').set('x-wix-webhook-test', 'true').send(renewal(undefined));
+      expect(unknown.body).toMatchObject({ skipped: true, reason: 'renewal_cycle_unknown' });
+
+      conversionQueue.findSubscriptionConversion.mockResolvedValue(null);
+      conversionQueue.findRenewalByKey.mockResolvedValue(null);
+      conversionQueue.getLastRenewalCycle.mockResolvedValue(1);
+      conversionQueue.enqueueRenewal.mockResolvedValue({ jobId: 'test-job_renewal', status: 'pending' });
+    });
+
+    test('Pricing Plans cycle events without a known purchase are skipped', async () => {
+      const res = await request(app)
+        .post('/wix/orders/webhook')
+        .set('x-wix-webhook-test', 'true')
+        .send({ eventType: 'wix.pricing_plans.v2.order_cycle_started', data: { cycleNumber: 2, order: { id: 'plan-order-1', planId: 'plan-gold' } } });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ skipped: true, reason: 'no_original_subscription_conversion' });
+    });
+  });
+
+  describe('JWT envelopes', () => {
+    const crypto = require('crypto');
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    // Mirrors Wix: JWT payload { data: "<{ data: \"<event>\", instanceId, eventType }>" }
+    const signJwt = (event, { key = privateKey, eventType = 'wix.ecom.v1.order_paid', exp } = {}) => {
+      const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+      const envelope = { data: JSON.stringify(event), instanceId: 'jwt-instance', eventType };
+      const payload = { data: JSON.stringify(envelope), iat: Math.floor(Date.now() / 1000), ...(exp && { exp }) };
+      const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}`;
+      const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(key).toString('base64url');
+      return `${unsigned}.${signature}`;
+    };
+    const paidEvent = {
+      id: 'jwt-event-1',
+      entityId: 'order-jwt',
+      actionEvent: {
+        body: {
+          order: {
+            id: 'order-jwt',
+            number: '10042',
+            priceSummary: { total: { amount: '64.50', currency: 'EUR' } },
+            buyerInfo: { email: 'jwt@example.com' },
+            buyerNote: 'ref=AFF-JWT',
+            lineItems: [{ id: 'li-1', catalogReference: { catalogItemId: 'prod-jwt' }, quantity: 1, price: { amount: '64.50' } }]
+          }
+        }
+      }
+    };
+    const postJwt = (token) => request(app)
+      .post('/wix/orders/webhook')
+      .set('Content-Type', 'text/plain')
+      .send(token);
+
+    beforeAll(() => {
+      process.env.WIX_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+    });
+    afterAll(() => {
+      delete process.env.WIX_PUBLIC_KEY;
+    });
+
+    test('verifies, unwraps and processes a JWT-signed order webhook', async () => {
+      const conversionQueue = require('../src/services/conversionQueue.service');
+      conversionQueue.enqueueConversion.mockClear();
+
+      const res = await postJwt(signJwt(paidEvent));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ ok: true, orderId: 'order-jwt', affiliateId: 'AFF-JWT' });
+      const [payload] = conversionQueue.enqueueConversion.mock.calls[0];
+      expect(payload).toMatchObject({ externalOrderId: 'order-jwt', amount: 64.5, currency: 'EUR', siteId: 'jwt-instance' });
+      expect(payload.products[0].externalProductId).toBe('prod-jwt');
+
+      const row = await knex('order_webhooks').where('order_id', 'order-jwt').first();
+      expect(row.event_id).toBe('jwt-event-1');
+      expect(JSON.parse(row.payload).eventType).toBe('wix.ecom.v1.order_paid');
+    });
+
+    test('rejects JWTs signed with another key or expired', async () => {
+      const forged = await postJwt(signJwt({ ...paidEvent, id: 'jwt-forged' }, { key: otherPrivateKey }));
+      expect(forged.status).toBe(401);
+
+      const expired = await postJwt(signJwt({ ...paidEvent, id: 'jwt-expired' }, { exp: Math.floor(Date.now() / 1000) - 60 }));
+      expect(expired.status).toBe(401);
+    });
+
+    test('unwrapWixJwtPayload reads entity events', () => {
+      const { unwrapWixJwtPayload } = require('../src/controllers/orderWebhook.controller');
+      const envelope = {
+        eventType: 'wix.ecom.v1.order_canceled',
+        instanceId: 'inst-1',
+        data: JSON.stringify({ entityId: 'order-x', updatedEvent: { currentEntityAsJson: JSON.stringify({ id: 'order-x', status: 'CANCELED' }) } })
+      };
+
+      const body = unwrapWixJwtPayload({ data: JSON.stringify(envelope) });
+
+      expect(body).toMatchObject({ entityId: 'order-x', eventType: 'wix.ecom.v1.order_canceled', instanceId: 'inst-1' });
+      expect(body.data.order.status).toBe('CANCELED');
+    });
+  });
+
   test('POST /wix/test-webhook logs payload', async () => {
     const payload = { test: true, data: { foo: 'bar' } };
     
     const res = await request(app)
       .post('/wix/test-webhook')
+      .set('x-wix-webhook-test', 'true')
       .send(payload);
     
     expect(res.status).toBe(200);
@@ -144,4 +925,274 @@ describe('Wix order payload parsing', () => {
     expect(parsed.affiliateId).toBe('AFFILIATE-999');
     expect(parsed.campaignId).toBe('CAMPAIGN-1');
   });
+
+  test('classifies refund and cancel events', () => {
+    expect(parseWixOrderPayload({ eventType: 'OrderRefunded', data: { order: { id: 'o1' } } }).eventKind).toBe('refund');
+    expect(parseWixOrderPayload({ eventType: 'OrderCanceled', data: { order: { id: 'o1' } } }).eventKind).toBe('cancel');
+    expect(parseWixOrderPayload({ eventType: 'PaymentStatusUpdated', data: { order: { id: 'o1', paymentStatus: 'PARTIALLY_REFUNDED' } } }).eventKind).toBe('refund');
+    expect(parseWixOrderPayload({ eventType: 'OrderPaid', data: { order: { id: 'o1' } } }).eventKind).toBe('paid');
+    expect(parseWixOrderPayload({ eventType: 'OrderCreated', data: { order: { id: 'o1' } } }).eventKind).toBe('other');
+  });
+
+  test('parses priceSummary components and computes the commissionable amount', () => {
+    const { computeCommissionableAmount } = require('../src/controllers/orderWebhook.controller');
+    const parsed = parseWixOrderPayload({
+      eventType: 'OrderPaid',
+      data: {
+        order: {
+          id: 'order-summary',
+          priceSummary: {
+            subtotal: { amount: '100.00' },
+            shipping: { amount: '10.00' },
+            tax: { amount: '8.50' },
+            discount: { amount: '20.00' },
+            total: { amount: '98.50', currency: 'USD' }
+          }
+        }
+      }
+    });
+
+    expect(parsed.totalAmount).toBe(98.5);
+    expect(parsed.priceBreakdown).toEqual({ subtotal: 100, discount: 20, shipping: 10, tax: 8.5, total: 98.5 });
+
+    const byDefault = computeCommissionableAmount(parsed);
+    expect(byDefault.amount).toBe(80);
+    expect(byDefault.breakdown).toMatchObject({ basis: 'components', components: ['subtotal', 'discount'], currency: 'USD' });
+
+    expect(computeCommissionableAmount(parsed, ['subtotal', 'shipping']).amount).toBe(110);
+    expect(computeCommissionableAmount(parsed, ['subtotal', 'discount', 'shipping', 'tax']).amount).toBe(98.5);
+  });
+
+  test('keeps variant, SKU, options and per-line discount/tax on line items', () => {
+    const ecom = parseWixOrderPayload({
+      data: {
+        order: {
+          id: 'order-variants',
+          priceSummary: { total: { amount: '54.00', currency: 'USD' } },
+          lineItems: [{
+            _id: 'li-1',
+            productName: { original: 'Black Hoodie' },
+            catalogReference: {
+              catalogItemId: 'prod-hoodie',
+              appId: '215238eb-22a5-4c36-9e7b-e7c08025e04e',
+              options: { variantId: 'var-l-black', options: { Size: 'L' } }
+            },
+            descriptionLines: [{ name: { original: 'Color' }, colorInfo: { original: 'Black' } }],
+            physicalProperties: { sku: 'HOOD-L-BLK' },
+            quantity: 2,
+            price: { amount: '25.00' },
+            totalDiscount: { amount: '5.00' },
+            taxDetails: { totalTax: { amount: '4.00' } }
+          }]
+        }
+      }
+    });
+    expect(ecom.products[0]).toMatchObject({
+      lineItemId: 'li-1',
+      externalProductId: 'prod-hoodie',
+      variantId: 'var-l-black',
+      sku: 'HOOD-L-BLK',
+      name: 'Black Hoodie',
+      price: 25,
+      quantity: 2,
+      options: { Size: 'L', Color: 'Black' },
+      catalogReference: { catalogItemId: 'prod-hoodie', appId: '215238eb-22a5-4c36-9e7b-e7c08025e04e' },
+      discount: 5,
+      tax: 4
+    });
+
+    const storesV1 = parseWixOrderPayload({
+      data: {
+        order: {
+          id: 'order-v1',
+          lineItems: [{
+            productId: 'prod-tee', name: 'Tee', sku: 'TEE-M', variantId: 'var-m', quantity: 1, price: 20,
+            options: [{ option: 'Size', selection: 'M' }], discount: 2, tax: 1.5
+          }]
+        }
+      }
+    });
+    expect(storesV1.products[0]).toMatchObject({
+      variantId: 'var-m', sku: 'TEE-M', options: { Size: 'M' }, catalogReference: null, discount: 2, tax: 1.5
+    });
+  });
+
+  test('adapts eCommerce orders from Bookings, Pricing Plans and Events', () => {
+    const ecomOrder = (lineItem) => parseWixOrderPayload({
+      eventType: 'wix.ecom.v1.order_approved',
+      data: {
+        order: {
+          id: 'ecom-order',
+          currency: 'EUR',
+          buyerInfo: { email: 'buyer@example.com', visitorId: 'visitor-1' },
+          billingInfo: { contactDetails: { firstName: 'Ada', lastName: 'Lovelace' } },
+          priceSummary: { total: { amount: '80.00' } },
+          lineItems: [lineItem]
+        }
+      }
+    });
+
+    const booking = ecomOrder({
+      productName: { original: 'Deep Tissue Massage' },
+      catalogReference: {
+        catalogItemId: 'booking-123',
+        appId: '13d21c63-b5ec-5912-8397-c3a5ddb27a97',
+        options: { serviceId: 'service-massage' }
+      },
+      price: { amount: '80.00' }
+    });
+    expect(booking).toMatchObject({
+      eventKind: 'paid',
+      currency: 'EUR',
+      totalAmount: 80,
+      customerEmail: 'buyer@example.com',
+      customerName: 'Ada Lovelace',
+      sourceVertical: 'bookings'
+    });
+    expect(booking.products[0]).toMatchObject({
+      name: 'Deep Tissue Massage',
+      externalProductId: 'service-massage',
+      bookingId: 'booking-123',
+      serviceId: 'service-massage',
+      sourceVertical: 'bookings',
+      currency: 'EUR'
+    });
+
+    const plan = ecomOrder({
+      productName: { original: 'Gold Membership' },
+      catalogReference: { catalogItemId: 'plan-gold', appId: '1522827f-c56c-a5c9-2ac9-00f9e6ae12d3' },
+      price: { amount: '80.00' }
+    });
+    expect(plan.sourceVertical).toBe('pricing_plans');
+    expect(plan.products[0]).toMatchObject({ externalProductId: 'plan-gold', planId: 'plan-gold' });
+
+    const ticket = ecomOrder({
+      productName: { original: 'VIP Ticket' },
+      catalogReference: { catalogItemId: 'ticket-vip', appId: '140603ad-af8d-84a5-2c80-a0f60cb47351', options: { eventId: 'event-42' } },
+      price: { amount: '80.00' }
+    });
+    expect(ticket.sourceVertical).toBe('events');
+    expect(ticket.products[0]).toMatchObject({ externalProductId: 'event-42', eventId: 'event-42', ticketDefinitionId: 'ticket-vip' });
+
+    const unknownApp = ecomOrder({ catalogReference: { catalogItemId: 'x', appId: 'some-other-app' }, price: { amount: '1' } });
+    expect(unknownApp.sourceVertical).toBe('other');
+  });
+
+  test('parses subscription cycles and classifies later cycles as renewals', () => {
+    const first = parseWixOrderPayload({ eventType: 'OrderPaid', data: { order: { id: 'o1', subscriptionInfo: { id: 'sub-9', cycleNumber: 1 } } } });
+    expect(first.eventKind).toBe('paid');
+    expect(first.subscription).toEqual({ subscriptionId: 'sub-9', cycleNumber: 1 });
+
+    const later = parseWixOrderPayload({ eventType: 'OrderPaid', data: { order: { id: 'o2', lineItems: [{ subscriptionInfo: { id: 'sub-9', cycleNumber: 4 } }] } } });
+    expect(later.eventKind).toBe('renewal');
+    expect(later.subscription.cycleNumber).toBe(4);
+
+    const plan = parseWixOrderPayload({
+      eventType: 'wix.pricing_plans.v2.order_cycle_started',
+      data: { cycleNumber: 2, order: { id: 'plan-order', planId: 'plan-1', priceDetails: { total: '15.00', currency: 'EUR' } } }
+    });
+    expect(plan).toMatchObject({ eventKind: 'renewal', totalAmount: 15, currency: 'EUR', subscription: { subscriptionId: 'plan-order', cycleNumber: 2 } });
+
+    expect(parseWixOrderPayload({ eventType: 'OrderPaid', data: { order: { id: 'o3' } } }).subscription).toBeNull();
+  });
+
+  test('classifies eCommerce payment status updates', () => {
+    const update = (paymentStatus) => parseWixOrderPayload({
+      eventType: 'wix.ecom.v1.order_payment_status_updated',
+      data: { order: { id: 'o1', paymentStatus } }
+    }).eventKind;
+    expect(update('PAID')).toBe('paid');
+    expect(update('PARTIALLY_REFUNDED')).toBe('refund');
+    expect(update('PENDING')).toBe('other');
+  });
+
+  test('falls back to the order total when there is no subtotal', () => {
+    const { computeCommissionableAmount } = require('../src/controllers/orderWebhook.controller');
+    const parsed = parseWixOrderPayload({ data: { order: { id: 'o2', totalPrice: { amount: 42, currency: 'EUR' } } } });
+    expect(computeCommissionableAmount(parsed)).toMatchObject({ amount: 42, breakdown: { basis: 'total', subtotal: null } });
+  });
+});
+
+describe('Refund adjustments', () => {
+  const { parseWixOrderPayload, computeReversal } = require('../src/controllers/orderWebhook.controller');
+
+  const originalPayload = {
+    amount: 150,
+    products: [
+      { lineItemId: 'li-1', externalProductId: 'prod-1', price: 100, quantity: 1 },
+      { lineItemId: 'li-2', externalProductId: 'prod-2', price: 25, quantity: 2 }
+    ]
+  };
+
+  test('partial refund adjusts proportionally to refunded line items', () => {
+    const parsed = parseWixOrderPayload({
+      entityId: 'order-partial',
+      eventType: 'OrderPartiallyRefunded',
+      data: {
+        order: { id: 'order-partial', totalPrice: { amount: 150, currency: 'USD' } },
+        refund: { id: 'refund-1', lineItems: [{ lineItemId: 'li-2', quantity: 1 }] }
+      }
+    });
+
+    const reversal = computeReversal(originalPayload, parsed);
+
+    expect(reversal.eventType).toBe('adjustment');
+    expect(reversal.amount).toBe(25);
+    expect(reversal.products).toHaveLength(1);
+    expect(reversal.products[0].quantity).toBe(1);
+  });
+
+  test('partial refund without line items uses the refunded amount', () => {
+    const parsed = parseWixOrderPayload({
+      entityId: 'order-partial',
+      eventType: 'OrderPartiallyRefunded',
+      data: {
+        order: { id: 'order-partial', totalPrice: { amount: 150, currency: 'USD' } },
+        refund: { amount: { amount: 30, currency: 'USD' } }
+      }
+    });
+
+    const reversal = computeReversal(originalPayload, parsed);
+
+    expect(reversal.eventType).toBe('adjustment');
+    expect(reversal.amount).toBe(30);
+  });
+
+  test('full refund reverses the whole conversion', () => {
+    const parsed = parseWixOrderPayload({ entityId: 'order-full', eventType: 'OrderRefunded', data: { order: { id: 'order-full' } } });
+
+    const reversal = computeReversal(originalPayload, parsed);
+
+    expect(reversal.eventType).toBe('reversal');
+    expect(reversal.amount).toBe(150);
+  });
+
+  test('a refund with an amount is honoured even when the order is marked refunded', () => {
+    const parsed = parseWixOrderPayload({
+      entityId: 'order-refunded',
+      eventType: 'OrderRefunded',
+      data: {
+        order: { id: 'order-refunded', totalPrice: { amount: 150, currency: 'USD' } },
+        refund: { amount: { amount: 60, currency: 'USD' } }
+      }
+    });
+
+    expect(computeReversal(originalPayload, parsed)).toMatchObject({ eventType: 'adjustment', amount: 60 });
+  });
+
+  test('refunds after partial refunds never take back more than the original', () => {
+    const prior = [{ amount: 25, products: [{ lineItemId: 'li-2', externalProductId: 'prod-2', price: 25, quantity: 1 }] }];
+    const full = parseWixOrderPayload({ entityId: 'order-full', eventType: 'OrderRefunded', data: { order: { id: 'order-full' } } });
+
+    const reversal = computeReversal(originalPayload, full, prior);
+    expect(reversal).toMatchObject({ eventType: 'reversal', amount: 125 });
+    expect(reversal.products.map(p => [p.lineItemId, p.quantity])).toEqual([['li-1', 1], ['li-2', 1]]);
+
+    const overlapping = parseWixOrderPayload({
+      entityId: 'order-full',
+      eventType: 'OrderPartiallyRefunded',
+      data: { order: { id: 'order-full', totalPrice: { amount: 150, currency: 'USD' } }, refund: { id: 'refund-2', amount: { amount: 140, currency: 'USD' } } }
+    });
+    expect(computeReversal(originalPayload, overlapping, prior)).toMatchObject({ eventType: 'reversal', amount: 125 });
+  });
 });
@@ -12,6 +12,7 @@ describe('Order webhook text/plain handling', () => {
 
     const res = await request(app)
       .post('/wix/test-webhook')
+      .set('x-wix-webhook-test', 'true')
       .set('Content-Type', 'text/plain')
       .send(raw);
 
@@ -0,0 +1,84 @@
+const knex = require('../src/db');
+const { scoreCandidate, deviceTypeFromUserAgent, findProbabilisticMatch } = require('../src/services/probabilisticMatch.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148';
+const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0';
+
+describe('Probabilistic matching', () => {
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    const expiresAt = new Date(Date.now() + 30 * 24 * HOUR_MS).toISOString();
+    await knex('visitor_sessions').insert([
+      {
+        session_id: 'pm-match', visitor_id: 'pm-v1', site_id: 'pm-site', affiliate_id: 'AFF-MATCH',
+        ip_address: '198.51.100.20', user_agent: IPHONE_UA, device_type: 'mobile', country: 'DE',
+        expires_at: expiresAt, created_at: new Date(Date.now() - 2 * HOUR_MS).toISOString()
+      },
+      {
+        // Most recent session on the site, but from a different buyer
+        session_id: 'pm-other', visitor_id: 'pm-v2', site_id: 'pm-site', affiliate_id: 'AFF-OTHER',
+        ip_address: '192.0.2.99', user_agent: DESKTOP_UA, device_type: 'desktop', country: 'US',
+        expires_at: expiresAt, created_at: new Date().toISOString()
+      },
+      {
+        // Buyer's own session at checkout, without affiliate info
+        session_id: 'pm-buyer', visitor_id: 'pm-buyer-visitor', site_id: 'pm-site',
+        ip_address: '198.51.100.20', user_agent: IPHONE_UA, device_type: 'mobile', country: 'DE',
+        expires_at: expiresAt, created_at: new Date().toISOString()
+      }
+    ]);
+  });
+  afterAll(async () => { await knex.migrate.rollback(); await knex.destroy(); });
+
+  test('deviceTypeFromUserAgent detects mobile, tablet and desktop', () => {
+    expect(deviceTypeFromUserAgent(IPHONE_UA)).toBe('mobile');
+    expect(deviceTypeFromUserAgent('Mozilla/5.0 (iPad; CPU OS 17_0)')).toBe('tablet');
+    expect(deviceTypeFromUserAgent(DESKTOP_UA)).toBe('desktop');
+    expect(deviceTypeFromUserAgent(null)).toBeNull();
+  });
+
+  test('scoreCandidate weighs IP, user agent, device, country and time proximity', () => {
+    const now = Date.now();
+    const session = {
+      ip_address: '198.51.100.20', user_agent: IPHONE_UA, device_type: 'mobile', country: 'DE',
+      created_at: new Date(now).toISOString()
+    };
+    const signals = { ipAddress: '198.51.100.20', userAgent: IPHONE_UA, deviceType: 'mobile', country: 'de', orderedAt: now };
+
+    const full = scoreCandidate(signals, session);
+    expect(full.score).toBe(1);
+    expect(full.matchedSignals).toEqual(['ip', 'user_agent', 'device_type', 'country', 'time']);
+
+    const subnet = scoreCandidate({ ...signals, ipAddress: '198.51.100.77', userAgent: null }, session);
+    expect(subnet.matchedSignals).toContain('ip_subnet');
+    expect(subnet.score).toBeCloseTo(0.525, 3);
+
+    const stale = scoreCandidate(signals, { ...session, created_at: new Date(now - 48 * HOUR_MS).toISOString() });
+    expect(stale.matchedSignals).not.toContain('time');
+    expect(stale.score).toBe(0.9);
+  });
+
+  test('findProbabilisticMatch credits the matching session, not the most recent one', async () => {
+    const match = await findProbabilisticMatch({
+      siteId: 'pm-site',
+      signals: { ipAddress: '198.51.100.20', userAgent: IPHONE_UA, country: 'DE' }
+    });
+    expect(match).toMatchObject({ affiliateId: 'AFF-MATCH', sessionId: 'pm-match', source: 'probabilistic' });
+    expect(match.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('findProbabilisticMatch fills missing signals from the buyer session', async () => {
+    const match = await findProbabilisticMatch({ siteId: 'pm-site', sessionId: 'pm-buyer' });
+    expect(match.affiliateId).toBe('AFF-MATCH');
+  });
+
+  test('findProbabilisticMatch returns null below the confidence threshold', async () => {
+    const weak = { siteId: 'pm-site', signals: { ipAddress: '203.0.113.1', country: 'US', userAgent: 'curl/8.0' } };
+    expect(await findProbabilisticMatch(weak)).toBeNull();
+    expect(await findProbabilisticMatch({ siteId: 'pm-site', visitorId: 'nobody' })).toBeNull();
+
+    const strong = { siteId: 'pm-site', signals: { ipAddress: '198.51.100.20', userAgent: IPHONE_UA } };
+    expect(await findProbabilisticMatch(strong, { threshold: 0.99 })).toBeNull();
+  });
+});
@@ -29,4 +29,26 @@ describe('product sync chunking', () => {
     const rows = await knex('product_mappings').select();
     expect(rows.length).toBe(120);
   });
+
+  test('dashboard status only counts unmapped product conversions of its own site', async () => {
+    process.env.WIX_CLIENT_SECRET = '';
+    await knex('product_mappings').del();
+    await knex('wix_tokens').insert([
+      { wix_client_id: 'mock', site_id: 'unmapped-a', is_active: true, created_at: new Date().toISOString() },
+      { wix_client_id: 'mock', site_id: 'unmapped-b', is_active: true, created_at: new Date().toISOString() }
+    ]);
+    await knex('conversion_queue').insert([
+      { job_id: 'unmapped-a-1', status: 'completed', payload: '{}', site_id: 'unmapped-a', unmapped_product_ids: '["w-x"]' },
+      { job_id: 'unmapped-a-2', status: 'completed', payload: '{}', site_id: 'unmapped-a', unmapped_product_ids: '["w-y"]' },
+      { job_id: 'unmapped-b-1', status: 'completed', payload: '{}', site_id: 'unmapped-b', unmapped_product_ids: '["w-z"]' }
+    ]);
+
+    const siteA = await request(app).get('/admin/iframe/status').set('x-wix-instance', 'test.instance').query({ siteId: 'unmapped-a' });
+    const siteB = await request(app).get('/admin/iframe/status').set('x-wix-instance', 'test.instance').query({ siteId: 'unmapped-b' });
+    expect(siteA.body.unmappedProductConversions).toBe(2);
+    expect(siteB.body.unmappedProductConversions).toBe(1);
+
+    await knex('conversion_queue').whereIn('site_id', ['unmapped-a', 'unmapped-b']).del();
+    await knex('wix_tokens').whereIn('site_id', ['unmapped-a', 'unmapped-b']).del();
+  });
 });
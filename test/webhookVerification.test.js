@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const request = require('supertest');
+
+jest.mock('../src/controllers/orderWebhook.controller', () => ({
+  handleOrderWebhook: jest.fn((req, res) => res.status(200).json({ ok: true })),
+  handleWixOrderWebhook: jest.fn((req, res) => res.status(200).json({ ok: true })),
+  handleTestWebhook: jest.fn((req, res) => res.status(200).send('ok')),
+  processOrderWebhook: jest.fn()
+}));
+jest.mock('../src/controllers/productWebhook.controller', () => ({
+  handleProductUpdated: jest.fn((req, res) => res.status(200).json({ ok: true })),
+  handleProductDeleted: jest.fn((req, res) => res.status(200).json({ ok: true }))
+}));
+jest.mock('../src/controllers/uninstall.controller', () => ({
+  handleUninstall: jest.fn((req, res) => res.status(200).json({ ok: true })),
+  handleAppRemoved: jest.fn((req, res) => res.status(200).json({ ok: true }))
+}));
+
+const app = require('../src/app');
+const { resetVerificationMetrics } = require('../src/middleware/verifyWixWebhook');
+
+const SECRET = 'verification-secret';
+const WEBHOOK_ROUTES = [
+  '/webhooks/order',
+  '/webhooks/product/updated',
+  '/webhooks/product/deleted',
+  '/wix/orders/webhook',
+  '/wix/test-webhook',
+  '/wix/uninstall',
+  '/wix/app-removed'
+];
+
+const body = { entityId: 'verify-1', data: { productId: 'p-1' } };
+const hmac = (encoding) => crypto.createHmac('sha256', SECRET).update(JSON.stringify(body)).digest(encoding);
+
+describe('Webhook signature verification middleware', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetVerificationMetrics();
+    process.env.WIX_WEBHOOK_SECRET = SECRET;
+    delete process.env.WIX_PUBLIC_KEY;
+  });
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test.each(WEBHOOK_ROUTES)('%s rejects unsigned and wrongly signed requests', async (route) => {
+    const unsigned = await request(app).post(route).send(body);
+    expect(unsigned.status).toBe(401);
+
+    const wrong = await request(app).post(route).set('x-wix-signature', 'deadbeef').send(body);
+    expect(wrong.status).toBe(401);
+  });
+
+  test.each(WEBHOOK_ROUTES)('%s accepts hex and base64 HMAC signatures', async (route) => {
+    const hex = await request(app).post(route).set('x-wix-signature', `sha256=${hmac('hex')}`).send(body);
+    expect(hex.status).toBe(200);
+
+    const base64 = await request(app).post(route).set('x-wix-hmac', hmac('base64')).send(body);
+    expect(base64.status).toBe(200);
+  });
+
+  test('test bypass and missing configuration are only allowed outside production', async () => {
+    const bypass = await request(app).post('/wix/uninstall').set('x-wix-webhook-test', 'true').send(body);
+    expect(bypass.status).toBe(200);
+
+    delete process.env.WIX_WEBHOOK_SECRET;
+    delete process.env.WIX_CLIENT_SECRET;
+    const unconfigured = await request(app).post('/webhooks/order').send(body);
+    expect(unconfigured.status).toBe(200);
+
+    process.env.NODE_ENV = 'production';
+    const prodUnconfigured = await request(app).post('/webhooks/order').send(body);
+    expect(prodUnconfigured.status).toBe(401);
+
+    process.env.WIX_WEBHOOK_SECRET = SECRET;
+    const prodBypass = await request(app).post('/wix/uninstall').set('x-wix-webhook-test', 'true').send(body);
+    expect(prodBypass.status).toBe(401);
+  });
+
+  test('JWT deliveries reach the product and uninstall controllers unwrapped', async () => {
+    const productController = require('../src/controllers/productWebhook.controller');
+    const uninstallController = require('../src/controllers/uninstall.controller');
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    process.env.WIX_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+    // Mirrors Wix: JWT payload { data: "<{ data: \"<event>\", instanceId, eventType }>" }
+    const signJwt = (event, eventType) => {
+      const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+      const envelope = { data: JSON.stringify(event), instanceId: 'jwt-instance', eventType };
+      const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ data: JSON.stringify(envelope) })}`;
+      return `${unsigned}.${crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey).toString('base64url')}`;
+    };
+    const postJwt = (route, token) => request(app).post(route).set('Content-Type', 'text/plain').send(token);
+
+    const updated = await postJwt('/webhooks/product/updated', signJwt({
+      id: 'evt-1',
+      entityId: 'prod-1',
+      updatedEvent: { currentEntity: { id: 'prod-1', name: 'Mug' } }
+    }, 'wix.stores.catalog.v3.product_updated'));
+    expect(updated.status).toBe(200);
+    expect(productController.handleProductUpdated.mock.calls.pop()[0].body).toMatchObject({
+      eventId: 'evt-1',
+      entityId: 'prod-1',
+      entity: { id: 'prod-1', name: 'Mug' },
+      instanceId: 'jwt-instance'
+    });
+
+    const deleted = await postJwt('/webhooks/product/deleted', signJwt({ productId: 'prod-2' }, 'ProductDeleted'));
+    expect(deleted.status).toBe(200);
+    expect(productController.handleProductDeleted.mock.calls.pop()[0].body).toMatchObject({ productId: 'prod-2', eventType: 'ProductDeleted' });
+
+    const removed = await postJwt('/wix/uninstall', signJwt({}, 'AppRemoved'));
+    expect(removed.status).toBe(200);
+    expect(uninstallController.handleUninstall.mock.calls.pop()[0].body).toMatchObject({ instanceId: 'jwt-instance', eventType: 'AppRemoved' });
+  });
+
+  test('GET /admin/webhooks/verification reports counters per route', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    await request(app).post('/wix/orders/webhook').set('x-wix-signature', hmac('hex')).send(body);
+    await request(app).post('/wix/orders/webhook').send(body);
+    await request(app).post('/webhooks/product/deleted').set('x-wix-webhook-test', 'true').send(body);
+
+    const res = await request(app).get('/admin/webhooks/verification').set('x-admin-key', 'test-admin-key');
+
+    expect(res.status).toBe(200);
+    expect(res.body.routes['wix.orders']).toMatchObject({
+      verified: 1,
+      rejected: 1,
+      byMethod: { hmac: 2 },
+      byReason: { hmac_verified: 1, no_signature_header: 1 },
+      lastRejectedReason: 'no_signature_header'
+    });
+    expect(res.body.routes['webhooks.product_deleted']).toMatchObject({ bypassed: 1, verified: 0, rejected: 0 });
+  });
+});